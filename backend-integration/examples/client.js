@@ -12,15 +12,19 @@ const API_BASE_URL = "http://localhost:3000/api";
 const CONTRACT_ADDRESS = "0xB2e87bFD20e1a81Dc7f3DAF46df768Fd13489105";
 
 class SimBankClient {
-  constructor(baseUrl = API_BASE_URL) {
+  // apiKey: key created with POST /api/keys (or ADMIN_API_KEY)
+  constructor(baseUrl = API_BASE_URL, apiKey = process.env.SIMBANK_API_KEY) {
     this.baseUrl = baseUrl;
+    this.http = axios.create({
+      headers: apiKey ? { "X-API-Key": apiKey } : {},
+    });
   }
 
   // ========== READ METHODS ==========
 
   async getTokenInfo() {
     try {
-      const response = await axios.get(`${this.baseUrl}/token/info`);
+      const response = await this.http.get(`${this.baseUrl}/token/info`);
       return response.data;
     } catch (error) {
       console.error(
@@ -31,9 +35,15 @@ class SimBankClient {
     }
   }
 
-  async getBalance(address) {
+  // query: { at: "2026-06-30T23:59:59Z" } or { blockTag: 12345 } for a past balance
+  async getBalance(address, query = {}) {
     try {
-      const response = await axios.get(`${this.baseUrl}/balance/${address}`);
+      const response = await this.http.get(
+        `${this.baseUrl}/balance/${address}`,
+        {
+          params: query,
+        }
+      );
       return response.data;
     } catch (error) {
       console.error(
@@ -46,7 +56,9 @@ class SimBankClient {
 
   async checkIfBlacklisted(address) {
     try {
-      const response = await axios.get(`${this.baseUrl}/blacklist/${address}`);
+      const response = await this.http.get(
+        `${this.baseUrl}/blacklist/${address}`
+      );
       return response.data;
     } catch (error) {
       console.error(
@@ -59,7 +71,7 @@ class SimBankClient {
 
   async isPaused() {
     try {
-      const response = await axios.get(`${this.baseUrl}/paused`);
+      const response = await this.http.get(`${this.baseUrl}/paused`);
       return response.data;
     } catch (error) {
       console.error(
@@ -72,7 +84,7 @@ class SimBankClient {
 
   async getTransferFee() {
     try {
-      const response = await axios.get(`${this.baseUrl}/fee`);
+      const response = await this.http.get(`${this.baseUrl}/fee`);
       return response.data;
     } catch (error) {
       console.error(
@@ -83,9 +95,73 @@ class SimBankClient {
     }
   }
 
+  async quoteTransfer(from, to, amount, { grossUp = false } = {}) {
+    try {
+      const response = await this.http.get(`${this.baseUrl}/transfer/quote`, {
+        params: { from, to, amount, grossUp },
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error quoting transfer:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async getTransfers(address, query = {}) {
+    try {
+      const response = await this.http.get(
+        `${this.baseUrl}/address/${address}/transfers`,
+        { params: query }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting transfer history:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async getHolders(query = {}) {
+    try {
+      const response = await this.http.get(`${this.baseUrl}/holders`, {
+        params: query,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting holders:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async getDistribution(top = 10) {
+    try {
+      const response = await this.http.get(
+        `${this.baseUrl}/token/distribution`,
+        {
+          params: { top },
+        }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting token distribution:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
   async checkRole(role, address) {
     try {
-      const response = await axios.get(
+      const response = await this.http.get(
         `${this.baseUrl}/role/${role}/${address}`
       );
       return response.data;
@@ -98,11 +174,105 @@ class SimBankClient {
     }
   }
 
+  async getVersion() {
+    try {
+      const response = await this.http.get(`${this.baseUrl}/version`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting contract version:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  // ========== STAKING METHODS (V2) ==========
+
+  async getStakingStats() {
+    try {
+      const response = await this.http.get(`${this.baseUrl}/staking`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting staking stats:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async getStakingInfo(address) {
+    try {
+      const response = await this.http.get(
+        `${this.baseUrl}/staking/${address}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting staking info:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async stake(amount) {
+    try {
+      const response = await this.http.post(`${this.baseUrl}/stake`, {
+        amount,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error staking tokens:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async unstake(amount) {
+    try {
+      const response = await this.http.post(`${this.baseUrl}/unstake`, {
+        amount,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error unstaking tokens:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async setStakingRewardRate(rate) {
+    try {
+      const response = await this.http.post(
+        `${this.baseUrl}/staking/reward-rate`,
+        {
+          rate,
+        }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error setting staking reward rate:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
   // ========== WRITE METHODS ==========
 
   async mint(to, amount) {
     try {
-      const response = await axios.post(`${this.baseUrl}/mint`, { to, amount });
+      const response = await this.http.post(`${this.baseUrl}/mint`, {
+        to,
+        amount,
+      });
       return response.data;
     } catch (error) {
       console.error(
@@ -115,7 +285,7 @@ class SimBankClient {
 
   async transfer(to, amount) {
     try {
-      const response = await axios.post(`${this.baseUrl}/transfer`, {
+      const response = await this.http.post(`${this.baseUrl}/transfer`, {
         to,
         amount,
       });
@@ -131,7 +301,7 @@ class SimBankClient {
 
   async burn(amount) {
     try {
-      const response = await axios.post(`${this.baseUrl}/burn`, { amount });
+      const response = await this.http.post(`${this.baseUrl}/burn`, { amount });
       return response.data;
     } catch (error) {
       console.error(
@@ -144,7 +314,7 @@ class SimBankClient {
 
   async approve(spender, amount) {
     try {
-      const response = await axios.post(`${this.baseUrl}/approve`, {
+      const response = await this.http.post(`${this.baseUrl}/approve`, {
         spender,
         amount,
       });
@@ -160,7 +330,7 @@ class SimBankClient {
 
   async pause() {
     try {
-      const response = await axios.post(`${this.baseUrl}/pause`);
+      const response = await this.http.post(`${this.baseUrl}/pause`);
       return response.data;
     } catch (error) {
       console.error(
@@ -173,7 +343,7 @@ class SimBankClient {
 
   async unpause() {
     try {
-      const response = await axios.post(`${this.baseUrl}/unpause`);
+      const response = await this.http.post(`${this.baseUrl}/unpause`);
       return response.data;
     } catch (error) {
       console.error(
@@ -186,7 +356,7 @@ class SimBankClient {
 
   async blacklist(address) {
     try {
-      const response = await axios.post(`${this.baseUrl}/blacklist`, {
+      const response = await this.http.post(`${this.baseUrl}/blacklist`, {
         address,
       });
       return response.data;
@@ -201,7 +371,7 @@ class SimBankClient {
 
   async unblacklist(address) {
     try {
-      const response = await axios.post(`${this.baseUrl}/unblacklist`, {
+      const response = await this.http.post(`${this.baseUrl}/unblacklist`, {
         address,
       });
       return response.data;
@@ -216,7 +386,7 @@ class SimBankClient {
 
   async setTransferFee(feePercentage) {
     try {
-      const response = await axios.post(`${this.baseUrl}/fee`, {
+      const response = await this.http.post(`${this.baseUrl}/fee`, {
         feePercentage,
       });
       return response.data;
@@ -231,7 +401,7 @@ class SimBankClient {
 
   async grantRole(role, address) {
     try {
-      const response = await axios.post(`${this.baseUrl}/role/grant`, {
+      const response = await this.http.post(`${this.baseUrl}/role/grant`, {
         role,
         address,
       });
@@ -247,7 +417,7 @@ class SimBankClient {
 
   async revokeRole(role, address) {
     try {
-      const response = await axios.post(`${this.baseUrl}/role/revoke`, {
+      const response = await this.http.post(`${this.baseUrl}/role/revoke`, {
         role,
         address,
       });
@@ -260,6 +430,102 @@ class SimBankClient {
       throw error;
     }
   }
+
+  // ========== PROPOSAL METHODS ==========
+
+  async listProposals(query = {}) {
+    try {
+      const response = await this.http.get(`${this.baseUrl}/proposals`, {
+        params: query,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error listing proposals:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async getProposal(proposalId) {
+    try {
+      const response = await this.http.get(
+        `${this.baseUrl}/proposals/${proposalId}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting proposal:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async approveProposal(proposalId, comment) {
+    try {
+      const response = await this.http.post(
+        `${this.baseUrl}/proposals/${proposalId}/approve`,
+        { comment }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error approving proposal:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  async rejectProposal(proposalId, comment) {
+    try {
+      const response = await this.http.post(
+        `${this.baseUrl}/proposals/${proposalId}/reject`,
+        { comment }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error rejecting proposal:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  // ========== JOB METHODS ==========
+
+  async getJob(jobId) {
+    try {
+      const response = await this.http.get(`${this.baseUrl}/jobs/${jobId}`);
+      return response.data;
+    } catch (error) {
+      console.error(
+        "Error getting job:",
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Poll a write job until it is confirmed, failed or replaced
+   */
+  async waitForJob(jobId, { interval = 3000, timeout = 300000 } = {}) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const { data: job } = await this.getJob(jobId);
+      if (["confirmed", "failed", "replaced"].includes(job.status)) {
+        return job;
+      }
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+
+    throw new Error(`Timed out waiting for job ${jobId}`);
+  }
 }
 
 // ========== EXAMPLE USAGE ==========
@@ -303,23 +569,43 @@ async function main() {
       `   ${testAddress} has MINTER_ROLE: ${hasMinterRole.data.hasRole}\n`
     );
 
+    // 5. Staking is only available once the proxy is upgraded to V2
+    const { data: version } = await client.getVersion();
+    console.log(`🔖 Contract version: ${version.version}`);
+    if (version.features.staking) {
+      const stats = await client.getStakingStats();
+      console.log(`   Total Staked: ${stats.data.totalStaked.formatted} SB`);
+      console.log(
+        `   Reward Rate: ${stats.data.rewardRate.percentagePerDay}% per day\n`
+      );
+    } else {
+      console.log("   Staking not available (V1)\n");
+    }
+
     // ========== WRITE OPERATIONS (Uncomment to test - requires private key in backend) ==========
 
-    // // Mint tokens (requires MINTER_ROLE)
-    // console.log('🪙 Minting 100 SB tokens...');
-    // const mintResult = await client.mint(testAddress, '100');
-    // console.log(`   Success! TX: ${mintResult.data.transactionHash}`);
-    // console.log(`   Explorer: ${mintResult.data.explorer}\n`);
+    // // Mint tokens (requires MINTER_ROLE); this creates a proposal that
+    // // another key with the mint scope must approve
+    // console.log('🪙 Proposing to mint 100 SB tokens...');
+    // const proposal = await client.mint(testAddress, '100');
+    // console.log(`   Proposal ${proposal.data.id} is ${proposal.data.status}`);
+    // const checker = new SimBankClient(API_BASE_URL, process.env.CHECKER_API_KEY);
+    // const approved = await checker.approveProposal(proposal.data.id, 'Checked');
+    // const mintJob = await client.waitForJob(approved.data.jobId);
+    // console.log(`   Job ${mintJob.status} in block ${mintJob.blockNumber}`);
+    // console.log(`   Explorer: ${mintJob.explorer}\n`);
 
     // // Transfer tokens
     // console.log('💸 Transferring 10 SB tokens...');
     // const transferResult = await client.transfer('0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb7', '10');
-    // console.log(`   Success! TX: ${transferResult.data.transactionHash}\n`);
+    // console.log(`   Submitted! TX: ${transferResult.data.transactionHash}\n`);
 
     // // Set transfer fee (requires DEFAULT_ADMIN_ROLE)
     // console.log('💵 Setting transfer fee to 1%...');
-    // const feeResult = await client.setTransferFee(100); // 100 basis points = 1%
-    // console.log(`   Success! New fee: ${feeResult.data.percentage}%\n`);
+    // const feeProposal = await client.setTransferFee(100); // 100 basis points = 1%
+    // const feeApproved = await checker.approveProposal(feeProposal.data.id);
+    // const feeJob = await client.waitForJob(feeApproved.data.jobId);
+    // console.log(`   Job ${feeJob.status}! New fee: ${feeJob.result.percentage}%\n`);
 
     console.log("✅ Example completed successfully!");
     console.log("\n====================================");
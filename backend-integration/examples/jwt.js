@@ -0,0 +1,98 @@
+/**
+ * Local JWT issuer for trying AUTH_MODE=jwt without an identity provider
+ *
+ *   node examples/jwt.js keys [RS256|ES256] [dir]
+ *     Writes <dir>/jwt-private.pem and <dir>/jwks.json (default dir: ./data)
+ *
+ *   node examples/jwt.js sign <private.pem> <audience> "<scopes>" [expiresInSeconds]
+ *     Prints a token, e.g. node examples/jwt.js sign data/jwt-private.pem simbank-api "read mint"
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const KEY_TYPES = {
+  RS256: ["rsa", { modulusLength: 2048 }],
+  ES256: ["ec", { namedCurve: "P-256" }],
+};
+
+function generateKeys(alg = "RS256", dir = "./data") {
+  if (!KEY_TYPES[alg]) {
+    throw new Error(`Unsupported algorithm ${alg} (RS256 or ES256)`);
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(
+    ...KEY_TYPES[alg]
+  );
+  const kid = crypto.randomBytes(8).toString("hex");
+  const jwk = { ...publicKey.export({ format: "jwk" }), kid, alg, use: "sig" };
+
+  fs.mkdirSync(dir, { recursive: true });
+  const keyFile = path.join(dir, "jwt-private.pem");
+  const jwksFile = path.join(dir, "jwks.json");
+  fs.writeFileSync(
+    keyFile,
+    privateKey.export({ format: "pem", type: "pkcs8" }),
+    { mode: 0o600 }
+  );
+  // kid and alg travel with the private key so tokens can name them
+  fs.appendFileSync(keyFile, `# kid=${kid} alg=${alg}\n`);
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys: [jwk] }, null, 2));
+
+  return { keyFile, jwksFile, kid };
+}
+
+/**
+ * Sign a token
+ * @param {string} keyFile - PEM written by generateKeys
+ * @param {object} claims - Payload; iat and exp are added
+ * @param {number} [expiresIn=3600] - Seconds until exp
+ */
+function signToken(keyFile, claims, expiresIn = 3600) {
+  const pem = fs.readFileSync(keyFile, "utf8");
+  const [, kid, alg] = /# kid=(\w+) alg=(\w+)/.exec(pem);
+  const key = crypto.createPrivateKey(pem.replace(/^#.*$/m, ""));
+
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const input = `${encode({ alg, typ: "JWT", kid })}.${encode({
+    iat: now,
+    exp: now + expiresIn,
+    ...claims,
+  })}`;
+
+  const signature = crypto.sign(
+    "sha256",
+    Buffer.from(input),
+    alg === "ES256" ? { key, dsaEncoding: "ieee-p1363" } : key
+  );
+  return `${input}.${signature.toString("base64url")}`;
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === "keys") {
+    const { keyFile, jwksFile } = generateKeys(args[0], args[1]);
+    console.log(`Private key: ${keyFile}`);
+    console.log(`JWKS:        ${jwksFile}  (set JWT_JWKS_FILE to this)`);
+  } else if (command === "sign" && args.length >= 3) {
+    const [keyFile, aud, scope, expiresIn] = args;
+    console.log(
+      signToken(
+        keyFile,
+        { sub: "local-dev", aud, scope },
+        expiresIn ? Number(expiresIn) : undefined
+      )
+    );
+  } else {
+    console.error(
+      'Usage: node examples/jwt.js keys [RS256|ES256] [dir]\n       node examples/jwt.js sign <private.pem> <audience> "<scopes>" [expiresInSeconds]'
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = { generateKeys, signToken };
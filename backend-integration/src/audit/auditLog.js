@@ -0,0 +1,250 @@
+const crypto = require("crypto");
+const { ApiError } = require("../errors");
+const { silentLogger } = require("../logger");
+
+const GENESIS_HASH = "0".repeat(64);
+
+// Job statuses after which a job's outcome is recorded
+const FINAL_JOB_STATUSES = ["confirmed", "failed", "replaced"];
+
+/**
+ * Audit Log
+ * Append-only record of privileged requests and the outcome of the jobs
+ * they started. Entries are hash-chained: each hash covers the entry and the
+ * previous hash, so editing or deleting an entry breaks every later link.
+ *
+ * With a `secret`, hashes are HMACs, so the chain cannot be recomputed by
+ * someone who can write to the database but does not know the secret.
+ * Truncating the newest entries is only detectable against a head
+ * ({ seq, hash }) recorded elsewhere.
+ */
+class AuditLog {
+  /**
+   * @param {AuditStore} store
+   * @param {object} [options]
+   * @param {string} [options.secret] - HMAC key for entry hashes
+   * @param {object} [options.logger] - Receives entries auditRequest() could
+   *   not write (see logger.js)
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.secret = options.secret;
+    this.logger = options.logger ?? silentLogger;
+  }
+
+  /**
+   * Append an entry
+   * @param {object} entry - { type, action, actor, request, httpStatus,
+   *   success, result, transactionHash, jobId, proposalId, error }
+   * @returns {object} Entry with seq, timestamp and hashes
+   */
+  append(entry) {
+    const row = this.store.append(({ seq, prevHash }) => {
+      const data = canonicalJson({
+        seq,
+        timestamp: new Date().toISOString(),
+        type: entry.type,
+        action: entry.action,
+        actor: entry.actor ?? null,
+        request: entry.request ?? null,
+        httpStatus: entry.httpStatus ?? null,
+        success: Boolean(entry.success),
+        result: entry.result ?? null,
+        transactionHash: entry.transactionHash ?? null,
+        jobId: entry.jobId ?? null,
+        proposalId: entry.proposalId ?? null,
+        error: entry.error ?? null,
+      });
+      const previous = prevHash ?? GENESIS_HASH;
+      const parsed = JSON.parse(data);
+
+      return {
+        seq,
+        createdAt: parsed.timestamp,
+        type: parsed.type,
+        action: parsed.action,
+        actorId: parsed.actor?.id ?? null,
+        jobId: parsed.jobId,
+        success: parsed.success,
+        data,
+        prevHash: previous,
+        hash: this._hash(previous, data),
+      };
+    });
+    return fromRow(row);
+  }
+
+  /**
+   * Record a privileged HTTP request and its response
+   * @param {string} action - e.g. "mint"
+   * @param {object} req - Express request
+   * @param {number} status - Response status code
+   * @param {object} body - Response body
+   * @param {object} [refs] - { jobId, proposalId, transactionHash, ... } set by the route
+   */
+  recordRequest(action, req, status, body, refs = {}) {
+    const { jobId, proposalId, transactionHash, ...result } = refs;
+    return this.append({
+      type: "request",
+      action,
+      actor: formatActor(req.auth),
+      request: { method: req.method, path: req.originalUrl, body: req.body },
+      httpStatus: status,
+      success: status < 400,
+      result: Object.keys(result).length ? result : null,
+      transactionHash,
+      jobId,
+      proposalId,
+      error: status >= 400 ? { code: body?.code, message: body?.error } : null,
+    });
+  }
+
+  /**
+   * Record the outcome of a job started by an audited request
+   * Jobs no audited request refers to are ignored. The entry is attributed
+   * to the caller of that request (for proposals, the last approver).
+   * @param {object} job - Job from JobManager
+   */
+  recordJob(job) {
+    if (!FINAL_JOB_STATUSES.includes(job.status)) {
+      return null;
+    }
+    const origin = this.store.findByJob(job.id);
+    if (!origin) {
+      return null;
+    }
+
+    const request = JSON.parse(origin.data);
+    return this.append({
+      type: "job",
+      action: job.operation,
+      actor: request.actor,
+      success: job.status === "confirmed",
+      result: job.result,
+      transactionHash: job.transactionHash,
+      jobId: job.id,
+      proposalId: request.proposalId,
+      error:
+        job.status === "confirmed"
+          ? null
+          : { code: job.errorCode ?? job.status, message: job.error },
+    });
+  }
+
+  /**
+   * Entries, newest first, with cursor pagination
+   * @param {object} filter - { action, actorId, jobId, success, from, to, cursor, limit }
+   * @returns {object} { items, nextCursor }
+   */
+  query(filter = {}) {
+    const limit = filter.limit ?? 100;
+    let before;
+    if (filter.cursor !== undefined) {
+      before = Number(filter.cursor);
+      if (!Number.isInteger(before)) {
+        throw new ApiError(400, "VALIDATION_ERROR", "Invalid cursor");
+      }
+    }
+
+    const items = this.store.query({ ...filter, before, limit }).map(fromRow);
+    return {
+      items,
+      nextCursor:
+        items.length === limit ? String(items[items.length - 1].seq) : null,
+    };
+  }
+
+  /**
+   * Re-walk the chain from the first entry
+   * @returns {object} { valid, entries, head: { seq, hash } | null,
+   *   error: { seq, reason } | null } - error is the first broken link
+   */
+  verify() {
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    let entries = 0;
+
+    for (const row of this.store.iterate()) {
+      const reason = this._check(row, previous);
+      if (reason) {
+        return {
+          valid: false,
+          entries,
+          head: previous.seq ? previous : null,
+          error: { seq: row.seq, reason },
+        };
+      }
+      previous = { seq: row.seq, hash: row.hash };
+      entries++;
+    }
+
+    return {
+      valid: true,
+      entries,
+      head: previous.seq ? previous : null,
+      error: null,
+    };
+  }
+
+  _check(row, previous) {
+    if (row.seq !== previous.seq + 1) {
+      return row.seq === previous.seq + 2
+        ? `Entry ${previous.seq + 1} is missing`
+        : `Entries ${previous.seq + 1}-${row.seq - 1} are missing`;
+    }
+    if (row.prev_hash !== previous.hash) {
+      return "Previous hash does not match the preceding entry";
+    }
+    if (row.hash !== this._hash(row.prev_hash, row.data)) {
+      return "Entry was modified (hash mismatch)";
+    }
+
+    const data = JSON.parse(row.data);
+    if (
+      data.seq !== row.seq ||
+      data.action !== row.action ||
+      data.timestamp !== row.created_at ||
+      (data.actor?.id ?? null) !== row.actor_id ||
+      data.jobId !== row.job_id ||
+      data.success !== Boolean(row.success)
+    ) {
+      return "Indexed columns do not match the entry";
+    }
+    return null;
+  }
+
+  _hash(prevHash, data) {
+    const hash = this.secret
+      ? crypto.createHmac("sha256", this.secret)
+      : crypto.createHash("sha256");
+    return hash.update(`${prevHash}\n${data}`).digest("hex");
+  }
+}
+
+/**
+ * JSON with object keys sorted, so equal entries always hash the same
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, item) =>
+    item && typeof item === "object" && !Array.isArray(item)
+      ? Object.fromEntries(
+          Object.keys(item)
+            .sort()
+            .map((name) => [name, item[name]])
+        )
+      : item
+  );
+}
+
+const formatActor = (caller) =>
+  caller ? { type: caller.type, id: caller.id, name: caller.name } : null;
+
+function fromRow(row) {
+  return {
+    ...JSON.parse(row.data),
+    prevHash: row.prevHash ?? row.prev_hash,
+    hash: row.hash,
+  };
+}
+
+module.exports = AuditLog;
+module.exports.GENESIS_HASH = GENESIS_HASH;
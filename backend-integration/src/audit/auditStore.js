@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite store for the audit log
+ * `data` holds each entry exactly as it was hashed; the other columns are
+ * copies used for filtering.
+ */
+class AuditStore {
+  /**
+   * @param {string} filename - Database file (":memory:" for a throwaway database)
+   */
+  constructor(filename) {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        seq INTEGER PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        type TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor_id TEXT,
+        job_id TEXT,
+        success INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS audit_action ON audit_log (action, seq);
+      CREATE INDEX IF NOT EXISTS audit_actor ON audit_log (actor_id, seq);
+      CREATE INDEX IF NOT EXISTS audit_job ON audit_log (job_id, seq);
+    `);
+
+    this.statements = {
+      insert: this.db.prepare(
+        `INSERT INTO audit_log
+          (seq, created_at, type, action, actor_id, job_id, success, data, prev_hash, hash)
+          VALUES (@seq, @createdAt, @type, @action, @actorId, @jobId, @success, @data, @prevHash, @hash)`
+      ),
+      head: this.db.prepare(
+        "SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1"
+      ),
+      firstByJob: this.db.prepare(
+        "SELECT * FROM audit_log WHERE job_id = ? ORDER BY seq LIMIT 1"
+      ),
+      all: this.db.prepare("SELECT * FROM audit_log ORDER BY seq"),
+    };
+  }
+
+  /**
+   * Append an entry built from the current head, atomically
+   * @param {function} build - ({ seq, prevHash }) => row to insert
+   */
+  append(build) {
+    return this.db.transaction(() => {
+      const head = this.statements.head.get();
+      const row = build({
+        seq: head ? head.seq + 1 : 1,
+        prevHash: head ? head.hash : null,
+      });
+      this.statements.insert.run({ ...row, success: row.success ? 1 : 0 });
+      return row;
+    })();
+  }
+
+  /**
+   * First entry that references a job (the request that created it)
+   */
+  findByJob(jobId) {
+    return this.statements.firstByJob.get(jobId) ?? null;
+  }
+
+  /**
+   * Entries, newest first
+   * @param {object} filter - { action, actorId, jobId, success, from, to, before, limit }
+   */
+  query(filter = {}) {
+    const columns = {
+      action: "action = ?",
+      actorId: "actor_id = ?",
+      jobId: "job_id = ?",
+      from: "created_at >= ?",
+      to: "created_at <= ?",
+      before: "seq < ?",
+    };
+    const conditions = [];
+    const params = [];
+
+    for (const [key, condition] of Object.entries(columns)) {
+      if (filter[key] !== undefined) {
+        conditions.push(condition);
+        params.push(filter[key]);
+      }
+    }
+    if (filter.success !== undefined) {
+      conditions.push("success = ?");
+      params.push(filter.success ? 1 : 0);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM audit_log ${where} ORDER BY seq DESC LIMIT ?`)
+      .all(...params, filter.limit ?? 100);
+  }
+
+  /**
+   * Every entry, oldest first, without loading them all at once
+   */
+  iterate() {
+    return this.statements.all.iterate();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = AuditStore;
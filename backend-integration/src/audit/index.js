@@ -0,0 +1,10 @@
+const AuditLog = require("./auditLog");
+const AuditStore = require("./auditStore");
+const { auditRequest } = require("./middleware");
+
+module.exports = {
+  AuditLog,
+  AuditStore,
+  GENESIS_HASH: AuditLog.GENESIS_HASH,
+  auditRequest,
+};
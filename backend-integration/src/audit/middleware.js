@@ -0,0 +1,38 @@
+/**
+ * Express middleware recording a privileged request in the audit log
+ * Mount it before requireScope so refused calls are recorded too. The entry
+ * is written when the route responds, with the references the route put in
+ * `res.locals.audit` ({ jobId, proposalId, transactionHash }). Dry runs
+ * change nothing and are not recorded.
+ * @param {AuditLog} auditLog
+ * @param {string} action - e.g. "mint"
+ */
+function auditRequest(auditLog, action) {
+  return (req, res, next) => {
+    if (req.query.dryRun === "true") {
+      return next();
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      try {
+        auditLog.recordRequest(
+          action,
+          req,
+          res.statusCode,
+          body,
+          res.locals.audit
+        );
+      } catch (error) {
+        auditLog.logger.error(
+          `Audit log: failed to record ${action}:`,
+          error.message
+        );
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { auditRequest };
@@ -0,0 +1,45 @@
+/**
+ * Verify the audit log's hash chain
+ * Usage: npm run audit:verify [-- <audit.db>]
+ * Reads AUDIT_DB_PATH and AUDIT_SECRET like the server. Prints the head
+ * ({ seq, hash }) to compare against a copy kept elsewhere, and exits with
+ * status 1 if the chain is broken.
+ */
+const fs = require("fs");
+const AuditLog = require("./auditLog");
+const AuditStore = require("./auditStore");
+require("dotenv").config();
+
+function main() {
+  const filename =
+    process.argv[2] || process.env.AUDIT_DB_PATH || "./data/audit.db";
+  if (!fs.existsSync(filename)) {
+    console.error(`❌ ${filename} does not exist`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const store = new AuditStore(filename);
+  const result = new AuditLog(store, {
+    secret: process.env.AUDIT_SECRET,
+  }).verify();
+  store.close();
+
+  const head = result.head
+    ? `#${result.head.seq} ${result.head.hash}`
+    : "(empty)";
+  if (result.valid) {
+    console.log(`✅ ${filename}: ${result.entries} entries, chain intact`);
+    console.log(`Head: ${head}`);
+    return;
+  }
+
+  console.error(`❌ ${filename}: chain broken at entry #${result.error.seq}`);
+  console.error(`Reason: ${result.error.reason}`);
+  console.error(`Last good entry: ${head}`);
+  process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,288 @@
+const crypto = require("crypto");
+const { ApiError } = require("../errors");
+
+/**
+ * Permission scopes, mirroring the contract's roles
+ * - read:       every GET endpoint
+ * - mint:       MINTER_ROLE operations
+ * - pause:      PAUSER_ROLE operations
+ * - compliance: blacklisting
+ * - admin:      everything else (fees, roles, treasury transfers, keys, webhooks);
+ *               implies every other scope
+ */
+const SCOPES = ["read", "mint", "pause", "compliance", "admin"];
+
+const KEY_PREFIX = "sbk";
+
+/**
+ * API Key Manager
+ * Issues keys of the form `sbk_<id>_<secret>`. The id locates the stored
+ * record and the whole key is compared by SHA-256 hash, so a database leak
+ * does not reveal usable keys.
+ *
+ * A bootstrap admin key can be supplied from the environment; it is never
+ * stored and can be used to create the real keys.
+ */
+class ApiKeyManager {
+  /**
+   * @param {ApiKeyStore} store
+   * @param {object} [options]
+   * @param {string} [options.bootstrapKey] - Admin key accepted without being stored
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.bootstrapHash = options.bootstrapKey
+      ? hashKey(options.bootstrapKey)
+      : null;
+  }
+
+  /**
+   * Create a key
+   * @param {object} params
+   * @param {string} params.name - What the key is for
+   * @param {string[]} params.scopes - Subset of SCOPES
+   * @param {string} [params.expiresAt] - ISO 8601 date after which the key stops working
+   * @param {object} [params.createdBy] - Caller creating the key (req.auth)
+   * @returns {object} Key record plus `key`, the only time the key is returned
+   */
+  create({ name, scopes, expiresAt, createdBy }) {
+    if (!name || typeof name !== "string") {
+      throw new ApiError(400, "VALIDATION_ERROR", "name is required");
+    }
+    validateScopes(scopes);
+
+    let expires = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const time = Date.parse(expiresAt);
+      if (Number.isNaN(time) || time <= Date.now()) {
+        throw new ApiError(
+          400,
+          "VALIDATION_ERROR",
+          "expiresAt must be a future ISO 8601 date"
+        );
+      }
+      expires = new Date(time).toISOString();
+    }
+
+    return this._issue({
+      name,
+      scopes,
+      expiresAt: expires,
+      createdBy: formatCreator(createdBy),
+    });
+  }
+
+  list() {
+    return this.store.list().map(formatKey);
+  }
+
+  get(id) {
+    return formatKey(this._getStored(id));
+  }
+
+  /**
+   * Replace a key with a new secret, same name and scopes
+   * @param {string} id
+   * @param {object} [options]
+   * @param {number} [options.gracePeriod=0] - Seconds the old key keeps
+   *   working, never past its own expiry
+   * @param {object} [options.rotatedBy] - Caller rotating the key (req.auth),
+   *   recorded as the new key's creator since they receive its secret
+   * @returns {object} New key record plus `key`
+   * @throws {ApiError} 409 if the key is revoked or has expired
+   */
+  rotate(id, { gracePeriod = 0, rotatedBy } = {}) {
+    const current = this._getStored(id);
+    const now = Date.now();
+    if (current.revokedAt) {
+      throw new ApiError(409, "API_KEY_REVOKED", "API key is revoked");
+    }
+    if (current.expiresAt && Date.parse(current.expiresAt) <= now) {
+      throw new ApiError(409, "API_KEY_EXPIRED", "API key has expired");
+    }
+    if (!Number.isInteger(gracePeriod) || gracePeriod < 0) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        "gracePeriod must be a number of seconds"
+      );
+    }
+
+    const graceEnd = current.expiresAt
+      ? Math.min(now + gracePeriod * 1000, Date.parse(current.expiresAt))
+      : now + gracePeriod * 1000;
+    const retire =
+      gracePeriod > 0
+        ? { expiresAt: new Date(graceEnd).toISOString() }
+        : { revokedAt: new Date(now).toISOString() };
+
+    return this._issue(
+      {
+        name: current.name,
+        scopes: current.scopes,
+        expiresAt: current.expiresAt,
+        rotatedFrom: current.id,
+        createdBy: formatCreator(rotatedBy),
+      },
+      retire
+    );
+  }
+
+  revoke(id) {
+    const current = this._getStored(id);
+    if (current.revokedAt) {
+      return formatKey(current);
+    }
+    return formatKey(
+      this.store.update(id, { revokedAt: new Date().toISOString() })
+    );
+  }
+
+  /**
+   * Resolve a presented key to the caller it belongs to
+   * @param {string} key
+   * @returns {object} { type: "apiKey", id, name, scopes, lineage }; see
+   *   lineage()
+   * @throws {ApiError} 401 if the key is unknown, revoked or expired
+   */
+  authenticate(key) {
+    const hash = hashKey(key);
+
+    if (this.bootstrapHash && safeEqual(hash, this.bootstrapHash)) {
+      return {
+        type: "apiKey",
+        id: "bootstrap",
+        name: "ADMIN_API_KEY",
+        scopes: ["admin"],
+        lineage: [],
+      };
+    }
+
+    const match = new RegExp(`^${KEY_PREFIX}_([0-9a-f]{16})_`).exec(key);
+    const stored = match ? this.store.get(match[1]) : null;
+    if (!stored || !safeEqual(hash, stored.keyHash)) {
+      throw unauthorized("Invalid API key");
+    }
+    if (stored.revokedAt) {
+      throw unauthorized("API key has been revoked");
+    }
+    if (stored.expiresAt && Date.parse(stored.expiresAt) <= Date.now()) {
+      throw unauthorized("API key has expired");
+    }
+
+    this.store.update(stored.id, { lastUsedAt: new Date().toISOString() });
+    return {
+      type: "apiKey",
+      id: stored.id,
+      name: stored.name,
+      scopes: stored.scopes,
+      lineage: this.lineage(stored),
+    };
+  }
+
+  /**
+   * Callers a key derives from: the keys it was rotated from and whoever
+   * created or rotated any of them, following created keys back to theirs.
+   * Whoever holds one of these could have the key, so it does not count as
+   * a different person from them (e.g. for approvals).
+   * @param {object} key - Stored key
+   * @returns {string[]} ["<type>:<id>", ...]
+   */
+  lineage(key) {
+    const lineage = [];
+    const pending = [key];
+    while (pending.length) {
+      const current = pending.shift();
+      const parents = [
+        current.rotatedFrom && { type: "apiKey", id: current.rotatedFrom },
+        current.createdBy,
+      ];
+      for (const parent of parents.filter(Boolean)) {
+        const ref = `${parent.type}:${parent.id}`;
+        if (lineage.includes(ref)) {
+          continue;
+        }
+        lineage.push(ref);
+        const stored =
+          parent.type === "apiKey" ? this.store.get(parent.id) : null;
+        if (stored) {
+          pending.push(stored);
+        }
+      }
+    }
+    return lineage;
+  }
+
+  _issue(record, retire) {
+    const id = crypto.randomBytes(8).toString("hex");
+    const key = `${KEY_PREFIX}_${id}_${crypto
+      .randomBytes(32)
+      .toString("base64url")}`;
+
+    const entry = {
+      ...record,
+      id,
+      keyHash: hashKey(key),
+      createdAt: new Date().toISOString(),
+    };
+    const stored = retire
+      ? this.store.rotate(entry, retire)
+      : this.store.create(entry);
+
+    return { ...formatKey(stored), key };
+  }
+
+  _getStored(id) {
+    const stored = this.store.get(id);
+    if (!stored) {
+      throw new ApiError(404, "API_KEY_NOT_FOUND", "API key not found");
+    }
+    return stored;
+  }
+}
+
+/**
+ * Whether a caller's scopes allow an action; admin allows everything
+ */
+function hasScope(scopes, scope) {
+  return scopes.includes("admin") || scopes.includes(scope);
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw new ApiError(
+      400,
+      "VALIDATION_ERROR",
+      `scopes must be a non-empty array of ${SCOPES.join(", ")}`
+    );
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length) {
+    throw new ApiError(
+      400,
+      "VALIDATION_ERROR",
+      `Unknown scope: ${unknown.join(", ")} (one of ${SCOPES.join(", ")})`
+    );
+  }
+}
+
+const hashKey = (key) =>
+  crypto.createHash("sha256").update(String(key)).digest("hex");
+
+const safeEqual = (a, b) =>
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Creator as recorded on a key; null when authentication is disabled
+const formatCreator = (caller) =>
+  caller?.id ? { type: caller.type, id: caller.id, name: caller.name } : null;
+
+const unauthorized = (message) => new ApiError(401, "UNAUTHORIZED", message);
+
+function formatKey({ keyHash, ...key }) {
+  return key;
+}
+
+module.exports = ApiKeyManager;
+module.exports.SCOPES = SCOPES;
+module.exports.hasScope = hasScope;
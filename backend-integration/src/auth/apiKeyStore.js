@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite store for API keys
+ * Only a SHA-256 hash of each key is kept; the key itself is shown once.
+ */
+class ApiKeyStore {
+  /**
+   * @param {string} filename - Database file (":memory:" for a throwaway database)
+   */
+  constructor(filename) {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT,
+        revoked_at TEXT,
+        last_used_at TEXT,
+        rotated_from TEXT,
+        created_by TEXT
+      );
+    `);
+
+    this.statements = {
+      insert: this.db.prepare(
+        `INSERT INTO api_keys (id, name, key_hash, scopes, created_at, expires_at, rotated_from, created_by)
+          VALUES (@id, @name, @keyHash, @scopes, @createdAt, @expiresAt, @rotatedFrom, @createdBy)`
+      ),
+      get: this.db.prepare("SELECT * FROM api_keys WHERE id = ?"),
+      list: this.db.prepare("SELECT * FROM api_keys ORDER BY created_at"),
+      count: this.db.prepare(
+        "SELECT COUNT(*) AS count FROM api_keys WHERE revoked_at IS NULL"
+      ),
+    };
+  }
+
+  create(key) {
+    this.statements.insert.run({
+      ...key,
+      scopes: JSON.stringify(key.scopes),
+      expiresAt: key.expiresAt ?? null,
+      rotatedFrom: key.rotatedFrom ?? null,
+      createdBy: key.createdBy ? JSON.stringify(key.createdBy) : null,
+    });
+    return this.get(key.id);
+  }
+
+  get(id) {
+    const row = this.statements.get.get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  list() {
+    return this.statements.list.all().map(fromRow);
+  }
+
+  countActive() {
+    return this.statements.count.get().count;
+  }
+
+  update(id, changes) {
+    const columns = {
+      expiresAt: "expires_at",
+      revokedAt: "revoked_at",
+      lastUsedAt: "last_used_at",
+    };
+    const keys = Object.keys(changes).filter((key) => columns[key]);
+    if (keys.length) {
+      this.db
+        .prepare(
+          `UPDATE api_keys SET ${keys
+            .map((key) => `${columns[key]} = @${key}`)
+            .join(", ")} WHERE id = @id`
+        )
+        .run({ ...changes, id });
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Create a replacement key and retire the old one atomically
+   * @param {object} key - New key
+   * @param {object} retire - Changes to the old key ({ revokedAt } or { expiresAt })
+   */
+  rotate(key, retire) {
+    return this.db.transaction(() => {
+      this.update(key.rotatedFrom, retire);
+      return this.create(key);
+    })();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyHash: row.key_hash,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at,
+    rotatedFrom: row.rotated_from,
+    createdBy: row.created_by ? JSON.parse(row.created_by) : null,
+  };
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,26 @@
+const ApiKeyManager = require("./apiKeyManager");
+const ApiKeyStore = require("./apiKeyStore");
+const JwtVerifier = require("./jwtVerifier");
+const SiweAuth = require("./siweAuth");
+const {
+  credentialVerifier,
+  authenticate,
+  authenticateRequest,
+  requireScope,
+  ANONYMOUS,
+} = require("./middleware");
+
+module.exports = {
+  ApiKeyManager,
+  ApiKeyStore,
+  JwtVerifier,
+  SiweAuth,
+  parseSiweMessage: SiweAuth.parseSiweMessage,
+  SCOPES: ApiKeyManager.SCOPES,
+  hasScope: ApiKeyManager.hasScope,
+  credentialVerifier,
+  authenticate,
+  authenticateRequest,
+  requireScope,
+  ANONYMOUS,
+};
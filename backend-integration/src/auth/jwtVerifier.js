@@ -0,0 +1,283 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { ApiError } = require("../errors");
+const { silentLogger } = require("../logger");
+const { SCOPES } = require("./apiKeyManager");
+
+// Signature algorithms accepted, the keys they need, and how to check them
+// with node:crypto
+const ALGORITHMS = {
+  RS256: { kty: "RSA", verify: (key) => key },
+  ES256: {
+    kty: "EC",
+    crv: "P-256",
+    verify: (key) => ({ key, dsaEncoding: "ieee-p1363" }),
+  },
+};
+
+/**
+ * Claim values granting each scope unless a mapping is configured:
+ * the scope names themselves and the contract role names
+ */
+const DEFAULT_SCOPE_MAP = {
+  ...Object.fromEntries(SCOPES.map((scope) => [scope, scope])),
+  MINTER_ROLE: "mint",
+  PAUSER_ROLE: "pause",
+  DEFAULT_ADMIN_ROLE: "admin",
+};
+
+/**
+ * JWT Verifier
+ * Validates RS256/ES256 bearer tokens against a JWKS (file or URL) and maps
+ * their claims onto API scopes.
+ *
+ * Keys from a URL are cached for `cacheTtl`; a token signed with an unknown
+ * `kid` triggers a refetch (at most every 30 seconds) so key rollover at the
+ * identity provider needs no restart.
+ */
+class JwtVerifier {
+  /**
+   * @param {object} options
+   * @param {string} [options.jwksFile] - Path to a JWKS JSON file
+   * @param {string} [options.jwksUrl] - JWKS endpoint of the identity provider
+   * @param {string} options.audience - Required `aud`
+   * @param {string} [options.issuer] - Required `iss`, if set
+   * @param {string[]} [options.scopeClaims=["scope", "scp", "roles"]] - Claims
+   *   holding permissions; dotted paths reach nested claims (e.g. "realm_access.roles")
+   * @param {object} [options.scopeMap] - Claim value -> scope (default: DEFAULT_SCOPE_MAP)
+   * @param {number} [options.clockTolerance=60] - Seconds of clock skew allowed
+   * @param {number} [options.cacheTtl=600000] - Ms to cache keys from jwksUrl
+   * @param {object} [options.logger] - Receives failed key refreshes (see logger.js)
+   */
+  constructor(options) {
+    if (!options.jwksFile && !options.jwksUrl) {
+      throw new Error("JWT authentication needs a JWKS file or URL");
+    }
+    if (!options.audience) {
+      throw new Error("JWT authentication needs an audience");
+    }
+
+    this.jwksFile = options.jwksFile;
+    this.jwksUrl = options.jwksUrl;
+    this.audience = options.audience;
+    this.issuer = options.issuer;
+    this.scopeClaims = options.scopeClaims ?? ["scope", "scp", "roles"];
+    this.scopeMap = options.scopeMap ?? DEFAULT_SCOPE_MAP;
+    this.clockTolerance = options.clockTolerance ?? 60;
+    this.cacheTtl = options.cacheTtl ?? 600000;
+    this.logger = options.logger ?? silentLogger;
+
+    this.keys = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Resolve a bearer token to the caller it was issued to
+   * @param {string} token - Compact JWS
+   * @returns {object} { type: "jwt", id, name, scopes, claims }
+   * @throws {ApiError} 401 if the token is malformed, badly signed, expired,
+   *   not yet valid, for another audience or issuer, or names no subject
+   */
+  async authenticate(token) {
+    const parts = String(token).split(".");
+    if (parts.length !== 3) {
+      throw invalidToken("Malformed token");
+    }
+
+    const header = decodeJson(parts[0]);
+    const claims = decodeJson(parts[1]);
+    if (!header || !claims) {
+      throw invalidToken("Malformed token");
+    }
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw invalidToken(`Unsupported algorithm ${header.alg}`);
+    }
+
+    const key = await this._getKey(header, algorithm);
+    const valid = crypto.verify(
+      "sha256",
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      algorithm.verify(key),
+      Buffer.from(parts[2], "base64url")
+    );
+    if (!valid) {
+      throw invalidToken("Invalid token signature");
+    }
+
+    this._checkClaims(claims);
+
+    // The caller's id keys idempotency, approvals and audit entries
+    const subject = claims.sub ?? claims.client_id ?? claims.azp;
+    if (typeof subject !== "string" || subject === "") {
+      throw invalidToken("Token names no subject (sub, client_id or azp)");
+    }
+    return {
+      type: "jwt",
+      id: subject,
+      name: claims.client_id ?? claims.azp ?? subject,
+      scopes: this.scopesFor(claims),
+      claims,
+    };
+  }
+
+  /**
+   * API scopes granted by a token's claims
+   * String claims are split on spaces (OAuth `scope`), arrays used as is.
+   */
+  scopesFor(claims) {
+    const scopes = new Set();
+    for (const path of this.scopeClaims) {
+      const value = path
+        .split(".")
+        .reduce((object, key) => object?.[key], claims);
+      const values =
+        typeof value === "string" ? value.split(" ") : [].concat(value ?? []);
+
+      for (const item of values) {
+        const scope = this.scopeMap[item];
+        if (SCOPES.includes(scope)) {
+          scopes.add(scope);
+        }
+      }
+    }
+    return [...scopes];
+  }
+
+  _checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof claims.exp !== "number") {
+      throw invalidToken("Token has no expiry");
+    }
+    if (claims.exp + this.clockTolerance <= now) {
+      throw invalidToken("Token has expired");
+    }
+    if (
+      typeof claims.nbf === "number" &&
+      claims.nbf - this.clockTolerance > now
+    ) {
+      throw invalidToken("Token is not valid yet");
+    }
+
+    const audiences = [].concat(claims.aud ?? []);
+    if (!audiences.includes(this.audience)) {
+      throw invalidToken("Token is not intended for this API (audience)");
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw invalidToken("Token issuer is not trusted");
+    }
+  }
+
+  /**
+   * Public key for a token header, refreshing the JWKS on an unknown kid
+   */
+  async _getKey(header, algorithm) {
+    if (!this.keys || Date.now() - this.loadedAt > this.cacheTtl) {
+      await this._loadKeys();
+    }
+
+    let jwk = findKey(this.keys, header, algorithm);
+    if (!jwk && Date.now() - this.loadedAt > 30000) {
+      await this._loadKeys();
+      jwk = findKey(this.keys, header, algorithm);
+    }
+    if (!jwk) {
+      throw invalidToken("Token signed with an unknown key");
+    }
+
+    try {
+      return crypto.createPublicKey({ key: jwk, format: "jwk" });
+    } catch (error) {
+      throw invalidToken("Token signed with an unusable key");
+    }
+  }
+
+  _loadKeys() {
+    if (!this.loading) {
+      this.loading = this._fetchKeys()
+        .then((keys) => {
+          this.keys = keys;
+          this.loadedAt = Date.now();
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  async _fetchKeys() {
+    let jwks;
+    try {
+      if (this.jwksFile) {
+        jwks = JSON.parse(fs.readFileSync(this.jwksFile, "utf8"));
+      } else {
+        const response = await fetch(this.jwksUrl, {
+          signal: AbortSignal.timeout(10000),
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        jwks = await response.json();
+      }
+    } catch (error) {
+      // Keep serving with the keys we have if a refresh fails
+      if (this.keys) {
+        this.logger.error("Failed to refresh JWKS:", error.message);
+        return this.keys;
+      }
+      throw new ApiError(
+        503,
+        "AUTH_UNAVAILABLE",
+        `Could not load signing keys: ${error.message}`
+      );
+    }
+
+    if (!Array.isArray(jwks?.keys)) {
+      throw new ApiError(503, "AUTH_UNAVAILABLE", "JWKS has no keys array");
+    }
+    return jwks.keys;
+  }
+}
+
+// Whether a JWK can check signatures of the header's algorithm
+const keyFits = (jwk, header, algorithm) =>
+  jwk.kty === algorithm.kty &&
+  (!algorithm.crv || jwk.crv === algorithm.crv) &&
+  (!jwk.alg || jwk.alg === header.alg);
+
+// Key matching the header's kid (or the only candidate when there is no kid)
+// A kid naming a key of another type or curve is rejected rather than
+// checked with the wrong algorithm
+function findKey(keys, header, algorithm) {
+  const signingKeys = keys.filter((jwk) => !jwk.use || jwk.use === "sig");
+  if (header.kid !== undefined) {
+    const jwk = signingKeys.find((key) => key.kid === header.kid);
+    if (jwk && !keyFits(jwk, header, algorithm)) {
+      throw invalidToken(
+        `Token algorithm ${header.alg} does not match its signing key`
+      );
+    }
+    return jwk ?? null;
+  }
+  const candidates = signingKeys.filter((jwk) =>
+    keyFits(jwk, header, algorithm)
+  );
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+function decodeJson(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+const invalidToken = (message) => new ApiError(401, "UNAUTHORIZED", message);
+
+module.exports = JwtVerifier;
+module.exports.DEFAULT_SCOPE_MAP = DEFAULT_SCOPE_MAP;
@@ -0,0 +1,136 @@
+const { ApiError } = require("../errors");
+const { hasScope } = require("./apiKeyManager");
+
+// Caller when authentication is disabled
+const ANONYMOUS = {
+  type: "anonymous",
+  id: null,
+  name: "anonymous",
+  scopes: ["admin"],
+};
+
+// Compact JWS: three base64url segments
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * Credential verifier accepting API keys, JWTs, or both, plus wallet sessions
+ * With both, credentials shaped like a JWT go to the JWT verifier.
+ * @param {object} verifiers
+ * @param {ApiKeyManager} [verifiers.apiKeys]
+ * @param {JwtVerifier} [verifiers.jwt]
+ * @param {SiweAuth} [verifiers.sessions] - Sign-In With Ethereum sessions
+ * @returns {object} { authenticate(credential) }
+ */
+function credentialVerifier({ apiKeys, jwt, sessions }) {
+  return {
+    authenticate: async (credential) => {
+      if (sessions?.isSessionToken(credential)) {
+        return sessions.authenticate(credential);
+      }
+      if (jwt && (!apiKeys || JWT_PATTERN.test(credential))) {
+        return jwt.authenticate(credential);
+      }
+      if (apiKeys) {
+        return apiKeys.authenticate(credential);
+      }
+      throw new ApiError(401, "UNAUTHORIZED", "Invalid credentials");
+    },
+  };
+}
+
+/**
+ * Express middleware resolving the caller (req.auth) from a credential
+ * Credentials are read from `Authorization: Bearer <credential>` or
+ * `X-API-Key: <key>`. EventSource cannot send headers, so the paths in
+ * `queryKeyPaths` also accept `?apiKey=<credential>`.
+ * @param {object} verifier - ApiKeyManager, JwtVerifier or credentialVerifier()
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - false runs every request as an anonymous admin
+ * @param {string[]} [options.queryKeyPaths=[]]
+ */
+function authenticate(verifier, options = {}) {
+  const enabled = options.enabled ?? true;
+  const queryKeyPaths = options.queryKeyPaths ?? [];
+
+  return async (req, res, next) => {
+    if (!enabled) {
+      req.auth = ANONYMOUS;
+      return next();
+    }
+
+    try {
+      const allowQuery = queryKeyPaths.includes(req.baseUrl + req.path);
+      req.auth = await authenticateRequest(
+        verifier,
+        req.headers,
+        allowQuery && req.query
+      );
+    } catch (error) {
+      res.set("WWW-Authenticate", 'Bearer realm="simbank"');
+      return next(error);
+    }
+    next();
+  };
+}
+
+/**
+ * Resolve the caller of a raw HTTP request (e.g. a WebSocket upgrade)
+ * @param {object} verifier - See authenticate
+ * @param {object} headers - Request headers
+ * @param {object} [query] - Query parameters, if `apiKey` may be passed there
+ * @returns {Promise<object>} Caller: { type, id, name, scopes }
+ */
+async function authenticateRequest(verifier, headers, query) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || "");
+  const credential = bearer?.[1] || headers["x-api-key"] || query?.apiKey;
+
+  if (!credential) {
+    throw new ApiError(401, "UNAUTHORIZED", "Missing credentials");
+  }
+  return verifier.authenticate(credential);
+}
+
+/**
+ * Reject callers without a scope (admin has every scope)
+ * Wallet callers (Sign-In With Ethereum) have no scopes; routes acting on a
+ * single address let them through for their own address only.
+ * @param {string} scope - One of SCOPES
+ * @param {object} [options]
+ * @param {function} [options.self] - (req) => the address the request acts on
+ */
+function requireScope(scope, options = {}) {
+  return (req, res, next) => {
+    if (req.auth && hasScope(req.auth.scopes, scope)) {
+      return next();
+    }
+
+    const target = req.auth?.address && options.self?.(req);
+    if (target) {
+      if (String(target).toLowerCase() === req.auth.address.toLowerCase()) {
+        return next();
+      }
+      return next(
+        new ApiError(
+          403,
+          "FORBIDDEN",
+          `Signed in as ${req.auth.address}; cannot act on ${target}`,
+          { address: req.auth.address }
+        )
+      );
+    }
+
+    next(
+      new ApiError(403, "FORBIDDEN", `Requires the "${scope}" scope`, {
+        requiredScope: scope,
+      })
+    );
+  };
+}
+
+module.exports = {
+  credentialVerifier,
+  authenticate,
+  authenticateRequest,
+  requireScope,
+  ANONYMOUS,
+};
@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { ApiError } = require("../errors");
+
+const SESSION_PREFIX = "sbs";
+
+// Fields after the statement, in EIP-4361 order
+const FIELDS = {
+  URI: "uri",
+  Version: "version",
+  "Chain ID": "chainId",
+  Nonce: "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId",
+};
+
+/**
+ * Sign-In With Ethereum (EIP-4361)
+ * A wallet signs a SIWE message containing a nonce from createNonce(); a
+ * valid signature is exchanged for a session token bound to the address.
+ *
+ * Sessions carry no scopes: routes opt in to wallet callers for their own
+ * address (see requireScope's `self` option). Nonces and sessions are kept
+ * in memory, so a restart signs everyone out.
+ */
+class SiweAuth {
+  /**
+   * @param {object} options
+   * @param {function} options.getChainId - Resolves the chain id messages must name
+   * @param {string} options.domain - Domain messages must name (this server's)
+   * @param {number} [options.sessionTtl=86400] - Session lifetime in seconds
+   * @param {number} [options.nonceTtl=600] - Seconds a nonce can be used
+   */
+  constructor(options) {
+    // The Host header is the client's to choose, so it cannot stand in
+    if (!options.domain) {
+      throw new Error("Sign-In With Ethereum needs a domain (SIWE_DOMAIN)");
+    }
+    this.getChainId = options.getChainId;
+    this.domain = options.domain;
+    this.sessionTtl = options.sessionTtl ?? 86400;
+    this.nonceTtl = options.nonceTtl ?? 600;
+
+    // nonce -> expiry (ms); session hash -> { address, expiresAt }
+    this.nonces = new Map();
+    this.sessions = new Map();
+  }
+
+  /**
+   * Issue a single-use nonce for a SIWE message
+   * @returns {object} { nonce, expiresAt }
+   */
+  createNonce() {
+    this._sweep();
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const expiresAt = Date.now() + this.nonceTtl * 1000;
+    this.nonces.set(nonce, expiresAt);
+    return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Verify a signed SIWE message and start a session
+   * @param {string} message - EIP-4361 message, exactly as signed
+   * @param {string} signature - personal_sign signature
+   * @returns {object} { token, address, expiresAt }
+   * @throws {ApiError} 400 if the message is malformed, 401 if it is not
+   *   acceptable (domain, chain, nonce, validity window or signature)
+   */
+  async verify(message, signature) {
+    if (typeof message !== "string" || typeof signature !== "string") {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        "Missing required fields: message, signature"
+      );
+    }
+    const fields = parseSiweMessage(message);
+
+    if (fields.domain !== this.domain) {
+      throw unauthorized(`Message is for ${fields.domain}, not ${this.domain}`);
+    }
+
+    const chainId = Number(await this.getChainId());
+    if (fields.chainId !== chainId) {
+      throw unauthorized(
+        `Message is for chain ${fields.chainId}, not ${chainId}`
+      );
+    }
+
+    const now = Date.now();
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+      throw unauthorized("Message has expired");
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+      throw unauthorized("Message is not valid yet");
+    }
+    if (Date.parse(fields.issuedAt) > now + 60000) {
+      throw unauthorized("Message is issued in the future");
+    }
+
+    const nonceExpiry = this.nonces.get(fields.nonce);
+    if (!nonceExpiry || nonceExpiry <= now) {
+      throw unauthorized("Unknown or expired nonce");
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw unauthorized("Invalid signature");
+    }
+    if (signer !== fields.address) {
+      throw unauthorized("Signature does not match the message address");
+    }
+
+    // Only a successful sign-in uses up the nonce
+    this.nonces.delete(fields.nonce);
+
+    let expiresAt = now + this.sessionTtl * 1000;
+    if (fields.expirationTime) {
+      expiresAt = Math.min(expiresAt, Date.parse(fields.expirationTime));
+    }
+
+    const token = `${SESSION_PREFIX}_${crypto
+      .randomBytes(32)
+      .toString("base64url")}`;
+    this.sessions.set(hashToken(token), {
+      address: fields.address,
+      expiresAt,
+    });
+
+    return {
+      token,
+      address: fields.address,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Resolve a session token to the wallet it was issued to
+   * @param {string} token
+   * @returns {object} { type: "siwe", id, name, scopes: [], address }
+   * @throws {ApiError} 401 if the session is unknown or expired
+   */
+  authenticate(token) {
+    const session = this.sessions.get(hashToken(token));
+    if (!session || session.expiresAt <= Date.now()) {
+      throw unauthorized("Invalid or expired session");
+    }
+    return {
+      type: "siwe",
+      id: session.address,
+      name: session.address,
+      scopes: [],
+      address: session.address,
+    };
+  }
+
+  /**
+   * End a session (sign out)
+   */
+  revoke(token) {
+    this.sessions.delete(hashToken(token));
+  }
+
+  /**
+   * Whether a credential is a session token rather than an API key or JWT
+   */
+  isSessionToken(credential) {
+    return String(credential).startsWith(`${SESSION_PREFIX}_`);
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) {
+        this.nonces.delete(nonce);
+      }
+    }
+    for (const [hash, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(hash);
+      }
+    }
+  }
+}
+
+/**
+ * Parse an EIP-4361 message
+ * @param {string} message
+ * @returns {object} { domain, address, statement, uri, version, chainId,
+ *   nonce, issuedAt, expirationTime, notBefore, requestId, resources }
+ * @throws {ApiError} 400 if a required field is missing or malformed
+ */
+function parseSiweMessage(message) {
+  const lines = message.split("\n");
+  const header =
+    /^(?:[a-zA-Z][a-zA-Z0-9+\-.]*:\/\/)?(\S+) wants you to sign in with your Ethereum account:$/.exec(
+      lines[0]
+    );
+  if (!header || !ethers.isAddress(lines[1] ?? "")) {
+    throw invalidMessage("expected a domain and an address");
+  }
+
+  const fields = {
+    domain: header[1],
+    address: ethers.getAddress(lines[1]),
+    statement: null,
+    resources: [],
+  };
+
+  let index = 2;
+  const statement = [];
+  while (index < lines.length && !/^URI: /.test(lines[index])) {
+    statement.push(lines[index++]);
+  }
+  fields.statement = statement.join("\n").trim() || null;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === "Resources:") {
+      fields.resources = lines
+        .slice(index + 1)
+        .filter((resource) => resource.startsWith("- "))
+        .map((resource) => resource.slice(2));
+      break;
+    }
+
+    const match = /^([A-Za-z ]+): (.*)$/.exec(line);
+    if (match && FIELDS[match[1]]) {
+      fields[FIELDS[match[1]]] = match[2];
+    }
+  }
+
+  for (const name of ["URI", "Version", "Chain ID", "Nonce", "Issued At"]) {
+    if (fields[FIELDS[name]] === undefined) {
+      throw invalidMessage(`missing ${name}`);
+    }
+  }
+  if (fields.version !== "1") {
+    throw invalidMessage("Version must be 1");
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw invalidMessage("Nonce must be at least 8 alphanumeric characters");
+  }
+  fields.chainId = Number(fields.chainId);
+  if (!Number.isInteger(fields.chainId)) {
+    throw invalidMessage("Chain ID must be an integer");
+  }
+  for (const name of ["issuedAt", "expirationTime", "notBefore"]) {
+    if (fields[name] !== undefined && Number.isNaN(Date.parse(fields[name]))) {
+      throw invalidMessage(`${name} must be an ISO 8601 date`);
+    }
+  }
+
+  return fields;
+}
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const unauthorized = (message) => new ApiError(401, "UNAUTHORIZED", message);
+
+const invalidMessage = (reason) =>
+  new ApiError(400, "VALIDATION_ERROR", `Invalid SIWE message: ${reason}`);
+
+module.exports = SiweAuth;
+module.exports.parseSiweMessage = parseSiweMessage;
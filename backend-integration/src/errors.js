@@ -0,0 +1,322 @@
+const { ethers } = require("ethers");
+const SimBankABI = require("../abi/SimBankToken.abi.json");
+
+const contractInterface = new ethers.Interface(SimBankABI);
+
+const ROLE_NAMES = {
+  [ethers.ZeroHash]: "DEFAULT_ADMIN_ROLE",
+  [ethers.id("MINTER_ROLE")]: "MINTER_ROLE",
+  [ethers.id("PAUSER_ROLE")]: "PAUSER_ROLE",
+  [ethers.id("UPGRADER_ROLE")]: "UPGRADER_ROLE",
+};
+
+/**
+ * Error returned to API clients
+ * `code` is stable and meant for clients to branch on; `message` is for humans
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Stable error code (e.g. "CONTRACT_PAUSED")
+   * @param {string} message - Human readable message
+   * @param {object} [details] - Extra structured information
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: this.message,
+      code: this.code,
+      ...(this.details !== undefined && { details: this.details }),
+    };
+  }
+}
+
+/**
+ * OpenZeppelin v5 custom errors raised by SimBankToken
+ */
+const CUSTOM_ERRORS = {
+  AccessControlUnauthorizedAccount: {
+    status: 403,
+    code: "MISSING_ROLE",
+    message: ({ account, neededRole }) =>
+      `Account ${account} is missing role ${
+        ROLE_NAMES[neededRole] || neededRole
+      }`,
+  },
+  AccessControlBadConfirmation: {
+    status: 400,
+    code: "BAD_CONFIRMATION",
+    message: () => "Accounts can only renounce roles for themselves",
+  },
+  EnforcedPause: {
+    status: 409,
+    code: "CONTRACT_PAUSED",
+    message: () => "Token transfers are paused",
+  },
+  ExpectedPause: {
+    status: 409,
+    code: "CONTRACT_NOT_PAUSED",
+    message: () => "Contract is not paused",
+  },
+  ERC20InsufficientBalance: {
+    status: 422,
+    code: "INSUFFICIENT_BALANCE",
+    message: ({ sender, balance, needed }) =>
+      `Insufficient balance: ${sender} has ${ethers.formatEther(
+        balance
+      )} SB, needs ${ethers.formatEther(needed)} SB`,
+  },
+  ERC20InsufficientAllowance: {
+    status: 422,
+    code: "INSUFFICIENT_ALLOWANCE",
+    message: ({ spender, allowance, needed }) =>
+      `Insufficient allowance: ${spender} may spend ${ethers.formatEther(
+        allowance
+      )} SB, needs ${ethers.formatEther(needed)} SB`,
+  },
+  ERC20InvalidSender: {
+    status: 400,
+    code: "INVALID_ADDRESS",
+    message: ({ sender }) => `Invalid sender: ${sender}`,
+  },
+  ERC20InvalidReceiver: {
+    status: 400,
+    code: "INVALID_ADDRESS",
+    message: ({ receiver }) => `Invalid receiver: ${receiver}`,
+  },
+  ERC20InvalidApprover: {
+    status: 400,
+    code: "INVALID_ADDRESS",
+    message: ({ approver }) => `Invalid approver: ${approver}`,
+  },
+  ERC20InvalidSpender: {
+    status: 400,
+    code: "INVALID_ADDRESS",
+    message: ({ spender }) => `Invalid spender: ${spender}`,
+  },
+  ERC2612ExpiredSignature: {
+    status: 400,
+    code: "PERMIT_EXPIRED",
+    message: ({ deadline }) => `Permit deadline ${deadline} has passed`,
+  },
+  ERC2612InvalidSigner: {
+    status: 400,
+    code: "INVALID_PERMIT_SIGNATURE",
+    message: ({ signer, owner }) =>
+      `Permit signed by ${signer} instead of owner ${owner}`,
+  },
+  InvalidAccountNonce: {
+    status: 409,
+    code: "INVALID_NONCE",
+    message: ({ account, currentNonce }) =>
+      `Invalid nonce for ${account}, current nonce is ${currentNonce}`,
+  },
+};
+
+/**
+ * require() reasons raised by SimBankToken
+ */
+const REVERT_REASONS = {
+  "Sender is blacklisted": { status: 403, code: "SENDER_BLACKLISTED" },
+  "Recipient is blacklisted": { status: 403, code: "RECIPIENT_BLACKLISTED" },
+  "Mint would exceed max supply": {
+    status: 422,
+    code: "MAX_SUPPLY_EXCEEDED",
+  },
+  "Account already blacklisted": { status: 409, code: "ALREADY_BLACKLISTED" },
+  "Account not blacklisted": { status: 409, code: "NOT_BLACKLISTED" },
+  "Cannot blacklist zero address": { status: 400, code: "INVALID_ADDRESS" },
+  "Fee cannot exceed 10%": { status: 400, code: "FEE_TOO_HIGH" },
+  "Fee recipient cannot be zero address": {
+    status: 400,
+    code: "INVALID_ADDRESS",
+  },
+  "Cannot recover to zero address": { status: 400, code: "INVALID_ADDRESS" },
+  "Cannot recover own tokens": { status: 400, code: "INVALID_TOKEN" },
+  // SimBankTokenV2 staking
+  "Cannot stake 0 tokens": { status: 400, code: "INVALID_AMOUNT" },
+  "Cannot unstake 0 tokens": { status: 400, code: "INVALID_AMOUNT" },
+  "Insufficient balance": { status: 422, code: "INSUFFICIENT_BALANCE" },
+  "Insufficient staked balance": {
+    status: 422,
+    code: "INSUFFICIENT_STAKED_BALANCE",
+  },
+  "Reward would exceed max supply": {
+    status: 422,
+    code: "MAX_SUPPLY_EXCEEDED",
+  },
+  "Reward rate too high": { status: 400, code: "REWARD_RATE_TOO_HIGH" },
+};
+
+/**
+ * Errors that are not contract reverts, by ethers error code
+ */
+const ETHERS_ERRORS = {
+  INVALID_ARGUMENT: { status: 400, code: "INVALID_ARGUMENT" },
+  NUMERIC_FAULT: { status: 400, code: "INVALID_ARGUMENT" },
+  INSUFFICIENT_FUNDS: { status: 503, code: "SIGNER_INSUFFICIENT_FUNDS" },
+  NETWORK_ERROR: { status: 502, code: "RPC_ERROR" },
+  SERVER_ERROR: { status: 502, code: "RPC_ERROR" },
+  TIMEOUT: { status: 504, code: "RPC_TIMEOUT" },
+};
+
+/**
+ * Find raw revert data anywhere in a (possibly nested) RPC error
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) {
+    return null;
+  }
+
+  if (typeof error.data === "string" && /^0x[0-9a-f]{8}/i.test(error.data)) {
+    return error.data;
+  }
+
+  for (const nested of [error.error, error.info?.error, error.cause]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) {
+      return data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode a contract revert into { name, args } or { reason }
+ * @returns {object|null} null if the error carries no decodable revert
+ */
+function decodeRevert(error) {
+  const revertName = error?.revert?.name;
+  if (revertName && revertName !== "Error" && revertName !== "Panic") {
+    const fragment = contractInterface.getError(revertName);
+    if (fragment) {
+      return {
+        name: revertName,
+        args: fragment.inputs.length
+          ? namedArgs(fragment, error.revert.args)
+          : {},
+      };
+    }
+  }
+
+  const data = findRevertData(error);
+  if (data) {
+    let parsed = null;
+    try {
+      parsed = contractInterface.parseError(data);
+    } catch (_) {
+      // Unknown selector or malformed data
+    }
+
+    // Built-in Error(string) and Panic(uint256)
+    if (parsed?.name === "Error") {
+      return { reason: parsed.args[0] };
+    }
+    if (parsed?.name === "Panic") {
+      return { reason: `Panic(0x${parsed.args[0].toString(16)})` };
+    }
+    if (parsed) {
+      return {
+        name: parsed.name,
+        args: namedArgs(parsed.fragment, parsed.args),
+      };
+    }
+  }
+
+  if (error?.reason && ethers.isError(error, "CALL_EXCEPTION")) {
+    return { reason: error.reason };
+  }
+
+  return null;
+}
+
+function namedArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, index) => {
+    const value = args[index];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return result;
+}
+
+/**
+ * Convert any error into an ApiError
+ * @param {Error} error - Original error (ethers, RPC or ApiError)
+ * @param {string} [context] - Prefix for the message, e.g. "Mint failed"
+ */
+function toApiError(error, context) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  const prefix = (message) => (context ? `${context}: ${message}` : message);
+  const revert = decodeRevert(error);
+
+  if (revert?.name) {
+    const known = CUSTOM_ERRORS[revert.name];
+    return new ApiError(
+      known?.status || 422,
+      known?.code || "CONTRACT_REVERT",
+      prefix(known ? known.message(revert.args) : revert.name),
+      { error: revert.name, args: revert.args }
+    );
+  }
+
+  if (revert?.reason) {
+    const known = REVERT_REASONS[revert.reason];
+    return new ApiError(
+      known?.status || 422,
+      known?.code || "CONTRACT_REVERT",
+      prefix(revert.reason),
+      { reason: revert.reason }
+    );
+  }
+
+  if (ethers.isError(error, "CALL_EXCEPTION")) {
+    return new ApiError(
+      422,
+      "CONTRACT_REVERT",
+      prefix(error.shortMessage || "Transaction reverted")
+    );
+  }
+
+  // Empty return data: no contract code, e.g. a read before deployment
+  if (ethers.isError(error, "BAD_DATA") && error.value === "0x") {
+    return new ApiError(
+      404,
+      "CONTRACT_NOT_DEPLOYED",
+      prefix("No contract deployed at this address and block")
+    );
+  }
+
+  const known = ETHERS_ERRORS[error?.code];
+  if (known) {
+    return new ApiError(
+      known.status,
+      known.code,
+      prefix(error.shortMessage || error.message)
+    );
+  }
+
+  return new ApiError(
+    500,
+    "INTERNAL_ERROR",
+    prefix(error?.shortMessage || error?.message || "Unknown error")
+  );
+}
+
+module.exports = {
+  ApiError,
+  toApiError,
+  decodeRevert,
+  CUSTOM_ERRORS,
+  REVERT_REASONS,
+};
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite store for idempotency keys and the responses they produced
+ * Keys are scoped to the client that sent them.
+ */
+class IdempotencyStore {
+  /**
+   * @param {string} filename - Database file (":memory:" for a throwaway database)
+   */
+  constructor(filename) {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        client TEXT NOT NULL,
+        key TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        status TEXT NOT NULL,
+        response_status INTEGER,
+        response_body TEXT,
+        location TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        PRIMARY KEY (client, key)
+      );
+      CREATE INDEX IF NOT EXISTS idempotency_expires
+        ON idempotency_keys (expires_at);
+    `);
+
+    this.statements = {
+      get: this.db.prepare(
+        "SELECT * FROM idempotency_keys WHERE client = ? AND key = ?"
+      ),
+      insert: this.db.prepare(
+        `INSERT INTO idempotency_keys
+          (client, key, fingerprint, method, path, status, created_at, expires_at)
+          VALUES (@client, @key, @fingerprint, @method, @path, 'processing', @createdAt, @expiresAt)`
+      ),
+      complete: this.db.prepare(
+        `UPDATE idempotency_keys
+          SET status = 'completed', response_status = @status, response_body = @body, location = @location
+          WHERE client = @client AND key = @key`
+      ),
+      delete: this.db.prepare(
+        "DELETE FROM idempotency_keys WHERE client = ? AND key = ?"
+      ),
+      purge: this.db.prepare(
+        "DELETE FROM idempotency_keys WHERE expires_at <= ?"
+      ),
+      interrupt: this.db.prepare(
+        `UPDATE idempotency_keys
+          SET status = 'completed', response_status = @status, response_body = @body
+          WHERE status = 'processing'`
+      ),
+    };
+  }
+
+  /**
+   * Claim a key for a request, atomically
+   * Expired records are dropped first, so their keys can be used again.
+   * @param {object} record - { client, key, fingerprint, method, path, createdAt, expiresAt }
+   * @returns {object|null} The existing record, or null if the key was claimed
+   */
+  claim(record) {
+    return this.db.transaction(() => {
+      this.statements.purge.run(record.createdAt);
+      const existing = this.statements.get.get(record.client, record.key);
+      if (existing) {
+        return fromRow(existing);
+      }
+      this.statements.insert.run(record);
+      return null;
+    })();
+  }
+
+  /**
+   * Store the response of a claimed key
+   * @param {object} response - { status, body, location }
+   */
+  complete(client, key, response) {
+    this.statements.complete.run({
+      client,
+      key,
+      status: response.status,
+      body: JSON.stringify(response.body),
+      location: response.location ?? null,
+    });
+  }
+
+  /**
+   * Give a claimed key up without a response, so it can be retried
+   */
+  release(client, key) {
+    this.statements.delete.run(client, key);
+  }
+
+  /**
+   * Complete every claimed key with `response`
+   * Used on startup for requests cut short by a restart.
+   * @returns {number} Keys completed
+   */
+  interruptProcessing(response) {
+    return this.statements.interrupt.run({
+      status: response.status,
+      body: JSON.stringify(response.body),
+    }).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function fromRow(row) {
+  return {
+    client: row.client,
+    key: row.key,
+    fingerprint: row.fingerprint,
+    method: row.method,
+    path: row.path,
+    status: row.status,
+    response:
+      row.status === "completed"
+        ? {
+            status: row.response_status,
+            body: JSON.parse(row.response_body),
+            location: row.location,
+          }
+        : null,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,7 @@
+const IdempotencyStore = require("./idempotencyStore");
+const { idempotent } = require("./middleware");
+
+module.exports = {
+  IdempotencyStore,
+  idempotent,
+};
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { ApiError } = require("../errors");
+const { silentLogger } = require("../logger");
+
+// Responses that mean "nothing was done, try again later" are not kept
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * Express middleware making a write route idempotent
+ * A request with an `Idempotency-Key` header claims the key for its client.
+ * Its response (the job or proposal, or the error) is stored, and repeats
+ * with the same key and request get that response again, with an
+ * `Idempotent-Replayed: true` header, instead of running the operation twice.
+ *
+ * Mount it after validation: rejected requests do not use up the key.
+ * @param {IdempotencyStore} store
+ * @param {object} [options]
+ * @param {number} [options.ttl=86400] - Seconds a key and its response are kept
+ * @param {object} [options.logger] - Receives responses that could not be
+ *   stored (see logger.js)
+ */
+function idempotent(store, options = {}) {
+  const ttl = options.ttl ?? 86400;
+  const logger = options.logger ?? silentLogger;
+
+  return (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) {
+      return next();
+    }
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        "Idempotency-Key must be 1-255 printable ASCII characters"
+      );
+    }
+
+    const client = req.auth?.id
+      ? `${req.auth.type}:${req.auth.id}`
+      : "anonymous";
+    const fingerprint = fingerprintRequest(req);
+    const now = Date.now();
+
+    const existing = store.claim({
+      client,
+      key,
+      fingerprint,
+      method: req.method,
+      path: req.originalUrl,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString(),
+    });
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        throw new ApiError(
+          422,
+          "IDEMPOTENCY_KEY_REUSED",
+          "Idempotency-Key was already used for a different request",
+          { method: existing.method, path: existing.path }
+        );
+      }
+      if (existing.status === "processing") {
+        throw new ApiError(
+          409,
+          "IDEMPOTENCY_KEY_IN_USE",
+          "A request with this Idempotency-Key is still being processed",
+          { retryAfter: 1 }
+        );
+      }
+
+      const { status, body, location } = existing.response;
+      res.set("Idempotent-Replayed", "true");
+      if (location) {
+        res.location(location);
+      }
+      return res.status(status).json(body);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      try {
+        if (RETRYABLE_STATUSES.includes(res.statusCode)) {
+          store.release(client, key);
+        } else {
+          store.complete(client, key, {
+            status: res.statusCode,
+            body,
+            location: res.get("Location"),
+          });
+        }
+      } catch (error) {
+        logger.error("Failed to store idempotent response:", error.message);
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+/**
+ * Hash of what makes two requests the same: method, URL and body
+ * Body keys are sorted, so retries that serialize them differently match.
+ */
+function fingerprintRequest(req) {
+  const body = JSON.stringify(req.body ?? {}, (name, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((key) => [key, value[key]])
+        )
+      : value
+  );
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl}\n${body}`)
+    .digest("hex");
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,34 @@
+/**
+ * Share of `total` as a percentage with 4 decimals
+ */
+function percentage(part, total) {
+  if (total === 0n) {
+    return 0;
+  }
+  return Number((part * 1000000n) / total) / 10000;
+}
+
+/**
+ * Gini coefficient of a set of balances
+ * 0 when everyone holds the same amount, close to 1 when one address holds everything.
+ * @param {bigint[]} balances - Non-zero balances, smallest first
+ * @returns {number} Rounded to 4 decimals
+ */
+function giniCoefficient(balances) {
+  const n = BigInt(balances.length);
+  const total = balances.reduce((sum, balance) => sum + balance, 0n);
+  if (n === 0n || total === 0n) {
+    return 0;
+  }
+
+  // G = (2 * sum(i * x_i)) / (n * sum(x)) - (n + 1) / n, with i starting at 1
+  let weighted = 0n;
+  balances.forEach((balance, index) => {
+    weighted += BigInt(index + 1) * balance;
+  });
+
+  const numerator = 2n * weighted - (n + 1n) * total;
+  return Number((numerator * 10000n) / (n * total)) / 10000;
+}
+
+module.exports = { percentage, giniCoefficient };
@@ -0,0 +1,621 @@
+const EventEmitter = require("events");
+const { ethers } = require("ethers");
+const { ApiError } = require("../errors");
+const { silentLogger } = require("../logger");
+const { extractTransfers } = require("./transfers");
+const { percentage, giniCoefficient } = require("./distribution");
+
+/**
+ * Contract events persisted by the indexer
+ * Staked, Unstaked and StakingRewardRateUpdated only appear once the proxy
+ * runs SimBankTokenV2.
+ */
+const INDEXED_EVENTS = [
+  "Transfer",
+  "Approval",
+  "Paused",
+  "Unpaused",
+  "Blacklisted",
+  "Unblacklisted",
+  "TransferFeeUpdated",
+  "FeeRecipientUpdated",
+  "RoleGranted",
+  "RoleRevoked",
+  "Staked",
+  "Unstaked",
+  "StakingRewardRateUpdated",
+];
+
+// Bump when extractTransfers or the balances projection change so
+// existing databases are rebuilt from the stored events
+const PROJECTIONS_VERSION = 2;
+
+// Connectivity problems are retried on the next poll instead of
+// being mistaken for a range the RPC node refuses to serve
+const TRANSIENT_ERRORS = ["NETWORK_ERROR", "TIMEOUT"];
+
+/**
+ * Event Indexer
+ * Backfills contract events from the deployment block in chunked getLogs
+ * ranges, then tails new blocks. Progress is checkpointed in the store after
+ * every range, so a restart resumes where it stopped.
+ *
+ * Reorgs are detected by comparing stored block hashes with the chain; the
+ * store is rolled back to the newest block that still matches and the range
+ * after it is scanned again.
+ *
+ * Events:
+ * - "head"   blockNumber              - new chain head seen
+ * - "events" [event, ...]             - newly indexed events, in chain order
+ * - "reorg"  { fromBlock, toBlock, removed } - events rolled back
+ */
+class EventIndexer extends EventEmitter {
+  /**
+   * @param {SimBankService} service - Provides the provider, address and ABI
+   * @param {EventStore} store - Where events and checkpoints are kept
+   * @param {object} [options]
+   * @param {number} [options.startBlock] - First block to scan (default: deployment block)
+   * @param {number} [options.chunkSize=2000] - Blocks per getLogs request
+   * @param {number} [options.confirmations=0] - Stay this many blocks behind the head
+   * @param {number} [options.pollInterval=15000] - Ms between syncs once caught up
+   * @param {number} [options.reorgDepth=128] - Blocks below the checkpoint checked for reorgs
+   * @param {number} [options.changeLogSize=10000] - Added/removed changes kept for streaming clients
+   * @param {object} [options.logger] - Receives failed syncs (see logger.js)
+   */
+  constructor(service, store, options = {}) {
+    super();
+    this.service = service;
+    this.provider = service.provider;
+    this.contractAddress = service.contractAddress;
+    this.interface = service.contract.interface;
+    this.store = store;
+
+    this.startBlock = options.startBlock;
+    this.chunkSize = options.chunkSize ?? 2000;
+    this.confirmations = options.confirmations ?? 0;
+    this.pollInterval = options.pollInterval ?? 15000;
+    this.reorgDepth = options.reorgDepth ?? 128;
+    this.changeLogSize = options.changeLogSize ?? 10000;
+    this.logger = options.logger ?? silentLogger;
+
+    this.topics = [
+      INDEXED_EVENTS.map((name) => this.interface.getEvent(name).topicHash),
+    ];
+
+    this.initialized = false;
+    this.running = false;
+    this.syncing = null;
+    this.timer = null;
+    this.headBlock = null;
+    this.lastSyncAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Sync now and keep polling for new blocks
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this._poll();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Index everything up to the current head (minus confirmations)
+   * Concurrent calls share the sync in progress.
+   * @returns {object} { blockNumber, headBlock }
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this._sync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * First block with code at the contract address (binary search)
+   * Needs an RPC node that serves historical state.
+   */
+  async findDeploymentBlock() {
+    const latest = await this.provider.getBlockNumber();
+    const hasCode = async (blockTag) =>
+      (await this.provider.getCode(this.contractAddress, blockTag)) !== "0x";
+
+    if (!(await hasCode(latest))) {
+      throw new Error(`No contract deployed at ${this.contractAddress}`);
+    }
+
+    let low = 0;
+    let high = latest;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (await hasCode(mid)) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Page of transfers sent or received by an address, newest first by default
+   * @param {string} address
+   * @param {object} [options] - Filters as in EventStore.getTransfers, plus
+   *   `cursor` (from a previous page) and `limit`
+   * @returns {object} { items, nextCursor }
+   */
+  getTransfers(address, options = {}) {
+    const account = ethers.getAddress(address);
+    const limit = options.limit ?? 50;
+
+    const rows = this.store.getTransfers(account, {
+      ...options,
+      counterparty: options.counterparty
+        ? ethers.getAddress(options.counterparty)
+        : undefined,
+      after: options.cursor ? decodeCursor(options.cursor) : undefined,
+      limit: limit + 1,
+    });
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      items: page.map((row) => this._formatTransfer(account, row)),
+      nextCursor: rows.length > limit ? encodeCursor(last) : null,
+    };
+  }
+
+  /**
+   * Page of holders with a non-zero indexed balance, largest first by default
+   * @param {object} [options] - { order: "desc" | "asc", cursor, limit }
+   * @returns {object} { items, nextCursor }
+   */
+  getHolders(options = {}) {
+    const limit = options.limit ?? 50;
+    const supply = this._indexedSupply();
+
+    const rows = this.store.getHolders({
+      order: options.order,
+      after: options.cursor ? decodeHolderCursor(options.cursor) : undefined,
+      limit: limit + 1,
+    });
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      items: page.map((row) => ({
+        address: row.address,
+        balance: formatWei(row.balance),
+        share: percentage(BigInt(row.balance), supply),
+      })),
+      nextCursor: rows.length > limit ? encodeHolderCursor(last) : null,
+    };
+  }
+
+  /**
+   * Holder statistics derived from indexed transfers
+   * The indexed supply (mints - burns) is reconciled against totalSupply().
+   * @param {object} [options]
+   * @param {number} [options.top=10] - Number of largest holders to report
+   */
+  async getDistribution({ top = 10 } = {}) {
+    const balances = this.store.getAllBalances();
+    const negative = this.store.getNegativeBalances();
+    const owed = negative.reduce(
+      (sum, holder) => sum + BigInt(holder.balance),
+      0n
+    );
+    const supply = balances.reduce((sum, balance) => sum + balance, 0n) + owed;
+
+    const [tokenInfo, feeRecipient] = await Promise.all([
+      this.service.getTokenInfo(),
+      this.service.getFeeRecipient(),
+    ]);
+
+    // SimBankTokenV2 holds staked tokens on the token contract itself
+    const staked = this.store.getBalance(
+      ethers.getAddress(this.contractAddress)
+    );
+    const feeRecipientBalance = this.store.getBalance(feeRecipient);
+    const circulating = supply - staked - feeRecipientBalance;
+
+    const topHolders = this.store.getHolders({ limit: top });
+    const topTotal = topHolders.reduce(
+      (sum, holder) => sum + BigInt(holder.balance),
+      0n
+    );
+
+    const onChainSupply = BigInt(tokenInfo.totalSupply.wei);
+    const checkpoint = this.store.getCheckpoint();
+
+    return {
+      holderCount: balances.length,
+      giniCoefficient: giniCoefficient(balances),
+      topHolders: {
+        count: topHolders.length,
+        share: percentage(topTotal, supply),
+        holders: topHolders.map((holder) => ({
+          address: holder.address,
+          balance: formatWei(BigInt(holder.balance)),
+          share: percentage(BigInt(holder.balance), supply),
+        })),
+      },
+      supply: {
+        total: formatWei(supply),
+        circulating: {
+          ...formatWei(circulating),
+          share: percentage(circulating, supply),
+        },
+        staked: {
+          ...formatWei(staked),
+          share: percentage(staked, supply),
+        },
+        feeRecipient: {
+          address: feeRecipient,
+          ...formatWei(feeRecipientBalance),
+          share: percentage(feeRecipientBalance, supply),
+        },
+      },
+      reconciliation: {
+        indexedTotalSupply: formatWei(supply),
+        onChainTotalSupply: formatWei(onChainSupply),
+        difference: formatWei(onChainSupply - supply),
+        reconciled: onChainSupply === supply,
+        negativeBalances: {
+          count: negative.length,
+          total: formatWei(owed),
+          holders: negative.slice(0, top).map((holder) => ({
+            address: holder.address,
+            balance: formatWei(BigInt(holder.balance)),
+          })),
+        },
+        indexedThroughBlock: checkpoint?.number ?? null,
+        headBlock: this.headBlock,
+      },
+    };
+  }
+
+  getStatus() {
+    const checkpoint = this.initialized ? this.store.getCheckpoint() : null;
+    const lastIndexedBlock = checkpoint ? checkpoint.number : null;
+
+    return {
+      running: this.running,
+      syncing: Boolean(this.syncing),
+      startBlock: this.initialized ? this.startBlock : null,
+      lastIndexedBlock,
+      headBlock: this.headBlock,
+      lag:
+        this.headBlock !== null && lastIndexedBlock !== null
+          ? Math.max(0, this.headBlock - lastIndexedBlock)
+          : null,
+      confirmations: this.confirmations,
+      chunkSize: this.chunkSize,
+      events: this.store.countEvents(),
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError,
+    };
+  }
+
+  async _poll() {
+    try {
+      await this.sync();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.shortMessage || error.message;
+      this.logger.error("Event indexer sync failed:", this.lastError);
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this._poll(), this.pollInterval);
+      // Never keep the process alive just for indexing
+      this.timer.unref?.();
+    }
+  }
+
+  async _sync() {
+    await this._init();
+
+    const headBlock = await this.provider.getBlockNumber();
+    if (headBlock !== this.headBlock) {
+      this.headBlock = headBlock;
+      this.emit("head", headBlock);
+    }
+    await this._checkReorg();
+
+    const target = this.headBlock - this.confirmations;
+    let checkpoint = this.store.getCheckpoint();
+
+    while (checkpoint.number < target) {
+      const fromBlock = checkpoint.number + 1;
+      const toBlock = Math.min(fromBlock + this.chunkSize - 1, target);
+      checkpoint = await this._scan(fromBlock, toBlock);
+    }
+
+    this.store.pruneBlocks(checkpoint.number - this.reorgDepth);
+    this.store.pruneChanges(this.changeLogSize);
+    this.lastSyncAt = new Date().toISOString();
+    return { blockNumber: checkpoint.number, headBlock: this.headBlock };
+  }
+
+  /**
+   * Bind the database to this chain and contract, and set the start block
+   */
+  async _init() {
+    if (this.initialized) {
+      return;
+    }
+
+    const { chainId } = await this.provider.getNetwork();
+    const scope = {
+      chainId: chainId.toString(),
+      contractAddress: ethers.getAddress(this.contractAddress),
+    };
+
+    const stored = this.store.getMeta("scope");
+    if (
+      stored &&
+      (stored.chainId !== scope.chainId ||
+        stored.contractAddress !== scope.contractAddress)
+    ) {
+      throw new Error(
+        `Event database belongs to ${stored.contractAddress} on chain ${stored.chainId}`
+      );
+    }
+
+    if (!this.store.getCheckpoint()) {
+      let startBlock = this.startBlock;
+      if (startBlock === undefined) {
+        try {
+          startBlock = await this.findDeploymentBlock();
+        } catch (error) {
+          throw new Error(
+            `Could not find the deployment block (${error.message}); configure a start block`
+          );
+        }
+      }
+
+      this.store.setMeta("scope", scope);
+      this.store.setMeta("startBlock", startBlock);
+      this.store.commit({
+        events: [],
+        blocks: [],
+        checkpoint: { number: startBlock - 1, hash: null },
+      });
+    }
+
+    this.startBlock = this.store.getMeta("startBlock");
+
+    if (this.store.getMeta("projectionsVersion") !== PROJECTIONS_VERSION) {
+      const events = this.store.getEvents({
+        name: ["Transfer", "TransferFeeUpdated"],
+      });
+      this.store.replaceTransfers(extractTransfers(events, 0));
+      this.store.setMeta("projectionsVersion", PROJECTIONS_VERSION);
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Scan one block range and commit it
+   * Halves the range when the RPC node refuses it (too many blocks or results)
+   * @returns {object} New checkpoint
+   */
+  async _scan(fromBlock, toBlock) {
+    let logs;
+    try {
+      logs = await this.provider.getLogs({
+        address: this.contractAddress,
+        topics: this.topics,
+        fromBlock,
+        toBlock,
+      });
+    } catch (error) {
+      if (toBlock === fromBlock || TRANSIENT_ERRORS.includes(error.code)) {
+        throw error;
+      }
+      this.chunkSize = Math.max(1, Math.floor((toBlock - fromBlock + 1) / 2));
+      return this.store.getCheckpoint();
+    }
+
+    const blockNumbers = new Set(logs.map((log) => log.blockNumber));
+    blockNumbers.add(toBlock);
+
+    const blocks = new Map();
+    for (const number of blockNumbers) {
+      const block = await this.provider.getBlock(number);
+      if (!block) {
+        throw new Error(
+          `Block ${number} not found; the chain may have reorganized`
+        );
+      }
+      blocks.set(number, block);
+    }
+
+    const events = [];
+    for (const log of logs) {
+      const block = blocks.get(log.blockNumber);
+      if (log.removed || log.blockHash !== block.hash) {
+        throw new Error(
+          `Block ${log.blockNumber} changed while scanning; retrying`
+        );
+      }
+
+      const parsed = this.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+
+      events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        name: parsed.name,
+        args: serializeArgs(parsed),
+        timestamp: block.timestamp,
+      });
+    }
+
+    const checkpoint = { number: toBlock, hash: blocks.get(toBlock).hash };
+    this.store.commit({
+      events,
+      transfers: extractTransfers(
+        events,
+        this.store.getFeeBasisPointsBefore(fromBlock) ?? 0
+      ),
+      blocks: [...blocks.values()].map(({ number, hash }) => ({
+        number,
+        hash,
+      })),
+      checkpoint,
+    });
+
+    if (events.length) {
+      this.emit("events", events);
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Roll back to the newest stored block whose hash still matches the chain
+   */
+  async _checkReorg() {
+    const checkpoint = this.store.getCheckpoint();
+    if (!checkpoint.hash) {
+      return;
+    }
+
+    const current = await this.provider.getBlock(checkpoint.number);
+    if (current?.hash === checkpoint.hash) {
+      return;
+    }
+
+    let ancestor = null;
+    const windowStart = checkpoint.number - this.reorgDepth;
+    for (const stored of this.store.getRecentBlocks(windowStart)) {
+      if (stored.number >= checkpoint.number) {
+        continue;
+      }
+      const block = await this.provider.getBlock(stored.number);
+      if (block?.hash === stored.hash) {
+        ancestor = stored;
+        break;
+      }
+    }
+
+    // Nothing left to compare against: rescan the whole window
+    if (!ancestor) {
+      ancestor = {
+        number: Math.max(this.startBlock - 1, windowStart),
+        hash: null,
+      };
+    }
+
+    const removed = this.store.rollback(ancestor);
+    this.emit("reorg", {
+      fromBlock: ancestor.number + 1,
+      toBlock: checkpoint.number,
+      removed,
+    });
+  }
+
+  // Mints minus burns, including the negative balances left out of holders
+  _indexedSupply() {
+    const held = this.store
+      .getAllBalances()
+      .reduce((sum, balance) => sum + balance, 0n);
+    return this.store
+      .getNegativeBalances()
+      .reduce((sum, holder) => sum + BigInt(holder.balance), held);
+  }
+
+  _formatTransfer(account, row) {
+    let direction = row.to === account ? "in" : "out";
+    if (row.from === account && row.to === account) {
+      direction = "self";
+    }
+
+    return {
+      transactionHash: row.transactionHash,
+      blockNumber: row.blockNumber,
+      logIndex: row.logIndex,
+      timestamp:
+        row.timestamp !== null
+          ? new Date(row.timestamp * 1000).toISOString()
+          : null,
+      kind: row.kind,
+      direction,
+      from: row.from,
+      to: row.to,
+      counterparty: direction === "in" ? row.from : row.to,
+      amount: formatWei(row.value),
+      explorer: this.service.getExplorerUrl(row.transactionHash),
+    };
+  }
+}
+
+const formatWei = (wei) => ({
+  wei: wei.toString(),
+  formatted: ethers.formatEther(wei),
+});
+
+// Opaque pagination cursor pointing at the last row of a page
+function encodeCursor(row) {
+  return Buffer.from(`${row.blockNumber}:${row.logIndex}`).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(
+    Buffer.from(String(cursor), "base64url").toString()
+  );
+  if (!match) {
+    throw new ApiError(400, "INVALID_CURSOR", "Invalid pagination cursor");
+  }
+  return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+function encodeHolderCursor(row) {
+  return Buffer.from(`${row.balance}:${row.address}`).toString("base64url");
+}
+
+function decodeHolderCursor(cursor) {
+  const match = /^(-?\d+):(0x[0-9a-fA-F]{40})$/.exec(
+    Buffer.from(String(cursor), "base64url").toString()
+  );
+  if (!match) {
+    throw new ApiError(400, "INVALID_CURSOR", "Invalid pagination cursor");
+  }
+  return { balance: match[1], address: match[2] };
+}
+
+/**
+ * Event arguments by name, with uint256 values as decimal strings
+ */
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+module.exports = EventIndexer;
+module.exports.INDEXED_EVENTS = INDEXED_EVENTS;
@@ -0,0 +1,602 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite store for indexed contract events
+ *
+ * Tables:
+ * - events: one row per log, args as JSON (uint256 values as decimal strings)
+ * - transfers: Transfer events by sender/recipient, tagged mint/burn/fee/transfer
+ * - balances: current balance per holder, kept in step with transfers
+ * - blocks: hashes of recently scanned blocks, used to detect reorgs
+ * - changes: journal of events added and removed (reorgs), for streaming clients
+ * - meta:   checkpoint and the chain/contract the database belongs to
+ *
+ * better-sqlite3 is synchronous, so writes for a scanned range are applied
+ * in a single transaction together with the checkpoint.
+ */
+class EventStore {
+  /**
+   * @param {string} filename - Database file (":memory:" for a throwaway database)
+   */
+  constructor(filename) {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        args TEXT NOT NULL,
+        timestamp INTEGER,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE INDEX IF NOT EXISTS events_name ON events (name, block_number);
+      CREATE INDEX IF NOT EXISTS events_tx ON events (transaction_hash);
+
+      CREATE TABLE IF NOT EXISTS transfers (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        timestamp INTEGER,
+        from_address TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        value TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+      );
+      CREATE INDEX IF NOT EXISTS transfers_from
+        ON transfers (from_address, block_number, log_index);
+      CREATE INDEX IF NOT EXISTS transfers_to
+        ON transfers (to_address, block_number, log_index);
+
+      CREATE TABLE IF NOT EXISTS balances (
+        address TEXT PRIMARY KEY,
+        balance TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS balances_balance
+        ON balances (balance, address);
+
+      CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        event TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    this.statements = {
+      insertEvent: this.db.prepare(
+        `INSERT OR REPLACE INTO events
+          (block_number, log_index, block_hash, transaction_hash, name, args, timestamp)
+          VALUES (@blockNumber, @logIndex, @blockHash, @transactionHash, @name, @args, @timestamp)`
+      ),
+      insertTransfer: this.db.prepare(
+        `INSERT OR REPLACE INTO transfers
+          (block_number, log_index, transaction_hash, timestamp, from_address, to_address, value, kind)
+          VALUES (@blockNumber, @logIndex, @transactionHash, @timestamp, @from, @to, @value, @kind)`
+      ),
+      insertBlock: this.db.prepare(
+        "INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"
+      ),
+      insertChange: this.db.prepare(
+        "INSERT INTO changes (type, event) VALUES (?, ?)"
+      ),
+      changesAfter: this.db.prepare(
+        "SELECT * FROM changes WHERE id > ? ORDER BY id LIMIT ?"
+      ),
+      firstChange: this.db.prepare("SELECT MIN(id) AS id FROM changes"),
+      lastChange: this.db.prepare(
+        "SELECT seq AS id FROM sqlite_sequence WHERE name = 'changes'"
+      ),
+      deleteChangesBefore: this.db.prepare("DELETE FROM changes WHERE id < ?"),
+      getMeta: this.db.prepare("SELECT value FROM meta WHERE key = ?"),
+      setMeta: this.db.prepare(
+        "INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)"
+      ),
+      eventsAfter: this.db.prepare(
+        "SELECT * FROM events WHERE block_number > ? ORDER BY block_number, log_index"
+      ),
+      deleteEventsAfter: this.db.prepare(
+        "DELETE FROM events WHERE block_number > ?"
+      ),
+      transfersAfter: this.db.prepare(
+        "SELECT * FROM transfers WHERE block_number > ?"
+      ),
+      getBalance: this.db.prepare(
+        "SELECT balance FROM balances WHERE address = ?"
+      ),
+      setBalance: this.db.prepare(
+        "INSERT OR REPLACE INTO balances (address, balance) VALUES (?, ?)"
+      ),
+      deleteBalance: this.db.prepare("DELETE FROM balances WHERE address = ?"),
+      allBalances: this.db.prepare(
+        "SELECT balance FROM balances WHERE balance NOT LIKE '-%' ORDER BY balance ASC"
+      ),
+      negativeBalances: this.db.prepare(
+        "SELECT address, balance FROM balances WHERE balance LIKE '-%' ORDER BY balance ASC, address ASC"
+      ),
+      countHolders: this.db.prepare(
+        "SELECT COUNT(*) AS count FROM balances WHERE balance NOT LIKE '-%'"
+      ),
+      deleteTransfersAfter: this.db.prepare(
+        "DELETE FROM transfers WHERE block_number > ?"
+      ),
+      latestFeeUpdate: this.db.prepare(
+        `SELECT args FROM events
+          WHERE name = 'TransferFeeUpdated' AND block_number < ?
+          ORDER BY block_number DESC, log_index DESC LIMIT 1`
+      ),
+      deleteBlocksAfter: this.db.prepare("DELETE FROM blocks WHERE number > ?"),
+      deleteBlocksBefore: this.db.prepare(
+        "DELETE FROM blocks WHERE number < ?"
+      ),
+      recentBlocks: this.db.prepare(
+        "SELECT number, hash FROM blocks WHERE number >= ? ORDER BY number DESC"
+      ),
+      count: this.db.prepare("SELECT COUNT(*) AS count FROM events"),
+    };
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, JSON.stringify(value));
+  }
+
+  /**
+   * Last fully scanned block: { number, hash }, or null before the first scan
+   */
+  getCheckpoint() {
+    return this.getMeta("checkpoint");
+  }
+
+  /**
+   * Persist the events of a scanned range and advance the checkpoint atomically
+   * @param {object} batch
+   * @param {object[]} batch.events - Decoded events (see toRow)
+   * @param {object[]} [batch.transfers] - Transfer rows (see extractTransfers)
+   * @param {object[]} batch.blocks - [{ number, hash }] to remember for reorg checks
+   * @param {object} batch.checkpoint - { number, hash } of the last scanned block
+   */
+  commit({ events, transfers = [], blocks, checkpoint }) {
+    this.db.transaction(() => {
+      for (const event of events) {
+        this.statements.insertEvent.run(toRow(event));
+        this._journal("added", event);
+      }
+      for (const transfer of transfers) {
+        this.statements.insertTransfer.run(toTransferRow(transfer));
+      }
+      this._applyTransfers(transfers, 1n);
+      for (const block of blocks) {
+        this.statements.insertBlock.run(block.number, block.hash);
+      }
+      this.setMeta("checkpoint", checkpoint);
+    })();
+  }
+
+  /**
+   * Stored block hashes from `fromNumber` up, newest first
+   */
+  getRecentBlocks(fromNumber) {
+    return this.statements.recentBlocks.all(fromNumber);
+  }
+
+  /**
+   * Drop everything above `checkpoint.number` and rewind the checkpoint to it
+   * @returns {object[]} Removed events, oldest first
+   */
+  rollback(checkpoint) {
+    return this.db.transaction(() => {
+      const removed = this.statements.eventsAfter
+        .all(checkpoint.number)
+        .map(fromRow);
+      for (const event of removed) {
+        this._journal("removed", event);
+      }
+      this._applyTransfers(
+        this.statements.transfersAfter
+          .all(checkpoint.number)
+          .map(fromTransferRow),
+        -1n
+      );
+      this.statements.deleteEventsAfter.run(checkpoint.number);
+      this.statements.deleteTransfersAfter.run(checkpoint.number);
+      this.statements.deleteBlocksAfter.run(checkpoint.number);
+      this.setMeta("checkpoint", checkpoint);
+      return removed;
+    })();
+  }
+
+  /**
+   * Forget block hashes older than `number`; they are past the reorg window
+   */
+  pruneBlocks(number) {
+    this.statements.deleteBlocksBefore.run(number);
+  }
+
+  /**
+   * Journaled changes after a change id, oldest first
+   * @returns {object[]} [{ id, type: "added" | "removed", event }]
+   */
+  getChanges(afterId, limit = 1000) {
+    return this.statements.changesAfter.all(afterId, limit).map((row) => ({
+      id: row.id,
+      type: row.type,
+      event: JSON.parse(row.event),
+    }));
+  }
+
+  /**
+   * Ids of the oldest kept and the newest journaled change
+   * @returns {object} { first, last }; first is null when nothing is kept
+   */
+  getChangeRange() {
+    return {
+      first: this.statements.firstChange.get().id,
+      last: this.statements.lastChange.get()?.id ?? 0,
+    };
+  }
+
+  /**
+   * Keep only the newest `keep` journaled changes
+   */
+  pruneChanges(keep) {
+    const { last } = this.getChangeRange();
+    this.statements.deleteChangesBefore.run(last - keep + 1);
+  }
+
+  /**
+   * Query indexed events, oldest first unless `order` is "desc"
+   * @param {object} filter - { name, fromBlock, toBlock, transactionHash, limit, order }
+   */
+  getEvents(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.name !== undefined) {
+      const names = [].concat(filter.name);
+      conditions.push(`name IN (${names.map(() => "?").join(", ")})`);
+      params.push(...names);
+    }
+    if (filter.fromBlock !== undefined) {
+      conditions.push("block_number >= ?");
+      params.push(filter.fromBlock);
+    }
+    if (filter.toBlock !== undefined) {
+      conditions.push("block_number <= ?");
+      params.push(filter.toBlock);
+    }
+    if (filter.transactionHash) {
+      conditions.push("transaction_hash = ?");
+      params.push(filter.transactionHash);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const order = filter.order === "desc" ? "DESC" : "ASC";
+    const limit = filter.limit ? `LIMIT ${Number(filter.limit)}` : "";
+
+    return this.db
+      .prepare(
+        `SELECT * FROM events ${where}
+          ORDER BY block_number ${order}, log_index ${order} ${limit}`
+      )
+      .all(...params)
+      .map(fromRow);
+  }
+
+  /**
+   * Transfer fee (basis points) set by the last TransferFeeUpdated before a block
+   * @returns {string|null} null if no update has been indexed
+   */
+  getFeeBasisPointsBefore(blockNumber) {
+    const row = this.statements.latestFeeUpdate.get(blockNumber);
+    return row ? JSON.parse(row.args).newFee : null;
+  }
+
+  /**
+   * Rebuild the transfers and balances tables, e.g. after the classification changed
+   */
+  replaceTransfers(transfers) {
+    this.db.transaction(() => {
+      this.db.exec("DELETE FROM transfers; DELETE FROM balances;");
+      for (const transfer of transfers) {
+        this.statements.insertTransfer.run(toTransferRow(transfer));
+      }
+      this._applyTransfers(transfers, 1n);
+    })();
+  }
+
+  /**
+   * Indexed balance of an address in wei (0n if it holds nothing)
+   */
+  getBalance(address) {
+    const row = this.statements.getBalance.get(address);
+    return row ? parseValue(row.balance) : 0n;
+  }
+
+  /**
+   * Holders with a positive balance
+   * @param {object} [filter]
+   * @param {string} [filter.order] - "desc" (default, largest first) or "asc"
+   * @param {object} [filter.after] - Cursor: { balance, address } of the last row seen
+   * @param {number} [filter.limit]
+   * @returns {object[]} [{ address, balance }] with balance in wei as a string
+   */
+  getHolders(filter = {}) {
+    const ascending = filter.order === "asc";
+    const conditions = ["balance NOT LIKE '-%'"];
+    const params = [];
+
+    if (filter.after) {
+      const op = ascending ? ">" : "<";
+      conditions.push(`(balance ${op} ? OR (balance = ? AND address ${op} ?))`);
+      const balance = padValue(filter.after.balance);
+      params.push(balance, balance, filter.after.address);
+    }
+
+    const order = ascending ? "ASC" : "DESC";
+    const limit = filter.limit ? `LIMIT ${Number(filter.limit)}` : "";
+
+    return this.db
+      .prepare(
+        `SELECT address, balance FROM balances WHERE ${conditions.join(" AND ")}
+          ORDER BY balance ${order}, address ${order} ${limit}`
+      )
+      .all(...params)
+      .map((row) => ({
+        address: row.address,
+        balance: parseValue(row.balance).toString(),
+      }));
+  }
+
+  /**
+   * All positive balances in wei, smallest first
+   */
+  getAllBalances() {
+    return this.statements.allBalances
+      .all()
+      .map((row) => parseValue(row.balance));
+  }
+
+  /**
+   * Addresses that sent more than the indexer saw them receive, because
+   * indexing started after the deployment block; most negative first
+   * @returns {object[]} [{ address, balance }] with balance in wei as a string
+   */
+  getNegativeBalances() {
+    return this.statements.negativeBalances.all().map((row) => ({
+      address: row.address,
+      balance: parseValue(row.balance).toString(),
+    }));
+  }
+
+  countHolders() {
+    return this.statements.countHolders.get().count;
+  }
+
+  /**
+   * Transfers sent or received by an address
+   * @param {string} address - Checksummed address
+   * @param {object} [filter]
+   * @param {string} [filter.direction] - "in", "out" or undefined for both
+   * @param {string} [filter.counterparty] - Checksummed address on the other side
+   * @param {string[]} [filter.kinds] - Only these kinds
+   * @param {number} [filter.fromBlock] / [filter.toBlock]
+   * @param {number} [filter.fromTime] / [filter.toTime] - Unix seconds
+   * @param {bigint} [filter.minValue] - Smallest value in wei
+   * @param {object} [filter.after] - Cursor: { blockNumber, logIndex } of the last row seen
+   * @param {string} [filter.order] - "desc" (default, newest first) or "asc"
+   * @param {number} [filter.limit]
+   */
+  getTransfers(address, filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.direction === "in") {
+      conditions.push("to_address = ?");
+      params.push(address);
+    } else if (filter.direction === "out") {
+      conditions.push("from_address = ?");
+      params.push(address);
+    } else {
+      conditions.push("(from_address = ? OR to_address = ?)");
+      params.push(address, address);
+    }
+
+    if (filter.counterparty) {
+      if (filter.direction === "in") {
+        conditions.push("from_address = ?");
+        params.push(filter.counterparty);
+      } else if (filter.direction === "out") {
+        conditions.push("to_address = ?");
+        params.push(filter.counterparty);
+      } else {
+        conditions.push(
+          "((from_address = ? AND to_address = ?) OR (from_address = ? AND to_address = ?))"
+        );
+        params.push(address, filter.counterparty, filter.counterparty, address);
+      }
+    }
+
+    if (filter.kinds?.length) {
+      conditions.push(`kind IN (${filter.kinds.map(() => "?").join(", ")})`);
+      params.push(...filter.kinds);
+    }
+    if (filter.fromBlock !== undefined) {
+      conditions.push("block_number >= ?");
+      params.push(filter.fromBlock);
+    }
+    if (filter.toBlock !== undefined) {
+      conditions.push("block_number <= ?");
+      params.push(filter.toBlock);
+    }
+    if (filter.fromTime !== undefined) {
+      conditions.push("timestamp >= ?");
+      params.push(filter.fromTime);
+    }
+    if (filter.toTime !== undefined) {
+      conditions.push("timestamp <= ?");
+      params.push(filter.toTime);
+    }
+    if (filter.minValue !== undefined) {
+      conditions.push("value >= ?");
+      params.push(padValue(filter.minValue));
+    }
+
+    const ascending = filter.order === "asc";
+    if (filter.after) {
+      const op = ascending ? ">" : "<";
+      conditions.push(
+        `(block_number ${op} ? OR (block_number = ? AND log_index ${op} ?))`
+      );
+      params.push(
+        filter.after.blockNumber,
+        filter.after.blockNumber,
+        filter.after.logIndex
+      );
+    }
+
+    const order = ascending ? "ASC" : "DESC";
+    const limit = filter.limit ? `LIMIT ${Number(filter.limit)}` : "";
+
+    return this.db
+      .prepare(
+        `SELECT * FROM transfers WHERE ${conditions.join(" AND ")}
+          ORDER BY block_number ${order}, log_index ${order} ${limit}`
+      )
+      .all(...params)
+      .map(fromTransferRow);
+  }
+
+  _journal(type, event) {
+    this.statements.insertChange.run(type, JSON.stringify(event));
+  }
+
+  /**
+   * Add (sign 1n) or undo (sign -1n) the balance changes of transfers
+   * Mints and burns only touch the non-zero side.
+   */
+  _applyTransfers(transfers, sign) {
+    const deltas = new Map();
+    const add = (address, amount) =>
+      deltas.set(address, (deltas.get(address) || 0n) + amount);
+
+    for (const { from, to, value } of transfers) {
+      if (from !== ZERO_ADDRESS) {
+        add(from, -BigInt(value) * sign);
+      }
+      if (to !== ZERO_ADDRESS) {
+        add(to, BigInt(value) * sign);
+      }
+    }
+
+    for (const [address, delta] of deltas) {
+      const balance = this.getBalance(address) + delta;
+      if (balance === 0n) {
+        this.statements.deleteBalance.run(address);
+      } else {
+        this.statements.setBalance.run(address, padValue(balance));
+      }
+    }
+  }
+
+  countEvents() {
+    return this.statements.count.get().count;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function toRow(event) {
+  return {
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    blockHash: event.blockHash,
+    transactionHash: event.transactionHash,
+    name: event.name,
+    args: JSON.stringify(event.args),
+    timestamp: event.timestamp ?? null,
+  };
+}
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Fixed-width decimal so uint256 values compare correctly as text. A
+// negative balance (only when indexing started after deployment) is stored
+// as "-" and its complement to 10^78, so it sorts before every positive
+// value and larger debts sort first.
+const VALUE_WIDTH = 78;
+const VALUE_OFFSET = 10n ** BigInt(VALUE_WIDTH);
+
+const padValue = (value) => {
+  const number = BigInt(value);
+  return number < 0n
+    ? `-${(VALUE_OFFSET + number).toString().padStart(VALUE_WIDTH, "0")}`
+    : number.toString().padStart(VALUE_WIDTH, "0");
+};
+
+const parseValue = (text) =>
+  text.startsWith("-") ? BigInt(text.slice(1)) - VALUE_OFFSET : BigInt(text);
+
+function toTransferRow(transfer) {
+  return {
+    blockNumber: transfer.blockNumber,
+    logIndex: transfer.logIndex,
+    transactionHash: transfer.transactionHash,
+    timestamp: transfer.timestamp ?? null,
+    from: transfer.from,
+    to: transfer.to,
+    value: padValue(transfer.value),
+    kind: transfer.kind,
+  };
+}
+
+function fromTransferRow(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    transactionHash: row.transaction_hash,
+    timestamp: row.timestamp,
+    from: row.from_address,
+    to: row.to_address,
+    value: parseValue(row.value).toString(),
+    kind: row.kind,
+  };
+}
+
+function fromRow(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    transactionHash: row.transaction_hash,
+    name: row.name,
+    args: JSON.parse(row.args),
+    timestamp: row.timestamp,
+  };
+}
+
+module.exports = EventStore;
@@ -0,0 +1,11 @@
+const EventIndexer = require("./eventIndexer");
+const EventStore = require("./eventStore");
+const { extractTransfers, TRANSFER_KINDS } = require("./transfers");
+
+module.exports = {
+  EventIndexer,
+  EventStore,
+  INDEXED_EVENTS: EventIndexer.INDEXED_EVENTS,
+  TRANSFER_KINDS,
+  extractTransfers,
+};
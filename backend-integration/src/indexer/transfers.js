@@ -0,0 +1,75 @@
+const { ethers } = require("ethers");
+
+const TRANSFER_KINDS = ["mint", "burn", "fee", "transfer"];
+
+/**
+ * Turn indexed events into transfer rows, each tagged with a kind:
+ * - "mint"     from the zero address
+ * - "burn"     to the zero address
+ * - "fee"      the leg SimBankToken.transfer/transferFrom skims to feeRecipient
+ * - "transfer" anything else
+ *
+ * The contract emits the fee leg right before the net leg, from the same
+ * sender and in the same transaction, with fee = (fee + net) * rate / 10000.
+ * The rate is followed through TransferFeeUpdated events.
+ *
+ * @param {object[]} events - Indexed events in chain order
+ * @param {number|string} feeBasisPoints - Transfer fee before the first event
+ * @returns {object[]} Transfer rows
+ */
+function extractTransfers(events, feeBasisPoints) {
+  let basisPoints = BigInt(feeBasisPoints);
+  const transfers = [];
+
+  events.forEach((event, index) => {
+    if (event.name === "TransferFeeUpdated") {
+      basisPoints = BigInt(event.args.newFee);
+      return;
+    }
+    if (event.name !== "Transfer") {
+      return;
+    }
+
+    const { from, to, value } = event.args;
+    let kind = "transfer";
+    if (from === ethers.ZeroAddress) {
+      kind = "mint";
+    } else if (to === ethers.ZeroAddress) {
+      kind = "burn";
+    } else if (isFeeLeg(event, events[index + 1], basisPoints)) {
+      kind = "fee";
+    }
+
+    transfers.push({
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      transactionHash: event.transactionHash,
+      timestamp: event.timestamp,
+      from,
+      to,
+      value,
+      kind,
+    });
+  });
+
+  return transfers;
+}
+
+function isFeeLeg(event, next, basisPoints) {
+  if (
+    basisPoints === 0n ||
+    next?.name !== "Transfer" ||
+    next.transactionHash !== event.transactionHash ||
+    next.logIndex !== event.logIndex + 1 ||
+    next.args.from !== event.args.from ||
+    next.args.to === ethers.ZeroAddress
+  ) {
+    return false;
+  }
+
+  const fee = BigInt(event.args.value);
+  const net = BigInt(next.args.value);
+  return fee === ((fee + net) * basisPoints) / 10000n;
+}
+
+module.exports = { extractTransfers, TRANSFER_KINDS };
@@ -0,0 +1,26 @@
+const JobManager = require("./jobManager");
+const MemoryJobStore = require("./memoryJobStore");
+const SqliteJobStore = require("./sqliteJobStore");
+
+/**
+ * Create a job store from configuration
+ * @param {object} config - { type: "memory" | "sqlite", filename }
+ */
+function createJobStore(config = {}) {
+  switch (config.type || "memory") {
+    case "memory":
+      return new MemoryJobStore();
+    case "sqlite":
+      return new SqliteJobStore(config.filename || "./data/jobs.db");
+    default:
+      throw new Error(`Unknown job store type: ${config.type}`);
+  }
+}
+
+module.exports = {
+  JobManager,
+  MemoryJobStore,
+  SqliteJobStore,
+  createJobStore,
+  JOB_STATUS: JobManager.JOB_STATUS,
+};
@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { ethers } = require("ethers");
+const { toApiError } = require("../errors");
+const { silentLogger } = require("../logger");
+
+/**
+ * Job lifecycle:
+ *   queued -> submitted -> mined -> confirmed
+ *                 \-> failed / replaced
+ */
+const JOB_STATUS = {
+  QUEUED: "queued",
+  SUBMITTED: "submitted",
+  MINED: "mined",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+  REPLACED: "replaced",
+};
+
+const PENDING_STATUSES = [JOB_STATUS.SUBMITTED, JOB_STATUS.MINED];
+
+/**
+ * Job Manager
+ * Runs write operations asynchronously: a job is returned as soon as the
+ * transaction is broadcast, and its status is tracked until confirmation.
+ *
+ * Emits "job:updated" with the job after every status change.
+ */
+class JobManager extends EventEmitter {
+  /**
+   * @param {SimBankService} service - Service used to submit operations
+   * @param {object} store - Job store (MemoryJobStore or SqliteJobStore)
+   * @param {object} [options]
+   * @param {number} [options.confirmations=3] - Confirmations before a job is "confirmed"
+   * @param {GasBudget} [options.gasBudget] - Hourly gas spend cap; each
+   *   transaction reserves its maximum cost before it is broadcast
+   * @param {object} [options.logger] - Receives failures in background
+   *   tracking (see logger.js)
+   */
+  constructor(service, store, options = {}) {
+    super();
+    this.service = service;
+    this.store = store;
+    this.confirmations = Math.max(1, options.confirmations ?? 3);
+    this.gasBudget = options.gasBudget ?? null;
+    this.logger = options.logger ?? silentLogger;
+
+    // Transaction hash -> job id, for jobs whose transaction is pending
+    this.pendingHashes = new Map();
+
+    // Job id -> { reservation, gasLimit, feePerGas } in the gas budget,
+    // until the job's transaction is mined or fails
+    this.gasReservations = new Map();
+
+    // Follow fee-bump replacements so jobs report the current hash
+    service.txMonitor?.on("replaced", (event) => {
+      this._recordReplacement(event).catch((error) =>
+        this.logger.error("Failed to record replacement:", error.message)
+      );
+    });
+  }
+
+  /**
+   * Create a job and submit its transaction
+   * Resolves once the transaction is broadcast; mining is tracked in the background
+   * @param {string} operation - Write operation name (e.g. "mint")
+   * @param {object} params - Operation parameters
+   * @returns {object} Job in "submitted" status
+   * @throws {ApiError} 429 GAS_BUDGET_EXCEEDED before creating a job while
+   *   the gas budget is used up, or with a failed job when the transaction's
+   *   maximum cost does not fit in what is left of it
+   */
+  async submit(operation, params) {
+    await this.gasBudget?.check();
+
+    const now = new Date().toISOString();
+    const job = await this.store.create({
+      id: crypto.randomUUID(),
+      operation,
+      params,
+      status: JOB_STATUS.QUEUED,
+      transactionHash: null,
+      nonce: null,
+      blockNumber: null,
+      confirmations: 0,
+      requiredConfirmations: this.confirmations,
+      replacements: [],
+      result: null,
+      error: null,
+      errorCode: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+    this.emit("job:updated", job);
+
+    let tx;
+    try {
+      tx = await this.service.submitOperation(operation, params, {
+        beforeBroadcast: (request) => this._reserveGas(job.id, request),
+      });
+    } catch (error) {
+      this._settleGas(job.id, 0n);
+      const apiError = toApiError(error);
+      await this._update(job.id, {
+        status: JOB_STATUS.FAILED,
+        error: apiError.message,
+        errorCode: apiError.code,
+      });
+      error.jobId = job.id;
+      throw error;
+    }
+
+    const submitted = await this._update(job.id, {
+      status: JOB_STATUS.SUBMITTED,
+      transactionHash: tx.hash,
+      nonce: tx.nonce,
+    });
+
+    this._track(submitted, tx);
+    return submitted;
+  }
+
+  /**
+   * Get a job by id
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filter - { status, operation, limit }
+   */
+  async list(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  /**
+   * Resume tracking of jobs left pending by a previous run
+   * Call once at startup
+   */
+  async resume() {
+    const interrupted = await this.store.list({ status: JOB_STATUS.QUEUED });
+    for (const job of interrupted) {
+      await this._update(job.id, {
+        status: JOB_STATUS.FAILED,
+        error: "Interrupted by server restart before submission",
+      });
+    }
+
+    const pending = await this.store.list({ status: PENDING_STATUSES });
+    for (const job of pending) {
+      const tx = await this.service.provider.getTransaction(
+        job.transactionHash
+      );
+
+      if (tx) {
+        this._track(job, tx);
+        continue;
+      }
+
+      const receipt = await this.service.provider.getTransactionReceipt(
+        job.transactionHash
+      );
+      if (receipt) {
+        await this._trackReceipt(job, receipt);
+      } else {
+        await this._update(job.id, {
+          status: JOB_STATUS.FAILED,
+          error: "Transaction no longer known to the RPC node",
+        });
+      }
+    }
+
+    return { failed: interrupted.length, resumed: pending.length };
+  }
+
+  /**
+   * Public representation of a job
+   */
+  toJSON(job) {
+    return {
+      ...job,
+      explorer: job.transactionHash
+        ? this.service.getExplorerUrl(job.transactionHash)
+        : null,
+    };
+  }
+
+  /**
+   * Follow a job's transaction until it is confirmed or fails
+   * Runs unawaited, so it never rejects: a job that cannot even be marked
+   * failed (e.g. the store is unavailable) is reported to the logger.
+   */
+  async _track(job, tx) {
+    this.pendingHashes.set(tx.hash, job.id);
+
+    try {
+      const receipt = await this.service.waitForReceipt(tx, 1);
+      this._forgetHashes(job.id);
+      this._settleGas(job.id, receipt.fee);
+      await this._markMined(job, receipt);
+
+      for (let n = 2; n <= this.confirmations; n++) {
+        await this.service.waitForReceipt(tx, n);
+        await this._update(job.id, { confirmations: n });
+      }
+
+      await this._update(job.id, {
+        status: JOB_STATUS.CONFIRMED,
+        confirmations: this.confirmations,
+      });
+    } catch (error) {
+      this._forgetHashes(job.id);
+      // Reverted transactions still pay for gas
+      this._settleGas(job.id, error.receipt?.fee ?? 0n);
+      try {
+        await this._markFailed(job, error);
+      } catch (storeError) {
+        this.logger.error(
+          `Failed to record the outcome of job ${job.id} (${error.message}):`,
+          storeError.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Record a fee-bump replacement broadcast by the transaction monitor
+   */
+  async _recordReplacement({ previousHash, hash, fees }) {
+    const jobId = this.pendingHashes.get(previousHash);
+    if (!jobId) {
+      return;
+    }
+
+    this.pendingHashes.delete(previousHash);
+    this.pendingHashes.set(hash, jobId);
+    await this._reserveReplacementGas(jobId, fees);
+
+    const job = await this.store.get(jobId);
+    await this._update(jobId, {
+      transactionHash: hash,
+      replacements: [...(job.replacements || []), { ...fees, previousHash }],
+    });
+  }
+
+  /**
+   * Reserve the most a job's transaction may pay, just before it is broadcast
+   * Called again if the queue retries with a fresh nonce, so an earlier
+   * attempt's reservation is released first.
+   */
+  async _reserveGas(jobId, request) {
+    if (!this.gasBudget) {
+      return;
+    }
+    const feePerGas = request.maxFeePerGas ?? request.gasPrice ?? 0n;
+    const previous = this.gasReservations.get(jobId);
+    if (previous) {
+      this.gasReservations.delete(jobId);
+      await this.gasBudget.settle(previous.reservation);
+    }
+    const reservation = await this.gasBudget.reserve(
+      BigInt(request.gasLimit) * BigInt(feePerGas)
+    );
+    this.gasReservations.set(jobId, {
+      reservation,
+      gasLimit: BigInt(request.gasLimit),
+      feePerGas: BigInt(feePerGas),
+    });
+  }
+
+  /**
+   * Grow a job's reservation by what a fee bump raised its maximum cost
+   */
+  async _reserveReplacementGas(jobId, fees) {
+    const reserved = this.gasReservations.get(jobId);
+    const feePerGas = BigInt(fees.maxFeePerGas ?? fees.gasPrice ?? 0);
+    if (!reserved || feePerGas <= reserved.feePerGas) {
+      return;
+    }
+    const extra = reserved.gasLimit * (feePerGas - reserved.feePerGas);
+    reserved.feePerGas = feePerGas;
+    await this.gasBudget.extend(reserved.reservation, extra);
+  }
+
+  /**
+   * Replace a job's reservation with the fee it paid (0 if never mined)
+   * Jobs resumed after a restart have no reservation; their fee is recorded.
+   */
+  _settleGas(jobId, fee) {
+    if (!this.gasBudget) {
+      return;
+    }
+    const reserved = this.gasReservations.get(jobId);
+    this.gasReservations.delete(jobId);
+    const settled = reserved
+      ? this.gasBudget.settle(reserved.reservation, fee)
+      : this.gasBudget.record(fee);
+    settled.catch((error) =>
+      this.logger.error("Failed to record gas spend:", error.message)
+    );
+  }
+
+  _forgetHashes(jobId) {
+    for (const [hash, id] of this.pendingHashes) {
+      if (id === jobId) {
+        this.pendingHashes.delete(hash);
+      }
+    }
+  }
+
+  /**
+   * Track a job whose transaction is already mined (used on resume)
+   */
+  async _trackReceipt(job, receipt) {
+    if (receipt.status === 0) {
+      return this._markFailed(job, new Error("Transaction reverted"));
+    }
+
+    await this._markMined(job, receipt);
+
+    const confirmations = await receipt.confirmations();
+    if (confirmations >= this.confirmations) {
+      return this._update(job.id, {
+        status: JOB_STATUS.CONFIRMED,
+        confirmations: this.confirmations,
+      });
+    }
+
+    const tx = await receipt.getTransaction();
+    this._track(job, tx);
+  }
+
+  async _markMined(job, receipt) {
+    return this._update(job.id, {
+      status: JOB_STATUS.MINED,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      confirmations: 1,
+      result: this.service.formatOperationResult(
+        job.operation,
+        job.params,
+        receipt
+      ),
+    });
+  }
+
+  async _markFailed(job, error) {
+    if (ethers.isError(error, "TRANSACTION_REPLACED")) {
+      return this._update(job.id, {
+        status: JOB_STATUS.REPLACED,
+        replacedBy: error.hash,
+        error: `Transaction was ${error.reason}`,
+      });
+    }
+
+    const apiError = toApiError(error);
+    return this._update(job.id, {
+      status: JOB_STATUS.FAILED,
+      error: apiError.message,
+      errorCode: apiError.code,
+    });
+  }
+
+  async _update(id, changes) {
+    const job = await this.store.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+    this.emit("job:updated", job);
+    return job;
+  }
+}
+
+module.exports = JobManager;
+module.exports.JOB_STATUS = JOB_STATUS;
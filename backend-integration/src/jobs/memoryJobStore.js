@@ -0,0 +1,49 @@
+/**
+ * In-memory job store
+ * Jobs are lost when the process exits; use SqliteJobStore to persist them
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes);
+    return { ...job };
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filter - { status, operation, limit }
+   */
+  async list(filter = {}) {
+    const statuses = toArray(filter.status);
+
+    return [...this.jobs.values()]
+      .filter((job) => !statuses || statuses.includes(job.status))
+      .filter((job) => !filter.operation || job.operation === filter.operation)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, filter.limit || undefined)
+      .map((job) => ({ ...job }));
+  }
+}
+
+const toArray = (value) =>
+  value === undefined ? null : Array.isArray(value) ? value : [value];
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite-backed job store
+ * Keeps job state across server restarts
+ */
+class SqliteJobStore {
+  /**
+   * @param {string} filename - Database file (":memory:" for a throwaway database)
+   */
+  constructor(filename) {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        operation TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+    `);
+
+    this.statements = {
+      insert: this.db.prepare(
+        "INSERT INTO jobs (id, operation, status, created_at, data) VALUES (?, ?, ?, ?, ?)"
+      ),
+      get: this.db.prepare("SELECT data FROM jobs WHERE id = ?"),
+      update: this.db.prepare(
+        "UPDATE jobs SET status = ?, data = ? WHERE id = ?"
+      ),
+    };
+  }
+
+  async create(job) {
+    this.statements.insert.run(
+      job.id,
+      job.operation,
+      job.status,
+      job.createdAt,
+      JSON.stringify(job)
+    );
+    return { ...job };
+  }
+
+  async get(id) {
+    const row = this.statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async update(id, changes) {
+    const update = this.db.transaction(() => {
+      const row = this.statements.get.get(id);
+      if (!row) {
+        return null;
+      }
+
+      const job = { ...JSON.parse(row.data), ...changes };
+      this.statements.update.run(job.status, JSON.stringify(job), id);
+      return job;
+    });
+
+    return update();
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} filter - { status, operation, limit }
+   */
+  async list(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.status !== undefined) {
+      const statuses = [].concat(filter.status);
+      conditions.push(`status IN (${statuses.map(() => "?").join(", ")})`);
+      params.push(...statuses);
+    }
+
+    if (filter.operation) {
+      conditions.push("operation = ?");
+      params.push(filter.operation);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const limit = filter.limit ? `LIMIT ${Number(filter.limit)}` : "";
+
+    return this.db
+      .prepare(
+        `SELECT data FROM jobs ${where} ORDER BY created_at DESC ${limit}`
+      )
+      .all(...params)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteJobStore;
@@ -0,0 +1,24 @@
+/**
+ * Loggers for library modules
+ * Modules report problems they recover from to an injected logger with
+ * console's info/warn/error signatures, so the server decides what is printed
+ * and where. Without one they stay silent.
+ */
+const silentLogger = {
+  info() {},
+  warn() {},
+  error() {},
+};
+
+/**
+ * Logger putting a prefix (e.g. the network name) before every message
+ * @param {object} logger - console or another { info, warn, error }
+ * @param {string} prefix
+ */
+const prefixedLogger = (logger, prefix) => ({
+  info: (message, ...args) => logger.info(`${prefix}: ${message}`, ...args),
+  warn: (message, ...args) => logger.warn(`${prefix}: ${message}`, ...args),
+  error: (message, ...args) => logger.error(`${prefix}: ${message}`, ...args),
+});
+
+module.exports = { silentLogger, prefixedLogger };
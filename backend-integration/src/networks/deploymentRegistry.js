@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployment Registry
+ * Reads the files scripts/deploy.js and scripts/upgrade.js keep per chain:
+ * - deployment-<chainId>.json: proxy, current implementation and version
+ * - upgrade-history-<chainId>.json: every upgrade, oldest first
+ *
+ * Files are read on every call, so upgrades made while the server runs are
+ * picked up.
+ */
+class DeploymentRegistry {
+  /**
+   * @param {string} directory - The deployments/ directory of the Hardhat project
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Deployment on a chain, or null when it has no deployment file
+   * @param {number} chainId
+   * @returns {object|null} { chainId, proxyAddress, implementationAddress,
+   *   version, deployer, deploymentDate, upgradeDate, ..., upgrades: [] }
+   * @throws {Error} If a file cannot be parsed
+   */
+  get(chainId) {
+    const deployment = this._read(`deployment-${chainId}.json`);
+    if (!deployment) {
+      return null;
+    }
+    return {
+      ...deployment,
+      chainId: Number(deployment.chainId ?? chainId),
+      upgrades: this._read(`upgrade-history-${chainId}.json`) ?? [],
+    };
+  }
+
+  _read(filename) {
+    const file = path.join(this.directory, filename);
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid deployment file ${file}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = DeploymentRegistry;
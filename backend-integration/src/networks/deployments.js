@@ -0,0 +1,67 @@
+const { ethers } = require("ethers");
+
+// Environment variable prefix of a network: "bartio" -> "BARTIO_"
+const envPrefix = (name) => `${name.toUpperCase().replace(/-/g, "_")}_`;
+
+const splitList = (value) =>
+  value
+    ?.split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Deployments to serve, from environment variables
+ *
+ * NETWORK names the default network, served on plain /api/... routes and
+ * configured by RPC_URL and CONTRACT_ADDRESS. NETWORKS lists further
+ * networks, each configured by <NAME>_RPC_URL and <NAME>_CONTRACT_ADDRESS
+ * (e.g. POLYGON_RPC_URL). RPC URLs may be comma-separated lists; without
+ * one the registry's public endpoints are used.
+ *
+ * Without a contract address variable, the proxy comes from the network's
+ * deployment file (see DeploymentRegistry), then from the network registry.
+ *
+ * @param {NetworkRegistry} registry
+ * @param {object} [options]
+ * @param {DeploymentRegistry} [options.deploymentRegistry]
+ * @param {object} [options.env=process.env]
+ * @returns {object[]} [{ network, contractAddress, rpcUrls, isDefault }],
+ *   default network first
+ * @throws {Error} For unknown networks or a missing contract address
+ */
+function deploymentsFromEnv(registry, options = {}) {
+  const { deploymentRegistry, env = process.env } = options;
+  const defaultName = env.NETWORK || "amoy";
+  const names = new Set([defaultName, ...(splitList(env.NETWORKS) || [])]);
+
+  return [...names].map((name) => {
+    const network = registry.get(name);
+    const isDefault = name === defaultName;
+    const prefix = isDefault ? "" : envPrefix(name);
+
+    const deployment = deploymentRegistry?.get(network.chainId);
+    const contractAddress =
+      env[`${prefix}CONTRACT_ADDRESS`] ||
+      deployment?.proxyAddress ||
+      network.contractAddress;
+    if (!contractAddress) {
+      throw new Error(
+        `Set ${prefix}CONTRACT_ADDRESS: no SimBank deployment is known on ${network.label}`
+      );
+    }
+    if (!ethers.isAddress(contractAddress)) {
+      throw new Error(
+        `Invalid contract address for ${network.label}: ${contractAddress}`
+      );
+    }
+
+    return {
+      network,
+      contractAddress: ethers.getAddress(contractAddress),
+      rpcUrls: splitList(env[`${prefix}RPC_URL`]) || network.rpcUrls,
+      isDefault,
+    };
+  });
+}
+
+module.exports = { deploymentsFromEnv, envPrefix };
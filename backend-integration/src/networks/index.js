@@ -0,0 +1,11 @@
+const NetworkRegistry = require("./registry");
+const DeploymentRegistry = require("./deploymentRegistry");
+const { deploymentsFromEnv, envPrefix } = require("./deployments");
+
+module.exports = {
+  NetworkRegistry,
+  NETWORKS: NetworkRegistry.NETWORKS,
+  DeploymentRegistry,
+  deploymentsFromEnv,
+  envPrefix,
+};
@@ -0,0 +1,157 @@
+const fs = require("fs");
+
+const POL = { name: "POL", symbol: "POL", decimals: 18 };
+const BERA = { name: "BERA", symbol: "BERA", decimals: 18 };
+
+/**
+ * Networks the backend knows about, keyed by the name used in URLs
+ * (/api/<name>/...) and configuration (NETWORK, NETWORKS).
+ *
+ * - rpcUrls: public endpoints used unless <NAME>_RPC_URL is set
+ * - explorer: block explorer base URL (null when there is none)
+ * - gas: default fee-bump policy (see TransactionMonitor)
+ * - contractAddress: known SimBank proxy on the network, if any
+ */
+const NETWORKS = {
+  amoy: {
+    label: "Polygon Amoy Testnet",
+    chainId: 80002,
+    rpcUrls: ["https://rpc-amoy.polygon.technology/"],
+    explorer: "https://amoy.polygonscan.com",
+    nativeCurrency: POL,
+    gas: { maxFeePerGasGwei: "500", bumpPercent: 15 },
+    contractAddress: "0xB2e87bFD20e1a81Dc7f3DAF46df768Fd13489105",
+  },
+  polygon: {
+    label: "Polygon PoS",
+    chainId: 137,
+    rpcUrls: ["https://polygon-rpc.com/"],
+    explorer: "https://polygonscan.com",
+    nativeCurrency: POL,
+    gas: { maxFeePerGasGwei: "1000", bumpPercent: 15 },
+  },
+  bartio: {
+    label: "Berachain bArtio Testnet",
+    chainId: 80084,
+    rpcUrls: ["https://bartio.rpc.berachain.com/"],
+    explorer: "https://bartio.beratrail.io",
+    nativeCurrency: BERA,
+    gas: { maxFeePerGasGwei: "100", bumpPercent: 15 },
+  },
+  berachain: {
+    label: "Berachain",
+    chainId: 80094,
+    rpcUrls: ["https://rpc.berachain.com/"],
+    explorer: "https://berascan.com",
+    nativeCurrency: BERA,
+    gas: { maxFeePerGasGwei: "100", bumpPercent: 15 },
+  },
+  localhost: {
+    label: "Hardhat Node",
+    chainId: 31337,
+    rpcUrls: ["http://127.0.0.1:8545"],
+    explorer: null,
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    gas: { maxFeePerGasGwei: "500", bumpPercent: 15 },
+  },
+};
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Network Registry
+ * Built-in NETWORKS plus entries from a JSON file, which may add networks or
+ * override fields of built-in ones (e.g. a different explorer).
+ */
+class NetworkRegistry {
+  /**
+   * @param {object} [networks=NETWORKS] - Network definitions by name
+   */
+  constructor(networks = NETWORKS) {
+    this.networks = new Map();
+    for (const [name, network] of Object.entries(networks)) {
+      this.define(name, network);
+    }
+  }
+
+  /**
+   * Registry with the networks of a JSON file added to the built-in ones
+   * @param {string} [filename] - { "<name>": { chainId, rpcUrls, ... } }
+   */
+  static fromFile(filename) {
+    const registry = new NetworkRegistry();
+    if (!filename) {
+      return registry;
+    }
+    const networks = JSON.parse(fs.readFileSync(filename, "utf8"));
+    for (const [name, network] of Object.entries(networks)) {
+      registry.define(name, network);
+    }
+    return registry;
+  }
+
+  /**
+   * Add a network, or override fields of an existing one
+   * @throws {Error} If the name is not URL-safe or required fields are missing
+   */
+  define(name, network) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid network name "${name}": use lowercase letters, digits and dashes`
+      );
+    }
+    const merged = {
+      explorer: null,
+      nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+      gas: { maxFeePerGasGwei: "500", bumpPercent: 15 },
+      contractAddress: null,
+      ...this.networks.get(name),
+      ...network,
+      name,
+    };
+    merged.label = merged.label || name;
+    merged.explorer = merged.explorer?.replace(/\/+$/, "") || null;
+
+    if (!Number.isSafeInteger(merged.chainId) || merged.chainId <= 0) {
+      throw new Error(`Network "${name}" needs a numeric chainId`);
+    }
+    if (!Array.isArray(merged.rpcUrls) || !merged.rpcUrls.length) {
+      throw new Error(`Network "${name}" needs at least one RPC URL`);
+    }
+    this.networks.set(name, merged);
+    return merged;
+  }
+
+  /**
+   * Network by name
+   * @throws {Error} For unknown names
+   */
+  get(name) {
+    const network = this.networks.get(name);
+    if (!network) {
+      throw new Error(
+        `Unknown network "${name}" (known: ${this.names().join(", ")})`
+      );
+    }
+    return network;
+  }
+
+  /**
+   * Network by chain id, or null
+   */
+  findByChainId(chainId) {
+    for (const network of this.networks.values()) {
+      if (network.chainId === Number(chainId)) {
+        return network;
+      }
+    }
+    return null;
+  }
+
+  names() {
+    return [...this.networks.keys()];
+  }
+}
+
+module.exports = NetworkRegistry;
+module.exports.NETWORKS = NETWORKS;
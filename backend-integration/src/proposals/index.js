@@ -0,0 +1,9 @@
+const ProposalManager = require("./proposalManager");
+const ProposalStore = require("./proposalStore");
+
+module.exports = {
+  ProposalManager,
+  ProposalStore,
+  PROPOSAL_STATUS: ProposalManager.PROPOSAL_STATUS,
+  OPERATION_SCOPES: ProposalManager.OPERATION_SCOPES,
+};
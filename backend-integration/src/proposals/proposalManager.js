@@ -0,0 +1,322 @@
+const crypto = require("crypto");
+const { ApiError, toApiError } = require("../errors");
+const { hasScope } = require("../auth");
+
+/**
+ * Proposal lifecycle:
+ *   pending -> approved -> executed
+ *      |           \-> failed (the job could not be submitted)
+ *      \-> rejected / expired
+ */
+const PROPOSAL_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  EXECUTED: "executed",
+  FAILED: "failed",
+  REJECTED: "rejected",
+  EXPIRED: "expired",
+};
+
+/**
+ * Operations that need approval, and the scope a checker must hold
+ */
+const OPERATION_SCOPES = {
+  mint: "mint",
+  pause: "pause",
+  unpause: "pause",
+  blacklist: "compliance",
+  unblacklist: "compliance",
+  setTransferFee: "admin",
+  grantRole: "admin",
+  revokeRole: "admin",
+};
+
+/**
+ * Proposal Manager
+ * Maker-checker for privileged operations: a request creates a proposal,
+ * which is submitted as a job once `requiredApprovals` distinct callers
+ * other than the proposer have approved it. API keys count as the caller who
+ * created or rotated them (see ApiKeyManager#lineage). A single rejection
+ * ends it, and a proposal still pending at its deadline expires. Proposals
+ * run on the network they were made on.
+ *
+ * Every step is recorded in the proposal's decision trail.
+ */
+class ProposalManager {
+  /**
+   * @param {ProposalStore} store
+   * @param {Map<string, JobManager>} jobManagers - Run approved operations, by
+   *   network name; the first is the default network
+   * @param {object} [options]
+   * @param {number} [options.requiredApprovals=1] - Checkers needed besides the proposer (0 disables proposals)
+   * @param {number} [options.ttl=86400] - Seconds a proposal stays open
+   * @param {string[]} [options.operations] - Operations that need approval (default: all of OPERATION_SCOPES)
+   */
+  constructor(store, jobManagers, options = {}) {
+    this.store = store;
+    this.jobManagers = jobManagers;
+    this.defaultNetwork = jobManagers.keys().next().value;
+    this.requiredApprovals = options.requiredApprovals ?? 1;
+    this.ttl = options.ttl ?? 86400;
+    this.operations = options.operations ?? Object.keys(OPERATION_SCOPES);
+
+    const unknown = this.operations.filter((name) => !OPERATION_SCOPES[name]);
+    if (unknown.length) {
+      throw new Error(
+        `Operations cannot require approval: ${unknown.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Whether an operation goes through a proposal
+   */
+  requiresApproval(operation) {
+    return this.requiredApprovals > 0 && this.operations.includes(operation);
+  }
+
+  /**
+   * Propose an operation
+   * @param {string} operation - Write operation name (e.g. "mint")
+   * @param {object} params - Operation parameters, validated by the route
+   * @param {object} caller - req.auth of the proposer
+   * @param {object} [options]
+   * @param {string} [options.comment]
+   * @param {string} [options.network] - Network to run it on (default network if omitted)
+   * @returns {object} Pending proposal
+   */
+  propose(operation, params, caller, { comment, network } = {}) {
+    const name = network ?? this.defaultNetwork;
+    if (!this.jobManagers.has(name)) {
+      throw new Error(`Unknown network: ${name}`);
+    }
+
+    const now = new Date();
+    return this.store.create(
+      {
+        id: crypto.randomUUID(),
+        operation,
+        network: name,
+        params,
+        scope: OPERATION_SCOPES[operation],
+        status: PROPOSAL_STATUS.PENDING,
+        requiredApprovals: this.requiredApprovals,
+        proposedBy: formatActor(caller),
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.ttl * 1000).toISOString(),
+      },
+      {
+        action: "proposed",
+        actor: formatActor(caller),
+        comment,
+        createdAt: now.toISOString(),
+      }
+    );
+  }
+
+  /**
+   * Proposal with its decision trail
+   */
+  get(id) {
+    this._expire();
+    const proposal = this.store.get(id);
+    if (!proposal) {
+      throw new ApiError(404, "PROPOSAL_NOT_FOUND", "Proposal not found");
+    }
+    return proposal;
+  }
+
+  /**
+   * Proposals, newest first
+   * @param {object} filter - { status, operation, network, limit }
+   */
+  list(filter = {}) {
+    if (
+      filter.status &&
+      !Object.values(PROPOSAL_STATUS).includes(filter.status)
+    ) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        `status must be one of ${Object.values(PROPOSAL_STATUS).join(", ")}`
+      );
+    }
+    this._expire();
+    return this.store.list(filter);
+  }
+
+  /**
+   * Approve a proposal; the last approval needed submits its job
+   * @param {string} id
+   * @param {object} caller - req.auth of the checker
+   * @param {object} [options]
+   * @param {string} [options.comment]
+   * @returns {object} Proposal, with `jobId` once executed
+   * @throws {ApiError} 403 for the proposer or a caller without the
+   *   operation's scope, 409 if it is no longer pending or already approved
+   *   by this caller
+   */
+  async approve(id, caller, { comment } = {}) {
+    const proposal = this._getPending(id, caller);
+    if (isSameActor(proposal.proposedBy, caller)) {
+      throw new ApiError(
+        403,
+        "SELF_APPROVAL",
+        "Proposals must be approved by someone other than the proposer, with a credential the proposer did not create or rotate"
+      );
+    }
+    if (
+      proposal.decisions.some(
+        (decision) =>
+          decision.action === "approved" && isSameActor(decision.actor, caller)
+      )
+    ) {
+      throw new ApiError(
+        409,
+        "ALREADY_APPROVED",
+        "You have already approved this proposal"
+      );
+    }
+
+    const now = new Date().toISOString();
+    const approved = proposal.approvals + 1 >= proposal.requiredApprovals;
+    const updated = this.store.decide(
+      id,
+      {
+        action: "approved",
+        actor: formatActor(caller),
+        comment,
+        createdAt: now,
+      },
+      approved ? { status: PROPOSAL_STATUS.APPROVED, decidedAt: now } : {}
+    );
+
+    return approved ? this._execute(updated) : updated;
+  }
+
+  /**
+   * Reject a proposal (the proposer may withdraw their own)
+   */
+  reject(id, caller, { comment } = {}) {
+    this._getPending(id, caller);
+
+    const now = new Date().toISOString();
+    return this.store.decide(
+      id,
+      {
+        action: "rejected",
+        actor: formatActor(caller),
+        comment,
+        createdAt: now,
+      },
+      { status: PROPOSAL_STATUS.REJECTED, decidedAt: now }
+    );
+  }
+
+  /**
+   * Submit an approved proposal as a job
+   */
+  async _execute(proposal) {
+    try {
+      const jobManager = this.jobManagers.get(proposal.network);
+      if (!jobManager) {
+        throw new ApiError(
+          503,
+          "NETWORK_UNAVAILABLE",
+          `Network ${proposal.network} is not served by this server`
+        );
+      }
+      const job = await jobManager.submit(proposal.operation, proposal.params);
+      return this.store.decide(
+        proposal.id,
+        { action: "executed", createdAt: new Date().toISOString() },
+        { status: PROPOSAL_STATUS.EXECUTED, jobId: job.id }
+      );
+    } catch (error) {
+      const apiError = toApiError(error);
+      return this.store.decide(
+        proposal.id,
+        {
+          action: "failed",
+          comment: apiError.message,
+          createdAt: new Date().toISOString(),
+        },
+        {
+          status: PROPOSAL_STATUS.FAILED,
+          jobId: error.jobId ?? null,
+          error: apiError.message,
+        }
+      );
+    }
+  }
+
+  /**
+   * Pending proposal a caller may decide on
+   */
+  _getPending(id, caller) {
+    this._expire();
+    const proposal = this.store.get(id);
+    if (!proposal) {
+      throw new ApiError(404, "PROPOSAL_NOT_FOUND", "Proposal not found");
+    }
+    if (!caller?.id) {
+      throw new ApiError(
+        403,
+        "FORBIDDEN",
+        "Deciding on proposals needs an authenticated caller"
+      );
+    }
+    if (!hasScope(caller.scopes, proposal.scope)) {
+      throw new ApiError(
+        403,
+        "FORBIDDEN",
+        `Requires the "${proposal.scope}" scope`,
+        { requiredScope: proposal.scope }
+      );
+    }
+    if (proposal.status !== PROPOSAL_STATUS.PENDING) {
+      throw new ApiError(
+        409,
+        "PROPOSAL_NOT_PENDING",
+        `Proposal is ${proposal.status}`,
+        { status: proposal.status }
+      );
+    }
+    return proposal;
+  }
+
+  /**
+   * Mark pending proposals past their deadline as expired
+   */
+  _expire() {
+    const now = new Date().toISOString();
+    for (const id of this.store.getExpiredIds(now)) {
+      this.store.decide(
+        id,
+        { action: "expired", createdAt: now },
+        { status: PROPOSAL_STATUS.EXPIRED, decidedAt: now }
+      );
+    }
+  }
+}
+
+const formatActor = (caller) => ({
+  type: caller.type,
+  id: caller.id,
+  name: caller.name,
+  lineage: caller.lineage ?? [],
+});
+
+const actorRef = (actor) => `${actor.type}:${actor.id}`;
+
+// The same caller, or one holding credentials the other created or rotated
+// (e.g. an admin approving through a key they minted for themselves)
+const isSameActor = (actor, caller) =>
+  Boolean(actor) &&
+  (actorRef(actor) === actorRef(caller) ||
+    (actor.lineage ?? []).includes(actorRef(caller)) ||
+    (caller.lineage ?? []).includes(actorRef(actor)));
+
+module.exports = ProposalManager;
+module.exports.PROPOSAL_STATUS = PROPOSAL_STATUS;
+module.exports.OPERATION_SCOPES = OPERATION_SCOPES;
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Proposal columns plus the number of approvals so far
+const SELECT_PROPOSALS = `SELECT proposals.*,
+  (SELECT COUNT(*) FROM decisions
+    WHERE decisions.proposal_id = proposals.id AND action = 'approved') AS approvals
+  FROM proposals`;
+
+/**
+ * SQLite store for maker-checker proposals
+ *
+ * Tables:
+ * - proposals: privileged operations waiting for approval, and their outcome
+ * - decisions: append-only trail of everything that happened to a proposal
+ */
+class ProposalStore {
+  /**
+   * @param {string} filename - Database file (":memory:" for a throwaway database)
+   */
+  constructor(filename) {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS proposals (
+        id TEXT PRIMARY KEY,
+        operation TEXT NOT NULL,
+        network TEXT NOT NULL,
+        params TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        status TEXT NOT NULL,
+        required_approvals INTEGER NOT NULL,
+        proposed_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        decided_at TEXT,
+        job_id TEXT,
+        error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS proposals_status
+        ON proposals (status, expires_at);
+
+      CREATE TABLE IF NOT EXISTS decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        proposal_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT,
+        comment TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS decisions_proposal
+        ON decisions (proposal_id, id);
+    `);
+
+    this.statements = {
+      insertProposal: this.db.prepare(
+        `INSERT INTO proposals
+          (id, operation, network, params, scope, status, required_approvals, proposed_by, created_at, expires_at)
+          VALUES (@id, @operation, @network, @params, @scope, @status, @requiredApprovals, @proposedBy, @createdAt, @expiresAt)`
+      ),
+      getProposal: this.db.prepare(`${SELECT_PROPOSALS} WHERE id = ?`),
+      insertDecision: this.db.prepare(
+        `INSERT INTO decisions (proposal_id, action, actor, comment, created_at)
+          VALUES (@proposalId, @action, @actor, @comment, @createdAt)`
+      ),
+      getDecisions: this.db.prepare(
+        "SELECT * FROM decisions WHERE proposal_id = ? ORDER BY id"
+      ),
+      expired: this.db.prepare(
+        "SELECT id FROM proposals WHERE status = 'pending' AND expires_at <= ?"
+      ),
+    };
+  }
+
+  /**
+   * Create a proposal along with its first decision ("proposed")
+   */
+  create(proposal, decision) {
+    return this.db.transaction(() => {
+      this.statements.insertProposal.run({
+        ...proposal,
+        params: JSON.stringify(proposal.params),
+        proposedBy: JSON.stringify(proposal.proposedBy),
+      });
+      this._insertDecision(proposal.id, decision);
+      return this.get(proposal.id);
+    })();
+  }
+
+  /**
+   * Proposal with its decision trail, or null
+   */
+  get(id) {
+    const row = this.statements.getProposal.get(id);
+    if (!row) {
+      return null;
+    }
+    return {
+      ...fromProposalRow(row),
+      decisions: this.statements.getDecisions.all(id).map(fromDecisionRow),
+    };
+  }
+
+  /**
+   * List proposals, newest first, without their decision trail
+   * @param {object} filter - { status, operation, network, limit }
+   */
+  list(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.status) {
+      conditions.push("status = ?");
+      params.push(filter.status);
+    }
+    if (filter.operation) {
+      conditions.push("operation = ?");
+      params.push(filter.operation);
+    }
+    if (filter.network) {
+      conditions.push("network = ?");
+      params.push(filter.network);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const limit = filter.limit ? `LIMIT ${Number(filter.limit)}` : "";
+
+    return this.db
+      .prepare(`${SELECT_PROPOSALS} ${where} ORDER BY created_at DESC ${limit}`)
+      .all(...params)
+      .map(fromProposalRow);
+  }
+
+  /**
+   * Ids of pending proposals past their deadline
+   * @param {string} now - ISO 8601 date
+   */
+  getExpiredIds(now) {
+    return this.statements.expired.all(now).map((row) => row.id);
+  }
+
+  /**
+   * Record a decision and apply its changes to the proposal, atomically
+   * @param {string} id
+   * @param {object} decision - { action, actor, comment, createdAt }
+   * @param {object} [changes] - { status, decidedAt, jobId, error }
+   */
+  decide(id, decision, changes = {}) {
+    return this.db.transaction(() => {
+      this._insertDecision(id, decision);
+      this._update(id, changes);
+      return this.get(id);
+    })();
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  _insertDecision(proposalId, decision) {
+    this.statements.insertDecision.run({
+      proposalId,
+      action: decision.action,
+      actor: decision.actor ? JSON.stringify(decision.actor) : null,
+      comment: decision.comment ?? null,
+      createdAt: decision.createdAt,
+    });
+  }
+
+  _update(id, changes) {
+    const columns = {
+      status: "status",
+      decidedAt: "decided_at",
+      jobId: "job_id",
+      error: "error",
+    };
+    const keys = Object.keys(changes).filter((key) => columns[key]);
+    if (!keys.length) {
+      return;
+    }
+
+    this.db
+      .prepare(
+        `UPDATE proposals SET ${keys
+          .map((key) => `${columns[key]} = @${key}`)
+          .join(", ")} WHERE id = @id`
+      )
+      .run({ ...changes, id });
+  }
+}
+
+function fromProposalRow(row) {
+  return {
+    id: row.id,
+    operation: row.operation,
+    network: row.network,
+    params: JSON.parse(row.params),
+    scope: row.scope,
+    status: row.status,
+    requiredApprovals: row.required_approvals,
+    approvals: row.approvals,
+    proposedBy: JSON.parse(row.proposed_by),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    decidedAt: row.decided_at,
+    jobId: row.job_id,
+    error: row.error,
+  };
+}
+
+function fromDecisionRow(row) {
+  return {
+    action: row.action,
+    actor: row.actor ? JSON.parse(row.actor) : null,
+    comment: row.comment,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = ProposalStore;
@@ -0,0 +1,184 @@
+const { ethers } = require("ethers");
+const { ApiError } = require("../errors");
+
+const HOUR = 3600000;
+const GWEI = 10n ** 9n;
+
+/**
+ * Gas Budget
+ * Circuit breaker on the signer: once the gas paid by mined transactions in
+ * the current clock hour, plus the most that pending ones may still pay,
+ * reaches `maxPerHour`, new transactions are refused until the next hour.
+ * Spend is counted in gwei, which keeps hourly totals well inside Redis'
+ * 64-bit counters.
+ *
+ * A transaction reserves its maximum cost (gasLimit x maxFeePerGas) before
+ * it is broadcast and settles the reservation with the fee from its receipt,
+ * so a burst of submissions cannot overshoot the budget while it is pending.
+ */
+class GasBudget {
+  /**
+   * @param {object} store - MemoryStore or Redis client (incrby, get, pexpire)
+   * @param {object} options
+   * @param {bigint} options.maxPerHour - Wei the signer may spend per hour
+   * @param {string} [options.prefix="gasbudget"] - Key prefix in the store
+   * @param {string} [options.currency="POL"] - Symbol of the native currency, for messages
+   * @param {function} [options.now=Date.now] - Clock in milliseconds (fake it in tests)
+   */
+  constructor(store, options) {
+    this.store = store;
+    this.maxPerHour = BigInt(options.maxPerHour);
+    this.prefix = options.prefix ?? "gasbudget";
+    this.currency = options.currency ?? "POL";
+    this.now = options.now ?? Date.now;
+  }
+
+  /**
+   * Add the fee of a mined transaction
+   * @param {bigint} fee - Wei paid (receipt.fee)
+   */
+  async record(fee) {
+    const gwei = Number(BigInt(fee) / GWEI);
+    if (gwei <= 0) {
+      return;
+    }
+    await this._add(this._window().key, gwei);
+  }
+
+  /**
+   * Set aside the most a transaction about to be broadcast may pay
+   * @param {bigint} cost - Wei (gasLimit x maxFeePerGas)
+   * @returns {Promise<object>} Reservation, for extend() and settle()
+   * @throws {ApiError} 429 GAS_BUDGET_EXCEEDED if the cost does not fit in
+   *   what is left of this hour's budget
+   */
+  async reserve(cost) {
+    const gwei = toGweiCeil(cost);
+    const { key, reservedKey } = this._window();
+
+    const reserved = await this._add(reservedKey, gwei);
+    const spent = Number((await this.store.get(key)) ?? 0);
+    if (BigInt(spent + reserved) * GWEI <= this.maxPerHour) {
+      return { key: reservedKey, gwei };
+    }
+
+    await this.store.incrby(reservedKey, -gwei);
+    const status = await this.getStatus();
+    throw this._exceeded(
+      status,
+      `A transaction costing up to ${ethers.formatEther(cost)} ${
+        this.currency
+      } does not fit in what is left of the gas budget (${
+        status.remaining
+      } of ${status.limit} ${this.currency} this hour)`
+    );
+  }
+
+  /**
+   * Grow a reservation, e.g. for a fee-bump replacement
+   * Not checked against the budget: the replacement is already broadcast.
+   * @param {object} reservation - From reserve()
+   * @param {bigint} cost - Additional wei
+   */
+  async extend(reservation, cost) {
+    const gwei = toGweiCeil(cost);
+    if (gwei <= 0 || reservation.key !== this._window().reservedKey) {
+      return;
+    }
+    reservation.gwei += gwei;
+    await this._add(reservation.key, gwei);
+  }
+
+  /**
+   * Release a reservation and record the fee actually paid
+   * A reservation from an earlier hour expires with its window.
+   * @param {object} reservation - From reserve()
+   * @param {bigint} [fee=0n] - Wei paid (receipt.fee); 0 if never mined
+   */
+  async settle(reservation, fee = 0n) {
+    const gwei = reservation.gwei;
+    reservation.gwei = 0;
+    if (gwei > 0 && reservation.key === this._window().reservedKey) {
+      await this.store.incrby(reservation.key, -gwei);
+    }
+    await this.record(fee);
+  }
+
+  /**
+   * Spend so far in the current hour
+   * @returns {Promise<object>} { spent, reserved, limit, remaining, currency,
+   *   resetAt, exceeded } - amounts in the native currency; `reserved` is
+   *   the most pending transactions may still pay
+   */
+  async getStatus() {
+    const { key, reservedKey, resetAt } = this._window();
+    const spent = BigInt((await this.store.get(key)) ?? 0) * GWEI;
+    const reserved = BigInt((await this.store.get(reservedKey)) ?? 0) * GWEI;
+    const used = spent + reserved;
+    const remaining = this.maxPerHour > used ? this.maxPerHour - used : 0n;
+    return {
+      spent: ethers.formatEther(spent),
+      reserved: ethers.formatEther(reserved),
+      limit: ethers.formatEther(this.maxPerHour),
+      remaining: ethers.formatEther(remaining),
+      currency: this.currency,
+      resetAt: new Date(resetAt).toISOString(),
+      exceeded: remaining === 0n,
+    };
+  }
+
+  /**
+   * Refuse new transactions while the hourly budget is used up
+   * @throws {ApiError} 429 GAS_BUDGET_EXCEEDED with `retryAfter` (seconds) in details
+   */
+  async check() {
+    const status = await this.getStatus();
+    if (!status.exceeded) {
+      return;
+    }
+    throw this._exceeded(
+      status,
+      `The signer has spent its gas budget of ${status.limit} ${this.currency} for this hour`
+    );
+  }
+
+  _exceeded(status, message) {
+    const retryAfter = Math.ceil(
+      (Date.parse(status.resetAt) - this.now()) / 1000
+    );
+    return new ApiError(
+      429,
+      "GAS_BUDGET_EXCEEDED",
+      `${message}; retry in ${retryAfter}s`,
+      { ...status, retryAfter }
+    );
+  }
+
+  async _add(key, gwei) {
+    const total = await this.store.incrby(key, gwei);
+    if (total === gwei) {
+      await this.store.pexpire(key, 2 * HOUR);
+    }
+    return total;
+  }
+
+  _window() {
+    const now = this.now();
+    const windowStart = now - (now % HOUR);
+    const key = `${this.prefix}:${windowStart}`;
+    return {
+      key,
+      reservedKey: `${key}:reserved`,
+      resetAt: windowStart + HOUR,
+    };
+  }
+}
+
+/**
+ * Wei to whole gwei, rounded up so reservations never fall short
+ */
+function toGweiCeil(wei) {
+  return Number((BigInt(wei) + GWEI - 1n) / GWEI);
+}
+
+module.exports = GasBudget;
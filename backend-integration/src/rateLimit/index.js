@@ -0,0 +1,12 @@
+const MemoryStore = require("./memoryStore");
+const RateLimiter = require("./rateLimiter");
+const GasBudget = require("./gasBudget");
+const { rateLimit, clientKey } = require("./middleware");
+
+module.exports = {
+  MemoryStore,
+  RateLimiter,
+  GasBudget,
+  rateLimit,
+  clientKey,
+};
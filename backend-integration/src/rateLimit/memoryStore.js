@@ -0,0 +1,78 @@
+/**
+ * In-memory counter store for rate limits
+ * Implements the subset of Redis commands the limiters use (INCRBY, GET,
+ * PEXPIRE), with the same signatures and results as ioredis, so a Redis
+ * client can be passed instead to share limits between server instances.
+ * Counters live in this process only and are lost on restart.
+ */
+class MemoryStore {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.now=Date.now] - Clock in milliseconds (fake it in tests)
+   */
+  constructor(options = {}) {
+    this.now = options.now ?? Date.now;
+
+    // key -> { value, expiresAt }
+    this.entries = new Map();
+    this.lastSweep = this.now();
+  }
+
+  /**
+   * Add `increment` to a counter, creating it at 0
+   * @returns {Promise<number>} The new value
+   */
+  async incrby(key, increment) {
+    this._sweep();
+    const entry = this._get(key) ?? { value: 0, expiresAt: null };
+    entry.value += Number(increment);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @returns {Promise<string|null>} Counter value, or null if it does not exist
+   */
+  async get(key) {
+    const entry = this._get(key);
+    return entry ? String(entry.value) : null;
+  }
+
+  /**
+   * Expire a key after `ms` milliseconds
+   * @returns {Promise<number>} 1 if the key exists, 0 otherwise
+   */
+  async pexpire(key, ms) {
+    const entry = this._get(key);
+    if (!entry) {
+      return 0;
+    }
+    entry.expiresAt = this.now() + Number(ms);
+    return 1;
+  }
+
+  _get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  // Drop expired counters about once a minute so idle clients don't pile up
+  _sweep() {
+    const now = this.now();
+    if (now - this.lastSweep < 60000) {
+      return;
+    }
+    this.lastSweep = now;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryStore;
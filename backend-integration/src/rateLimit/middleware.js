@@ -0,0 +1,48 @@
+/**
+ * Express middleware counting requests against a RateLimiter
+ * Clients are identified by their credential (req.auth), or by IP before
+ * authentication. GET and HEAD requests use the "read" budget, everything
+ * else the "write" budget. Sets RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds); refused requests also get Retry-After from the
+ * error handler.
+ * @param {RateLimiter} limiter
+ * @param {object} [options]
+ * @param {string} [options.budget] - Count every request against this budget
+ *   instead (e.g. "ip", mounted before authentication)
+ */
+function rateLimit(limiter, options = {}) {
+  return (req, res, next) => {
+    const budget =
+      options.budget ??
+      (["GET", "HEAD"].includes(req.method) ? "read" : "write");
+    const client = clientKey(req);
+
+    const setHeaders = (status) =>
+      res.set({
+        "RateLimit-Limit": String(status.limit),
+        "RateLimit-Remaining": String(status.remaining),
+        "RateLimit-Reset": String(status.retryAfter),
+      });
+
+    limiter
+      .consume(budget, client)
+      .then((status) => {
+        setHeaders(status);
+        next();
+      })
+      .catch((error) => {
+        if (error.code === "RATE_LIMITED") {
+          setHeaders(error.details);
+        }
+        next(error);
+      });
+  };
+}
+
+/**
+ * Key a request's budgets are counted under: the credential, else the IP
+ */
+const clientKey = (req) =>
+  req.auth?.id ? `${req.auth.type}:${req.auth.id}` : `ip:${req.ip}`;
+
+module.exports = { rateLimit, clientKey };
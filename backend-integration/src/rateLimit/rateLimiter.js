@@ -0,0 +1,90 @@
+const { ApiError } = require("../errors");
+
+/**
+ * Rate Limiter
+ * Fixed-window request budgets per client, with a separate budget for each
+ * kind of route (e.g. reads and writes). Counters are kept in a
+ * MemoryStore or a Redis client, keyed by budget, client and window.
+ */
+class RateLimiter {
+  /**
+   * @param {object} store - MemoryStore or Redis client (incrby, get, pexpire)
+   * @param {object} options
+   * @param {object} options.budgets - { name: { limit, window } }, window in seconds
+   * @param {string} [options.prefix="ratelimit"] - Key prefix in the store
+   * @param {function} [options.now=Date.now] - Clock in milliseconds (fake it in tests)
+   */
+  constructor(store, options) {
+    this.store = store;
+    this.budgets = options.budgets;
+    this.prefix = options.prefix ?? "ratelimit";
+    this.now = options.now ?? Date.now;
+  }
+
+  /**
+   * Count a request against a client's budget
+   * @param {string} budget - Budget name (e.g. "read")
+   * @param {string} client - Client key (e.g. "apiKey:1f2e3d4c5b6a7980" or "ip:10.0.0.1")
+   * @returns {Promise<object>} { limit, remaining, resetAt, retryAfter }
+   * @throws {ApiError} 429 RATE_LIMITED once the budget is used up, with
+   *   `retryAfter` (seconds) in details
+   */
+  async consume(budget, client) {
+    const window = this._window(budget, client);
+    const count = await this.store.incrby(window.key, 1);
+    if (count === 1) {
+      await this.store.pexpire(window.key, window.ms);
+    }
+
+    const status = this._status(budget, window, count);
+    if (count > status.limit) {
+      throw new ApiError(
+        429,
+        "RATE_LIMITED",
+        `Rate limit of ${status.limit} ${budget} requests per ${this.budgets[budget].window}s exceeded; retry in ${status.retryAfter}s`,
+        { budget, ...status }
+      );
+    }
+    return status;
+  }
+
+  /**
+   * A client's budgets without counting a request
+   * @param {string} client - Client key
+   * @param {string[]} [budgets] - Budget names (default: all)
+   * @returns {Promise<object>} { [budget]: { limit, remaining, resetAt, retryAfter } }
+   */
+  async getStatus(client, budgets = Object.keys(this.budgets)) {
+    const result = {};
+    for (const budget of budgets) {
+      const window = this._window(budget, client);
+      const count = Number((await this.store.get(window.key)) ?? 0);
+      result[budget] = this._status(budget, window, count);
+    }
+    return result;
+  }
+
+  _window(budget, client) {
+    const ms = this.budgets[budget].window * 1000;
+    const now = this.now();
+    const start = now - (now % ms);
+    return {
+      key: `${this.prefix}:${budget}:${client}:${start}`,
+      ms,
+      now,
+      resetAt: start + ms,
+    };
+  }
+
+  _status(budget, window, count) {
+    const { limit } = this.budgets[budget];
+    return {
+      limit,
+      remaining: Math.max(0, limit - count),
+      resetAt: new Date(window.resetAt).toISOString(),
+      retryAfter: Math.ceil((window.resetAt - window.now) / 1000),
+    };
+  }
+}
+
+module.exports = RateLimiter;
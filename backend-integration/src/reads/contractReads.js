@@ -0,0 +1,97 @@
+const { ethers } = require("ethers");
+
+// Addresses in tags are lowercased so event and request spellings match
+const account = (address) => String(address).toLowerCase();
+
+/**
+ * SimBankToken reads that never change: cached once for every block
+ */
+const CONSTANT_READS = [
+  "name",
+  "symbol",
+  "decimals",
+  "MAX_SUPPLY",
+  "DEFAULT_ADMIN_ROLE",
+  "MINTER_ROLE",
+  "PAUSER_ROLE",
+  "UPGRADER_ROLE",
+  "DOMAIN_SEPARATOR",
+];
+
+/**
+ * Tags of reads that change with contract state, by method
+ * Reads missing here are not cached: pendingRewards and calculateReward grow
+ * with time, and permits must be signed over the current nonces().
+ */
+const READ_TAGS = {
+  totalSupply: () => ["totalSupply"],
+  balanceOf: ([owner]) => [`balance:${account(owner)}`],
+  allowance: ([owner, spender]) => [
+    `allowance:${account(owner)}:${account(spender)}`,
+  ],
+  paused: () => ["paused"],
+  blacklisted: ([address]) => [`blacklisted:${account(address)}`],
+  transferFeePercentage: () => ["transferFee"],
+  feeRecipient: () => ["feeRecipient"],
+  hasRole: ([role, address]) => [
+    `role:${String(role).toLowerCase()}:${account(address)}`,
+  ],
+  totalStaked: () => ["totalStaked"],
+  stakingBalance: ([user]) => [`staking:${account(user)}`],
+  stakingTimestamp: ([user]) => [`staking:${account(user)}`],
+  stakingRewardRate: () => ["stakingRewardRate"],
+};
+
+const isMintOrBurn = ({ from, to }) =>
+  from === ethers.ZeroAddress || to === ethers.ZeroAddress;
+
+/**
+ * Tags each contract event invalidates, from its arguments
+ */
+const EVENT_TAGS = {
+  Transfer: (args) => [
+    `balance:${account(args.from)}`,
+    `balance:${account(args.to)}`,
+    ...(isMintOrBurn(args) ? ["totalSupply"] : []),
+  ],
+  Approval: ({ owner, spender }) => [
+    `allowance:${account(owner)}:${account(spender)}`,
+  ],
+  Paused: () => ["paused"],
+  Unpaused: () => ["paused"],
+  Blacklisted: ({ account: address }) => [`blacklisted:${account(address)}`],
+  Unblacklisted: ({ account: address }) => [`blacklisted:${account(address)}`],
+  TransferFeeUpdated: () => ["transferFee"],
+  FeeRecipientUpdated: () => ["feeRecipient"],
+  RoleGranted: ({ role, account: address }) => [
+    `role:${role.toLowerCase()}:${account(address)}`,
+  ],
+  RoleRevoked: ({ role, account: address }) => [
+    `role:${role.toLowerCase()}:${account(address)}`,
+  ],
+  Staked: ({ user }) => [`staking:${account(user)}`, "totalStaked"],
+  Unstaked: ({ user }) => [`staking:${account(user)}`, "totalStaked"],
+  StakingRewardRateUpdated: () => ["stakingRewardRate"],
+};
+
+/**
+ * Cache policy of a contract read (see ReadCache.read)
+ * @returns {object|null} { constant: true }, { tags } or null if uncached
+ */
+function readPolicy(method, args) {
+  if (CONSTANT_READS.includes(method)) {
+    return { constant: true };
+  }
+  const tags = READ_TAGS[method];
+  return tags ? { tags: tags(args) } : null;
+}
+
+/**
+ * Tags invalidated by a contract event
+ * @param {object} event - { name, args }, args by parameter name
+ */
+function eventTags({ name, args }) {
+  return EVENT_TAGS[name]?.(args) || [];
+}
+
+module.exports = { readPolicy, eventTags, CONSTANT_READS };
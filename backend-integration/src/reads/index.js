@@ -0,0 +1,4 @@
+const ReadCache = require("./readCache");
+const { readPolicy, eventTags, CONSTANT_READS } = require("./contractReads");
+
+module.exports = { ReadCache, readPolicy, eventTags, CONSTANT_READS };
@@ -0,0 +1,186 @@
+/**
+ * Read Cache
+ * Results of contract reads, keyed by method, arguments and block.
+ *
+ * - Constant reads (policy { constant: true }) are kept indefinitely and
+ *   shared by every block.
+ * - Reads at a block number never change and are kept until evicted, or
+ *   until a reorg rolls that block back (invalidateFromBlock).
+ * - Reads at "latest" are kept for `ttl` and dropped earlier when one of
+ *   their tags is invalidated, e.g. "balance:0x..." by a Transfer event.
+ * - Other block tags ("safe", "finalized", ...) move without events to
+ *   invalidate them and are not cached.
+ *
+ * Concurrent reads of the same key share one request. Failed reads are not
+ * cached. The least recently used entries are evicted past `maxEntries`.
+ */
+class ReadCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttl=30000] - Ms a read at "latest" is kept
+   * @param {number} [options.maxEntries=10000]
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 30000;
+    this.maxEntries = options.maxEntries ?? 10000;
+
+    this.entries = new Map();
+    this.tagIndex = new Map();
+    this.stats = { hits: 0, misses: 0, invalidations: 0, evictions: 0 };
+    this.methodStats = new Map();
+  }
+
+  /**
+   * Cached result of a read, loading it on a miss
+   * @param {object} read - { method, args, blockTag }
+   * @param {object|null} policy - { constant: true } or { tags: [...] };
+   *   null reads are not cached
+   * @param {function} load - Performs the read
+   * @returns {Promise<*>}
+   */
+  read({ method, args = [], blockTag }, policy, load) {
+    const block = blockTag === undefined ? "latest" : blockTag;
+    if (!policy || (typeof block !== "number" && block !== "latest")) {
+      return load();
+    }
+
+    const key = `${method}(${args.map(String).join(",")})${
+      policy.constant ? "" : `@${block}`
+    }`;
+    const counts = this._methodStats(method);
+
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      // Most recently used entries live at the end of the map
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      this.stats.hits++;
+      counts.hits++;
+      return cached.value;
+    }
+    if (cached) {
+      this._delete(key);
+    }
+    this.stats.misses++;
+    counts.misses++;
+
+    const latest = !policy.constant && block === "latest";
+    const entry = {
+      value: Promise.resolve().then(load),
+      block: !policy.constant && typeof block === "number" ? block : null,
+      latest,
+      tags: latest ? policy.tags || [] : [],
+      expiresAt: latest ? Date.now() + this.ttl : Infinity,
+    };
+    entry.value.catch(() => {
+      if (this.entries.get(key) === entry) {
+        this._delete(key);
+      }
+    });
+
+    this.entries.set(key, entry);
+    for (const tag of entry.tags) {
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
+      }
+      this.tagIndex.get(tag).add(key);
+    }
+    while (this.entries.size > this.maxEntries) {
+      this._delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Drop reads at "latest" carrying any of the tags
+   * @param {string[]} tags
+   * @returns {number} Entries dropped
+   */
+  invalidate(tags) {
+    let count = 0;
+    for (const tag of tags) {
+      for (const key of this.tagIndex.get(tag) || []) {
+        this._delete(key);
+        count++;
+      }
+    }
+    this.stats.invalidations += count;
+    return count;
+  }
+
+  /**
+   * Drop reads at blocks from `blockNumber` on and every read at "latest",
+   * after a reorg replaced those blocks
+   * @returns {number} Entries dropped
+   */
+  invalidateFromBlock(blockNumber) {
+    let count = 0;
+    for (const [key, entry] of this.entries) {
+      if (
+        entry.latest ||
+        (entry.block !== null && entry.block >= blockNumber)
+      ) {
+        this._delete(key);
+        count++;
+      }
+    }
+    this.stats.invalidations += count;
+    return count;
+  }
+
+  /**
+   * Drop everything, constants included (e.g. after a contract upgrade)
+   */
+  clear() {
+    this.stats.invalidations += this.entries.size;
+    this.entries.clear();
+    this.tagIndex.clear();
+  }
+
+  /**
+   * Hit and miss counts since start, overall and per contract method
+   */
+  getStats() {
+    const { hits, misses } = this.stats;
+    const methods = {};
+    for (const [method, counts] of this.methodStats) {
+      methods[method] = { ...counts };
+    }
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttl / 1000,
+      ...this.stats,
+      hitRate:
+        hits + misses
+          ? Math.round((hits / (hits + misses)) * 1000) / 1000
+          : null,
+      methods,
+    };
+  }
+
+  _methodStats(method) {
+    if (!this.methodStats.has(method)) {
+      this.methodStats.set(method, { hits: 0, misses: 0 });
+    }
+    return this.methodStats.get(method);
+  }
+
+  _delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tagIndex.get(tag);
+      keys.delete(key);
+      if (!keys.size) {
+        this.tagIndex.delete(tag);
+      }
+    }
+  }
+}
+
+module.exports = ReadCache;
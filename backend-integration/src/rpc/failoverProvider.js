@@ -0,0 +1,381 @@
+const { ethers } = require("ethers");
+const { ApiError } = require("../errors");
+const { silentLogger } = require("../logger");
+
+// JSON-RPC errors that say more about the node than the request (rate limits,
+// overload, a node lagging behind); the request is tried on another endpoint
+const TRANSIENT_CODES = [-32005, 429];
+const TRANSIENT_MESSAGE =
+  /rate limit|too many requests|limit exceeded|timed? ?out|header not found|try again/i;
+
+// Longest time an endpoint stays benched, however often it failed
+const MAX_COOLDOWN = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isTransient = (error) =>
+  Boolean(error) &&
+  !/revert/i.test(error.message) &&
+  (TRANSIENT_CODES.includes(error.code) ||
+    TRANSIENT_MESSAGE.test(error.message));
+
+// Endpoint as shown in logs and /api/rpc: no path, which often holds an API key
+const endpointLabel = (url) => {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch (_) {
+    return "(invalid URL)";
+  }
+};
+
+/**
+ * Failover Provider
+ * JsonRpcProvider over several RPC endpoints of one network.
+ *
+ * Each request goes to the healthiest endpoint and moves on to the next one
+ * when it times out, returns an HTTP error or a transient JSON-RPC error.
+ * When every endpoint failed, the round is retried with exponential backoff.
+ * Endpoints failing `failureThreshold` times in a row are benched (tried only
+ * after the others) for `cooldown`, doubled while they keep failing.
+ *
+ * Every endpoint's chain id is checked before its first use; endpoints on
+ * another chain are never used.
+ *
+ * quorumSend() asks all endpoints at once and requires `quorum` of them to
+ * return the same result, for reads that should not trust a single node.
+ */
+class FailoverProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {string[]} urls - RPC endpoints, preferred first
+   * @param {object} network - { name, chainId }
+   * @param {object} [options]
+   * @param {number} [options.timeout=10000] - Ms to wait for one endpoint
+   * @param {number} [options.retries=2] - Extra rounds after all endpoints failed
+   * @param {number} [options.retryDelay=250] - Ms before the first extra round,
+   *   doubled for each further one
+   * @param {number} [options.failureThreshold=3] - Failures in a row before an
+   *   endpoint is benched
+   * @param {number} [options.cooldown=30000] - Ms an endpoint stays benched
+   * @param {number} [options.quorum] - Endpoints that must agree in
+   *   quorumSend() (default: a majority)
+   * @param {object} [options.logger] - Receives benched and disabled endpoints
+   *   and disagreements (see logger.js)
+   */
+  constructor(urls, network, options = {}) {
+    if (!urls?.length) {
+      throw new Error("FailoverProvider needs at least one RPC URL");
+    }
+    const staticNetwork = new ethers.Network(network.name, network.chainId);
+    super(urls[0], staticNetwork, { staticNetwork });
+
+    this.chainId = Number(network.chainId);
+    this.timeout = options.timeout ?? 10000;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 250;
+    this.failureThreshold = options.failureThreshold ?? 3;
+    this.cooldown = options.cooldown ?? 30000;
+    this.quorum = options.quorum ?? Math.floor(urls.length / 2) + 1;
+    this.logger = options.logger ?? silentLogger;
+    if (this.quorum < 1 || this.quorum > urls.length) {
+      throw new Error(
+        `RPC quorum must be between 1 and ${urls.length} (the number of endpoints)`
+      );
+    }
+
+    this.endpoints = urls.map((url, index) => ({
+      index,
+      url,
+      label: endpointLabel(url),
+      chainId: null,
+      disabled: null,
+      requests: 0,
+      errors: 0,
+      failures: 0,
+      successRate: 1,
+      latency: null,
+      lastError: null,
+      benchedUntil: 0,
+    }));
+  }
+
+  /**
+   * Send a JSON-RPC payload (or batch) with failover and retries
+   * Called by JsonRpcApiProvider for every request.
+   */
+  async _send(payload) {
+    let lastError = new Error("No usable RPC endpoint");
+    for (let round = 0; round <= this.retries; round++) {
+      if (round > 0) {
+        await sleep(this.retryDelay * 2 ** (round - 1));
+      }
+      for (const endpoint of this._ranked()) {
+        try {
+          return await this._sendTo(endpoint, payload);
+        } catch (error) {
+          lastError = error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Send one request to every endpoint not benched and compare the results
+   * @param {string} method - e.g. "eth_call"
+   * @param {Array} params - Pin reads to a block number so nodes can agree
+   * @returns {object} { result, required, agreeing, responded, endpoints,
+   *   disagreement, responses: [{ endpoint, result } | { endpoint, error }] }
+   * @throws {ApiError} RPC_QUORUM_FAILED if fewer than `quorum` endpoints agree
+   */
+  async quorumSend(method, params) {
+    // Benched endpoints would only add their timeout
+    const now = Date.now();
+    const endpoints = this._ranked().filter(
+      (endpoint) => endpoint.benchedUntil <= now
+    );
+    const payload = { id: 1, jsonrpc: "2.0", method, params };
+
+    const responses = await Promise.all(
+      endpoints.map(async (endpoint) => {
+        try {
+          const [response] = await this._sendTo(endpoint, payload);
+          return response.error
+            ? { endpoint: endpoint.label, error: response.error.message }
+            : { endpoint: endpoint.label, result: response.result };
+        } catch (error) {
+          return {
+            endpoint: endpoint.label,
+            error: error.shortMessage || error.message,
+          };
+        }
+      })
+    );
+
+    const groups = new Map();
+    for (const response of responses.filter((r) => "result" in r)) {
+      const key = JSON.stringify(response.result);
+      groups.set(key, [...(groups.get(key) || []), response]);
+    }
+    const [agreeing = []] = [...groups.values()].sort(
+      (a, b) => b.length - a.length
+    );
+
+    if (groups.size > 1) {
+      this.logger.warn(`RPC endpoints disagree on ${method}:`, responses);
+    }
+
+    const summary = {
+      required: this.quorum,
+      agreeing: agreeing.length,
+      responded: responses.filter((r) => "result" in r).length,
+      endpoints: endpoints.length,
+      disagreement: groups.size > 1,
+      responses,
+    };
+    if (agreeing.length < this.quorum) {
+      throw new ApiError(
+        502,
+        "RPC_QUORUM_FAILED",
+        `Only ${agreeing.length} of ${endpoints.length} RPC endpoints agree on ${method}; ${this.quorum} required`,
+        summary
+      );
+    }
+    return { result: agreeing[0].result, ...summary };
+  }
+
+  /**
+   * Chain id of every endpoint, checking those not checked yet
+   * @returns {object[]} [{ endpoint, chainId, error }]; chainId is null when
+   *   the endpoint could not be reached
+   */
+  async checkEndpoints() {
+    return Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        let error = null;
+        try {
+          await this._verify(endpoint);
+        } catch (err) {
+          this._recordFailure(endpoint, err);
+          error = err.shortMessage || err.message;
+        }
+        return { endpoint: endpoint.label, chainId: endpoint.chainId, error };
+      })
+    );
+  }
+
+  /**
+   * Health of each endpoint, in configured order
+   * status: "healthy", "benched" (failing, tried last) or "disabled" (wrong chain)
+   */
+  getHealth() {
+    const now = Date.now();
+    return this.endpoints.map((endpoint) => ({
+      endpoint: endpoint.label,
+      status: endpoint.disabled
+        ? "disabled"
+        : endpoint.benchedUntil > now
+        ? "benched"
+        : "healthy",
+      chainId: endpoint.chainId,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      consecutiveFailures: endpoint.failures,
+      successRate: Math.round(endpoint.successRate * 100) / 100,
+      latencyMs:
+        endpoint.latency === null ? null : Math.round(endpoint.latency),
+      lastError: endpoint.disabled || endpoint.lastError,
+      benchedUntil:
+        endpoint.benchedUntil > now
+          ? new Date(endpoint.benchedUntil).toISOString()
+          : null,
+    }));
+  }
+
+  // Usable endpoints, healthiest first; benched ones last, soonest back first
+  _ranked() {
+    const now = Date.now();
+    const usable = this.endpoints.filter((endpoint) => !endpoint.disabled);
+    const ready = usable
+      .filter((endpoint) => endpoint.benchedUntil <= now)
+      .sort(
+        (a, b) =>
+          // Success rates within 10% of each other keep the configured order
+          Math.round(b.successRate * 10) - Math.round(a.successRate * 10) ||
+          a.index - b.index
+      );
+    const benched = usable
+      .filter((endpoint) => endpoint.benchedUntil > now)
+      .sort((a, b) => a.benchedUntil - b.benchedUntil);
+    return [...ready, ...benched];
+  }
+
+  async _sendTo(endpoint, payload) {
+    const started = Date.now();
+    try {
+      await this._verify(endpoint);
+      const responses = await this._post(endpoint, payload);
+      const transient = responses.find((response) =>
+        isTransient(response.error)
+      );
+      if (transient) {
+        throw ethers.makeError(transient.error.message, "SERVER_ERROR", {
+          info: { error: transient.error },
+        });
+      }
+      this._recordSuccess(endpoint, Date.now() - started);
+      return responses.map((response) =>
+        this._acceptKnownTransaction(payload, response)
+      );
+    } catch (error) {
+      this._recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  // A transaction re-sent after a timeout may have reached the network
+  // through the endpoint that timed out; that is not a failure
+  _acceptKnownTransaction(payload, response) {
+    const request = Array.isArray(payload)
+      ? payload.find((item) => item.id === response.id)
+      : payload;
+    if (
+      request?.method === "eth_sendRawTransaction" &&
+      /already known|known transaction/i.test(response.error?.message)
+    ) {
+      return {
+        id: response.id,
+        jsonrpc: "2.0",
+        result: ethers.keccak256(request.params[0]),
+      };
+    }
+    return response;
+  }
+
+  async _verify(endpoint) {
+    if (endpoint.disabled) {
+      throw new Error(endpoint.disabled);
+    }
+    if (endpoint.chainId !== null) {
+      return;
+    }
+    const [response] = await this._post(endpoint, {
+      id: 1,
+      jsonrpc: "2.0",
+      method: "eth_chainId",
+      params: [],
+    });
+    if (response.error) {
+      throw new Error(response.error.message);
+    }
+    endpoint.chainId = Number(response.result);
+    if (endpoint.chainId !== this.chainId) {
+      endpoint.disabled = `Endpoint is on chain ${endpoint.chainId}, expected ${this.chainId}`;
+      this.logger.error(
+        `RPC ${endpoint.label}: ${endpoint.disabled}; not used`
+      );
+      throw new Error(endpoint.disabled);
+    }
+  }
+
+  async _post(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = this.timeout;
+    // Retries are ours, across endpoints
+    request.setThrottleParams({ maxAttempts: 1 });
+    request.setHeader("content-type", "application/json");
+    request.body = JSON.stringify(payload);
+
+    let response;
+    try {
+      response = await request.send();
+    } catch (error) {
+      // Connection errors come straight from Node (e.g. ECONNREFUSED)
+      if (error.shortMessage) {
+        throw error;
+      }
+      throw ethers.makeError(
+        `${endpoint.label} unreachable: ${error.message}`,
+        "NETWORK_ERROR",
+        { event: "request" }
+      );
+    }
+    response.assertOk();
+    const body = response.bodyJson;
+    return Array.isArray(body) ? body : [body];
+  }
+
+  _recordSuccess(endpoint, latency) {
+    endpoint.requests++;
+    endpoint.failures = 0;
+    endpoint.benchedUntil = 0;
+    endpoint.successRate = endpoint.successRate * 0.8 + 0.2;
+    endpoint.latency =
+      endpoint.latency === null
+        ? latency
+        : endpoint.latency * 0.8 + latency * 0.2;
+  }
+
+  _recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.failures++;
+    endpoint.successRate *= 0.8;
+    endpoint.lastError = error.shortMessage || error.message;
+
+    if (endpoint.failures >= this.failureThreshold && !endpoint.disabled) {
+      const cooldown = Math.min(
+        this.cooldown * 2 ** (endpoint.failures - this.failureThreshold),
+        MAX_COOLDOWN
+      );
+      endpoint.benchedUntil = Date.now() + cooldown;
+      this.logger.warn(
+        `RPC ${endpoint.label}: ${endpoint.failures} failures in a row (${
+          endpoint.lastError
+        }); benched for ${cooldown / 1000}s`
+      );
+    }
+  }
+}
+
+module.exports = FailoverProvider;
@@ -0,0 +1,3 @@
+const FailoverProvider = require("./failoverProvider");
+
+module.exports = { FailoverProvider };
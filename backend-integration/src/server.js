@@ -1,42 +1,576 @@
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
+const { ethers } = require("ethers");
 const SimBankService = require("./simBankService");
+const { WRITE_OPERATIONS } = require("./simBankService");
+const { JobManager, createJobStore, JOB_STATUS } = require("./jobs");
+const {
+  EventIndexer,
+  EventStore,
+  INDEXED_EVENTS,
+  TRANSFER_KINDS,
+} = require("./indexer");
+const { EventStream, sseHandler, attachWebSocket } = require("./stream");
+const {
+  WebhookDispatcher,
+  WebhookStore,
+  DELIVERY_STATUS,
+} = require("./webhooks");
+const {
+  ApiKeyManager,
+  ApiKeyStore,
+  JwtVerifier,
+  SiweAuth,
+  credentialVerifier,
+  authenticate,
+  authenticateRequest,
+  requireScope,
+  hasScope,
+  SCOPES,
+} = require("./auth");
+const {
+  ProposalManager,
+  ProposalStore,
+  PROPOSAL_STATUS,
+  OPERATION_SCOPES,
+} = require("./proposals");
+const { AuditLog, AuditStore, auditRequest } = require("./audit");
+const {
+  MemoryStore,
+  RateLimiter,
+  GasBudget,
+  rateLimit,
+  clientKey,
+} = require("./rateLimit");
+const { validate, rules: is } = require("./validation");
+const { IdempotencyStore, idempotent } = require("./idempotency");
+const {
+  NetworkRegistry,
+  DeploymentRegistry,
+  deploymentsFromEnv,
+} = require("./networks");
+const { ApiError, toApiError } = require("./errors");
+const { prefixedLogger } = require("./logger");
 require("dotenv").config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(process.env.TRUST_PROXY)
+      ? Number(process.env.TRUST_PROXY)
+      : process.env.TRUST_PROXY
+  );
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Initialize SimBank Service
-const simBankService = new SimBankService({
-  contractAddress:
-    process.env.CONTRACT_ADDRESS ||
-    "0xB2e87bFD20e1a81Dc7f3DAF46df768Fd13489105",
-  rpcUrl: process.env.RPC_URL || "https://rpc-amoy.polygon.technology/",
-  privateKey: process.env.PRIVATE_KEY, // Only needed for write operations
+// Request budgets per client and an hourly cap on the signer's gas spend,
+// counted in this process (see src/rateLimit to share them through Redis)
+const rateLimitStore = new MemoryStore();
+const rateLimiter =
+  process.env.RATE_LIMIT_ENABLED !== "false"
+    ? new RateLimiter(rateLimitStore, {
+        budgets: {
+          read: {
+            limit: Number(process.env.RATE_LIMIT_READ || 300),
+            window: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+          },
+          write: {
+            limit: Number(process.env.RATE_LIMIT_WRITE || 30),
+            window: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+          },
+          // Every /api request by IP, counted before authentication
+          ip: {
+            limit: Number(process.env.RATE_LIMIT_IP || 600),
+            window: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+          },
+        },
+      })
+    : null;
+
+// SQLite file of a non-default network: ./data/jobs.db -> ./data/jobs-polygon.db
+const networkFile = (filename, { name, isDefault }) => {
+  if (isDefault) {
+    return filename;
+  }
+  const { dir, name: base, ext } = path.parse(filename);
+  return path.join(dir, `${base}-${name}${ext}`);
+};
+
+// One service, job queue and gas budget per network served
+const createDeployment = ({ network, contractAddress, rpcUrls, isDefault }) => {
+  const logger = prefixedLogger(console, network.name);
+  const service = new SimBankService({
+    network,
+    contractAddress,
+    deploymentRegistry,
+    rpcUrls,
+    // Failover between rpcUrls; quorum reads need RPC_QUORUM of them to agree
+    // (a majority by default, at most all of them)
+    rpc: {
+      timeout: Number(process.env.RPC_TIMEOUT_SECONDS || 10) * 1000,
+      retries: Number(process.env.RPC_RETRIES || 2),
+      cooldown: Number(process.env.RPC_COOLDOWN_SECONDS || 30) * 1000,
+      quorum: process.env.RPC_QUORUM
+        ? Math.min(Number(process.env.RPC_QUORUM), rpcUrls.length)
+        : undefined,
+    },
+    privateKey: process.env.PRIVATE_KEY, // Only needed for write operations
+    logger,
+    nonceRetries: process.env.NONCE_RETRIES
+      ? Number(process.env.NONCE_RETRIES)
+      : undefined,
+    // Fee bumps follow the network's gas policy unless set here
+    gasBump: {
+      enabled: process.env.GAS_BUMP_TIMEOUT_SECONDS !== "0",
+      stuckTimeout: Number(process.env.GAS_BUMP_TIMEOUT_SECONDS || 120) * 1000,
+      pollInterval:
+        Number(process.env.GAS_MONITOR_INTERVAL_SECONDS || 15) * 1000,
+      bumpPercent: process.env.GAS_BUMP_PERCENT
+        ? Number(process.env.GAS_BUMP_PERCENT)
+        : undefined,
+      maxFeePerGas: process.env.MAX_FEE_PER_GAS_GWEI
+        ? ethers.parseUnits(process.env.MAX_FEE_PER_GAS_GWEI, "gwei")
+        : undefined,
+    },
+    // Reads at latest are kept until an event changes them, at most this long
+    readCache:
+      process.env.READ_CACHE_ENABLED === "false"
+        ? false
+        : {
+            ttl: Number(process.env.READ_CACHE_TTL_SECONDS || 30) * 1000,
+            maxEntries: process.env.READ_CACHE_MAX_ENTRIES
+              ? Number(process.env.READ_CACHE_MAX_ENTRIES)
+              : undefined,
+          },
+  });
+
+  // Log fee bumps of stuck transactions
+  service.txMonitor?.on("replaced", ({ nonce, previousHash, hash }) => {
+    logger.info(`nonce ${nonce}: replaced ${previousHash} with ${hash}`);
+  });
+  service.txMonitor?.on("capped", ({ nonce, hash }) => {
+    logger.warn(`nonce ${nonce}: ${hash} is stuck at the max fee cap`);
+  });
+
+  // GAS_BUDGET_PER_HOUR applies to each network, in its native currency
+  const gasBudget = Number(process.env.GAS_BUDGET_PER_HOUR)
+    ? new GasBudget(rateLimitStore, {
+        maxPerHour: ethers.parseEther(process.env.GAS_BUDGET_PER_HOUR),
+        prefix: `gasbudget:${network.name}`,
+        currency: network.nativeCurrency.symbol,
+      })
+    : null;
+
+  // Job tracking for write operations
+  const jobManager = new JobManager(
+    service,
+    createJobStore({
+      type: process.env.JOB_STORE || "memory",
+      filename: networkFile(process.env.JOB_DB_PATH || "./data/jobs.db", {
+        name: network.name,
+        isDefault,
+      }),
+    }),
+    {
+      confirmations: process.env.JOB_CONFIRMATIONS
+        ? Number(process.env.JOB_CONFIRMATIONS)
+        : undefined,
+      gasBudget,
+      logger,
+    }
+  );
+
+  return {
+    name: network.name,
+    network,
+    service,
+    jobManager,
+    gasBudget,
+    isDefault,
+  };
+};
+
+// Networks served: NETWORK on /api/... and each of NETWORKS on
+// /api/<network>/... (see src/networks)
+const networkRegistry = NetworkRegistry.fromFile(process.env.NETWORKS_FILE);
+// Files written by scripts/deploy.js and scripts/upgrade.js; they supply the
+// proxy address of networks without a CONTRACT_ADDRESS variable
+const deploymentRegistry = new DeploymentRegistry(
+  process.env.DEPLOYMENTS_DIR || "../deployments"
+);
+const deployments = new Map(
+  deploymentsFromEnv(networkRegistry, { deploymentRegistry }).map((config) => [
+    config.network.name,
+    createDeployment(config),
+  ])
+);
+const defaultDeployment = deployments.values().next().value;
+
+// Path prefix of a network's routes
+const apiBase = (name) =>
+  name === defaultDeployment.name ? "/api" : `/api/${name}`;
+
+// Route /api/<network>/... to the plain /api/... routes with req.deployment
+// set to that network; everything else runs against the default network
+app.use((req, res, next) => {
+  const match = /^\/api\/([^/?]+)([/?].*)?$/.exec(req.url);
+  const deployment = match && deployments.get(match[1]);
+  if (deployment) {
+    req.url = `/api${match[2] || ""}`;
+  }
+  req.deployment = deployment || defaultDeployment;
+  next();
+});
+
+// Index contract events into SQLite (opt-in: backfilling needs many RPC calls)
+// Only the default network is indexed
+const eventIndexer =
+  process.env.INDEXER_ENABLED === "true"
+    ? new EventIndexer(
+        defaultDeployment.service,
+        new EventStore(process.env.INDEXER_DB_PATH || "./data/events.db"),
+        {
+          startBlock: process.env.INDEXER_START_BLOCK
+            ? Number(process.env.INDEXER_START_BLOCK)
+            : undefined,
+          chunkSize: process.env.INDEXER_CHUNK_SIZE
+            ? Number(process.env.INDEXER_CHUNK_SIZE)
+            : undefined,
+          confirmations: process.env.INDEXER_CONFIRMATIONS
+            ? Number(process.env.INDEXER_CONFIRMATIONS)
+            : undefined,
+          pollInterval:
+            Number(process.env.INDEXER_POLL_INTERVAL_SECONDS || 15) * 1000,
+          changeLogSize: process.env.INDEXER_CHANGE_LOG_SIZE
+            ? Number(process.env.INDEXER_CHANGE_LOG_SIZE)
+            : undefined,
+          logger: console,
+        }
+      )
+    : null;
+
+// Indexed events keep the default network's read cache current, including
+// changes made outside this backend; other networks rely on the TTL for those
+if (eventIndexer) {
+  const { service } = defaultDeployment;
+  eventIndexer.on("events", (events) => service.invalidateForEvents(events));
+  eventIndexer.on("reorg", ({ fromBlock }) =>
+    service.invalidateFromBlock(fromBlock)
+  );
+}
+
+// Live event feed for SSE and WebSocket clients
+const eventStream = eventIndexer ? new EventStream(eventIndexer) : null;
+
+// Outbound webhooks for indexed events
+const webhookDispatcher = eventIndexer
+  ? new WebhookDispatcher(
+      eventIndexer,
+      new WebhookStore(process.env.WEBHOOK_DB_PATH || "./data/webhooks.db"),
+      {
+        maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS
+          ? Number(process.env.WEBHOOK_MAX_ATTEMPTS)
+          : undefined,
+        retryDelay:
+          Number(process.env.WEBHOOK_RETRY_DELAY_SECONDS || 10) * 1000,
+        timeout: Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 10) * 1000,
+        concurrency: process.env.WEBHOOK_CONCURRENCY
+          ? Number(process.env.WEBHOOK_CONCURRENCY)
+          : undefined,
+        logger: console,
+      }
+    )
+  : null;
+
+// API keys (only hashes are stored); ADMIN_API_KEY bootstraps the first keys
+const authEnabled = process.env.AUTH_ENABLED !== "false";
+const apiKeys = new ApiKeyManager(
+  new ApiKeyStore(process.env.AUTH_DB_PATH || "./data/auth.db"),
+  { bootstrapKey: process.env.ADMIN_API_KEY }
+);
+
+// AUTH_MODE: apiKey (default), jwt (tokens from an OIDC provider) or both
+const authMode = process.env.AUTH_MODE || "apiKey";
+if (!["apiKey", "jwt", "both"].includes(authMode)) {
+  throw new Error("AUTH_MODE must be apiKey, jwt or both");
+}
+const jwtVerifier =
+  authEnabled && authMode !== "apiKey"
+    ? new JwtVerifier({
+        jwksFile: process.env.JWT_JWKS_FILE,
+        jwksUrl: process.env.JWT_JWKS_URL,
+        issuer: process.env.JWT_ISSUER,
+        audience: process.env.JWT_AUDIENCE,
+        scopeClaims: process.env.JWT_SCOPE_CLAIM?.split(","),
+        scopeMap: process.env.JWT_SCOPE_MAP
+          ? JSON.parse(process.env.JWT_SCOPE_MAP)
+          : undefined,
+        clockTolerance: process.env.JWT_CLOCK_TOLERANCE_SECONDS
+          ? Number(process.env.JWT_CLOCK_TOLERANCE_SECONDS)
+          : undefined,
+        logger: console,
+      })
+    : null;
+// Wallet sessions from Sign-In With Ethereum, for end users' own addresses.
+// Off without SIWE_DOMAIN: messages must name this server's own domain.
+const siwe = process.env.SIWE_DOMAIN
+  ? new SiweAuth({
+      getChainId: () => defaultDeployment.network.chainId,
+      domain: process.env.SIWE_DOMAIN,
+      sessionTtl: process.env.SIWE_SESSION_TTL_SECONDS
+        ? Number(process.env.SIWE_SESSION_TTL_SECONDS)
+        : undefined,
+    })
+  : null;
+
+const credentials = credentialVerifier({
+  apiKeys: authMode !== "jwt" ? apiKeys : null,
+  jwt: jwtVerifier,
+  sessions: siwe,
+});
+
+// Maker-checker: privileged operations wait for approval by other callers.
+// Without authentication nobody can tell approvers apart, so it is off.
+const proposalManager = new ProposalManager(
+  new ProposalStore(process.env.PROPOSAL_DB_PATH || "./data/proposals.db"),
+  new Map(
+    [...deployments.values()].map(({ name, jobManager }) => [name, jobManager])
+  ),
+  {
+    requiredApprovals: authEnabled
+      ? Number(process.env.PROPOSAL_APPROVALS ?? 1)
+      : 0,
+    ttl: process.env.PROPOSAL_TTL_SECONDS
+      ? Number(process.env.PROPOSAL_TTL_SECONDS)
+      : undefined,
+    operations: process.env.PROPOSAL_OPERATIONS
+      ? process.env.PROPOSAL_OPERATIONS.split(",")
+      : undefined,
+  }
+);
+
+// Hash-chained record of privileged requests and the jobs they started
+const auditLog = new AuditLog(
+  new AuditStore(process.env.AUDIT_DB_PATH || "./data/audit.db"),
+  { secret: process.env.AUDIT_SECRET, logger: console }
+);
+for (const { jobManager } of deployments.values()) {
+  jobManager.on("job:updated", (job) => {
+    try {
+      auditLog.recordJob(job);
+    } catch (error) {
+      console.error(
+        `Audit log: failed to record job ${job.id}:`,
+        error.message
+      );
+    }
+  });
+}
+
+// Responses to write requests with an Idempotency-Key, replayed for retries
+const idempotencyStore = new IdempotencyStore(
+  process.env.IDEMPOTENCY_DB_PATH || "./data/idempotency.db"
+);
+const idempotentWrite = idempotent(idempotencyStore, {
+  ttl: Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 3600,
+  logger: console,
+});
+
+// Requests still in progress when the server last stopped may have submitted
+// their operation, so retries get an error instead of running it again
+const interrupted = idempotencyStore.interruptProcessing({
+  status: 500,
+  body: {
+    success: false,
+    error:
+      "The server restarted while handling this request; check GET /api/jobs before retrying with a new Idempotency-Key",
+    code: "REQUEST_INTERRUPTED",
+  },
 });
+if (interrupted) {
+  console.warn(`Idempotency: ${interrupted} interrupted request(s)`);
+}
 
 // Error handler wrapper
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
+// Reject requests for features the deployed contract version lacks
+const requireFeature = (feature) =>
+  asyncHandler(async (req, res, next) => {
+    await req.deployment.service.requireFeature(feature);
+    next();
+  });
+
+// Schema parts shared by routes; each route validates its params, query and
+// body with validate() (see src/validation)
+const ROLE_NAMES = Object.keys(defaultDeployment.service.roles);
+
+// Point-in-time reads: ?blockTag=12345|latest|safe|finalized or ?at=<time>
+const blockQuery = {
+  blockTag: is
+    .string({
+      pattern: /^(\d+|latest|safe|finalized)$/,
+      description: "a block number, latest, safe or finalized",
+    })
+    .optional(),
+  at: is.time().optional(),
+};
+
+// Write operations: ?dryRun=true, and a comment for proposals
+const writeSchema = (body = {}) => ({
+  query: { dryRun: is.boolean().optional(false) },
+  body: { ...body, comment: is.string({ max: 1000 }).optional() },
+});
+
+// Page size: ?limit=, defaulting to `fallback` and capped at `max`
+const limitQuery = (fallback, max) => ({
+  limit: is.integer({ min: 1, max }).optional(fallback),
+});
+
+const idParams = { id: is.string({ max: 100 }) };
+
+// Block to read at from ?blockTag= (number or tag) or ?at= (time), if any
+// Resolves to { number, hash, timestamp } so responses say which block was read
+const resolveBlock = async (service, query) => {
+  const { blockTag, at } = query;
+  if (blockTag !== undefined && at !== undefined) {
+    throw new ApiError(
+      400,
+      "VALIDATION_ERROR",
+      "Use either blockTag or at, not both"
+    );
+  }
+
+  if (at !== undefined) {
+    return service.getBlockAtTimestamp(at);
+  }
+  if (blockTag === undefined) {
+    return null;
+  }
+  return service.getBlockInfo(
+    /^\d+$/.test(blockTag) ? Number(blockTag) : blockTag
+  );
+};
+
+// Response data of a read, with the block it was read at
+const atBlockData = (data, block) => (block ? { ...data, block } : data);
+
+// ==================== SIGN-IN WITH ETHEREUM ====================
+// Public: these issue the session tokens wallet users authenticate with.
+
+// Every request is first counted by IP, so failed authentication is limited
+// too. Sign-in is then rate limited by IP; everything else once the caller is
+// known
+if (rateLimiter) {
+  app.use("/api", rateLimit(rateLimiter, { budget: "ip" }));
+  app.use("/api/auth", rateLimit(rateLimiter));
+}
+
+app.use("/api/auth", (req, res, next) => {
+  if (!siwe) {
+    return next(
+      new ApiError(
+        503,
+        "SIWE_DISABLED",
+        "Sign-In With Ethereum is not enabled (set SIWE_DOMAIN)"
+      )
+    );
+  }
+  next();
+});
+
+/**
+ * GET /api/auth/nonce
+ * Single-use nonce for a SIWE (EIP-4361) message
+ */
+app.get("/api/auth/nonce", (req, res) => {
+  res.json({
+    success: true,
+    data: siwe.createNonce(),
+  });
+});
+
+/**
+ * POST /api/auth/verify
+ * Exchange a signed SIWE message for a session token
+ * Body: { message: "<EIP-4361 message>", signature: "0x..." }
+ */
+app.post(
+  "/api/auth/verify",
+  validate({
+    body: {
+      message: is.string({ max: 4096 }),
+      signature: is.string({
+        pattern: /^0x[0-9a-fA-F]+$/,
+        description: "a hex signature",
+      }),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { message, signature } = req.body;
+    const session = await siwe.verify(message, signature);
+    res.json({
+      success: true,
+      data: session,
+    });
+  })
+);
+
+/**
+ * POST /api/auth/logout
+ * End the session sent as `Authorization: Bearer <token>`
+ */
+app.post("/api/auth/logout", (req, res) => {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (bearer) {
+    siwe.revoke(bearer[1]);
+  }
+  res.json({
+    success: true,
+    data: { loggedOut: true },
+  });
+});
+
+// Every other /api route needs a credential; each route then requires a scope
+app.use(
+  "/api",
+  authenticate(credentials, {
+    enabled: authEnabled,
+    queryKeyPaths: ["/api/events/stream"],
+  })
+);
+if (rateLimiter) {
+  app.use("/api", rateLimit(rateLimiter));
+}
+
 // ==================== READ ENDPOINTS ====================
 
 /**
  * GET /api/token/info
  * Get token information
+ * Point-in-time reads (also on balance, allowance, blacklist and fee):
+ * ?blockTag=12345|latest|safe|finalized or ?at=2026-06-30T23:59:59Z
  */
 app.get(
   "/api/token/info",
+  requireScope("read"),
+  validate({ query: blockQuery }),
   asyncHandler(async (req, res) => {
-    const info = await simBankService.getTokenInfo();
+    const block = await resolveBlock(req.deployment.service, req.query);
+    const info = await req.deployment.service.getTokenInfo(block?.number);
     res.json({
       success: true,
-      data: info,
+      data: atBlockData(info, block),
     });
   })
 );
@@ -47,20 +581,23 @@ app.get(
  */
 app.get(
   "/api/balance/:address",
+  requireScope("read", { self: (req) => req.params.address }),
+  validate({
+    params: { address: is.address() },
+    query: { ...blockQuery, quorum: is.boolean().optional(false) },
+  }),
   asyncHandler(async (req, res) => {
     const { address } = req.params;
 
-    if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid Ethereum address",
-      });
-    }
-
-    const balance = await simBankService.getBalance(address);
+    const block = await resolveBlock(req.deployment.service, req.query);
+    const balance = await req.deployment.service.getBalance(
+      address,
+      block?.number,
+      { quorum: req.query.quorum }
+    );
     res.json({
       success: true,
-      data: balance,
+      data: atBlockData(balance, block),
     });
   })
 );
@@ -71,13 +608,23 @@ app.get(
  */
 app.get(
   "/api/allowance/:owner/:spender",
+  requireScope("read", { self: (req) => req.params.owner }),
+  validate({
+    params: { owner: is.address(), spender: is.address() },
+    query: blockQuery,
+  }),
   asyncHandler(async (req, res) => {
     const { owner, spender } = req.params;
 
-    const allowance = await simBankService.getAllowance(owner, spender);
+    const block = await resolveBlock(req.deployment.service, req.query);
+    const allowance = await req.deployment.service.getAllowance(
+      owner,
+      spender,
+      block?.number
+    );
     res.json({
       success: true,
-      data: allowance,
+      data: atBlockData(allowance, block),
     });
   })
 );
@@ -88,16 +635,19 @@ app.get(
  */
 app.get(
   "/api/blacklist/:address",
+  requireScope("read"),
+  validate({ params: { address: is.address() }, query: blockQuery }),
   asyncHandler(async (req, res) => {
     const { address } = req.params;
 
-    const isBlacklisted = await simBankService.isBlacklisted(address);
+    const block = await resolveBlock(req.deployment.service, req.query);
+    const isBlacklisted = await req.deployment.service.isBlacklisted(
+      address,
+      block?.number
+    );
     res.json({
       success: true,
-      data: {
-        address,
-        isBlacklisted,
-      },
+      data: atBlockData({ address, isBlacklisted }, block),
     });
   })
 );
@@ -108,8 +658,9 @@ app.get(
  */
 app.get(
   "/api/paused",
+  requireScope("read"),
   asyncHandler(async (req, res) => {
-    const isPaused = await simBankService.isPaused();
+    const isPaused = await req.deployment.service.isPaused();
     res.json({
       success: true,
       data: {
@@ -125,11 +676,55 @@ app.get(
  */
 app.get(
   "/api/fee",
+  requireScope("read"),
+  validate({ query: blockQuery }),
+  asyncHandler(async (req, res) => {
+    const block = await resolveBlock(req.deployment.service, req.query);
+    const fee = await req.deployment.service.getTransferFee(block?.number);
+    res.json({
+      success: true,
+      data: atBlockData(fee, block),
+    });
+  })
+);
+
+/**
+ * GET /api/transfer/quote?from=0x...&to=0x...&amount=100
+ * Quote the fee and net amount of a transfer, and whether it would be blocked
+ * Add grossUp=true to compute the amount to send so `to` receives exactly `amount`
+ * `from` defaults to the backend wallet
+ */
+app.get(
+  "/api/transfer/quote",
+  requireScope("read"),
+  validate({
+    query: {
+      from: is.address().optional(),
+      to: is.address(),
+      amount: is.amount(),
+      grossUp: is.boolean().optional(false),
+      quorum: is.boolean().optional(false),
+    },
+  }),
   asyncHandler(async (req, res) => {
-    const fee = await simBankService.getTransferFee();
+    const { to, amount, grossUp, quorum } = req.query;
+    const from = req.query.from || req.deployment.service.wallet?.address;
+
+    if (!from) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        "from is required when no private key is configured"
+      );
+    }
+
+    const quote = await req.deployment.service.quoteTransfer(from, to, amount, {
+      grossUp,
+      quorum,
+    });
     res.json({
       success: true,
-      data: fee,
+      data: quote,
     });
   })
 );
@@ -140,10 +735,12 @@ app.get(
  */
 app.get(
   "/api/role/:role/:address",
+  requireScope("read"),
+  validate({ params: { role: is.oneOf(ROLE_NAMES), address: is.address() } }),
   asyncHandler(async (req, res) => {
     const { role, address } = req.params;
 
-    const hasRole = await simBankService.hasRole(role, address);
+    const hasRole = await req.deployment.service.hasRole(role, address);
     res.json({
       success: true,
       data: {
@@ -155,14 +752,50 @@ app.get(
   })
 );
 
+/**
+ * GET /api/version
+ * Contract version and the features it enables
+ */
+app.get(
+  "/api/version",
+  requireScope("read"),
+  validate({ query: { refresh: is.boolean().optional(false) } }),
+  asyncHandler(async (req, res) => {
+    const version = await req.deployment.service.getVersion({
+      refresh: req.query.refresh,
+    });
+    res.json({
+      success: true,
+      data: version,
+    });
+  })
+);
+
+/**
+ * GET /api/deployment
+ * Proxy, implementation and version on chain, with the deployment file and
+ * upgrade history; `mismatches` lists where the file and the chain disagree
+ */
+app.get(
+  "/api/deployment",
+  requireScope("read"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await req.deployment.service.getDeployment(),
+    });
+  })
+);
+
 /**
  * GET /api/gas
  * Get current gas prices
  */
 app.get(
   "/api/gas",
+  requireScope("read"),
   asyncHandler(async (req, res) => {
-    const gasPrice = await simBankService.getGasPrice();
+    const gasPrice = await req.deployment.service.getGasPrice();
     res.json({
       success: true,
       data: gasPrice,
@@ -171,6 +804,56 @@ app.get(
 );
 
 // ==================== WRITE ENDPOINTS ====================
+// Write endpoints return 202 Accepted as soon as the transaction is
+// broadcast; poll GET /api/jobs/:id for the outcome.
+// Add ?dryRun=true to any of them to simulate without broadcasting.
+
+// Submit an operation as a job, or simulate it with ?dryRun=true
+// Operations needing approval create a proposal instead of a job
+const runOperation = async (req, res, operation, params) => {
+  if (req.query.dryRun) {
+    const simulation = await req.deployment.service.simulateOperation(
+      operation,
+      params
+    );
+    return res.json({
+      success: true,
+      data: simulation,
+    });
+  }
+
+  if (proposalManager.requiresApproval(operation)) {
+    const proposal = proposalManager.propose(operation, params, req.auth, {
+      comment: req.body.comment,
+      network: req.deployment.name,
+    });
+    res.locals.audit = { proposalId: proposal.id };
+    return res.status(202).location(`/api/proposals/${proposal.id}`).json({
+      success: true,
+      data: proposal,
+    });
+  }
+
+  const { jobManager } = req.deployment;
+  let job;
+  try {
+    job = await jobManager.submit(operation, params);
+  } catch (error) {
+    // Link the failed job, which is already final, to the request's entry
+    if (error.jobId) {
+      res.locals.audit = { jobId: error.jobId };
+    }
+    throw error;
+  }
+  res.locals.audit = { jobId: job.id, transactionHash: job.transactionHash };
+  res
+    .status(202)
+    .location(`${apiBase(req.deployment.name)}/jobs/${job.id}`)
+    .json({
+      success: true,
+      data: jobManager.toJSON(job),
+    });
+};
 
 /**
  * POST /api/mint
@@ -179,21 +862,13 @@ app.get(
  */
 app.post(
   "/api/mint",
+  auditRequest(auditLog, "mint"),
+  requireScope("mint"),
+  validate(writeSchema({ to: is.address(), amount: is.amount() })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { to, amount } = req.body;
-
-    if (!to || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: to, amount",
-      });
-    }
-
-    const result = await simBankService.mint(to, amount);
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "mint", { to, amount });
   })
 );
 
@@ -204,21 +879,12 @@ app.post(
  */
 app.post(
   "/api/transfer",
+  requireScope("admin"),
+  validate(writeSchema({ to: is.address(), amount: is.amount() })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { to, amount } = req.body;
-
-    if (!to || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: to, amount",
-      });
-    }
-
-    const result = await simBankService.transfer(to, amount);
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "transfer", { to, amount });
   })
 );
 
@@ -229,45 +895,101 @@ app.post(
  */
 app.post(
   "/api/burn",
+  auditRequest(auditLog, "burn"),
+  requireScope("admin"),
+  validate(writeSchema({ amount: is.amount() })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { amount } = req.body;
+    await runOperation(req, res, "burn", { amount });
+  })
+);
 
-    if (!amount) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required field: amount",
-      });
-    }
+/**
+ * POST /api/permit
+ * EIP-2612 permit for a wallet to sign; nothing is sent on-chain
+ * Body: { owner: "0x...", spender: "0x...", amount: "100", deadline?: 1700000000 }
+ * deadline defaults to one hour after the latest block. Sign the typed data with
+ * eth_signTypedData_v4 and submit it via POST /api/approve.
+ */
+app.post(
+  "/api/permit",
+  requireScope("read", { self: (req) => req.body.owner }),
+  validate({
+    body: {
+      owner: is.address(),
+      spender: is.address(),
+      amount: is.amount({ allowZero: true }),
+      deadline: is.time().optional(),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { owner, spender, amount, deadline } = req.body;
 
-    const result = await simBankService.burn(amount);
+    const permit = await req.deployment.service.buildPermit(
+      owner,
+      spender,
+      amount,
+      deadline
+    );
     res.json({
       success: true,
-      data: result,
+      data: permit,
     });
   })
 );
 
 /**
  * POST /api/approve
- * Approve spending
+ * Approve spending from the backend wallet (admin), or submit an owner's
+ * signed permit so the owner approves without paying gas
  * Body: { spender: "0x...", amount: "100" }
+ *    or { owner: "0x...", spender, amount, deadline, signature: "0x..." }
  */
 app.post(
   "/api/approve",
+  requireScope("admin", { self: (req) => req.body.owner }),
+  validate(
+    writeSchema({
+      owner: is.address().optional(),
+      spender: is.address(),
+      amount: is.amount({ allowZero: true }),
+      deadline: is.time().optional(),
+      signature: is
+        .string({
+          pattern: /^0x[0-9a-fA-F]{130}$/,
+          description: "a 65-byte hex signature",
+        })
+        .optional(),
+    })
+  ),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
-    const { spender, amount } = req.body;
+    const { owner, spender, amount, deadline, signature } = req.body;
 
-    if (!spender || !amount) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: spender, amount",
-      });
+    if (owner === undefined) {
+      return runOperation(req, res, "approve", { spender, amount });
     }
 
-    const result = await simBankService.approve(spender, amount);
-    res.json({
-      success: true,
-      data: result,
+    if (deadline === undefined || !signature) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        "Missing required fields for a permit: deadline, signature"
+      );
+    }
+    try {
+      ethers.Signature.from(signature);
+    } catch (error) {
+      throw new ApiError(400, "VALIDATION_ERROR", "Invalid permit signature");
+    }
+
+    await runOperation(req, res, "permit", {
+      owner,
+      spender,
+      amount,
+      deadline,
+      signature,
     });
   })
 );
@@ -278,12 +1000,12 @@ app.post(
  */
 app.post(
   "/api/pause",
+  auditRequest(auditLog, "pause"),
+  requireScope("pause"),
+  validate(writeSchema()),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
-    const result = await simBankService.pause();
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "pause", {});
   })
 );
 
@@ -293,12 +1015,12 @@ app.post(
  */
 app.post(
   "/api/unpause",
+  auditRequest(auditLog, "unpause"),
+  requireScope("pause"),
+  validate(writeSchema()),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
-    const result = await simBankService.unpause();
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "unpause", {});
   })
 );
 
@@ -309,21 +1031,13 @@ app.post(
  */
 app.post(
   "/api/blacklist",
+  auditRequest(auditLog, "blacklist"),
+  requireScope("compliance"),
+  validate(writeSchema({ address: is.address() })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { address } = req.body;
-
-    if (!address) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required field: address",
-      });
-    }
-
-    const result = await simBankService.blacklist(address);
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "blacklist", { address });
   })
 );
 
@@ -334,21 +1048,13 @@ app.post(
  */
 app.post(
   "/api/unblacklist",
+  auditRequest(auditLog, "unblacklist"),
+  requireScope("compliance"),
+  validate(writeSchema({ address: is.address() })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { address } = req.body;
-
-    if (!address) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required field: address",
-      });
-    }
-
-    const result = await simBankService.unblacklist(address);
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "unblacklist", { address });
   })
 );
 
@@ -359,21 +1065,13 @@ app.post(
  */
 app.post(
   "/api/fee",
+  auditRequest(auditLog, "setTransferFee"),
+  requireScope("admin"),
+  validate(writeSchema({ feePercentage: is.integer({ min: 0, max: 1000 }) })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { feePercentage } = req.body;
-
-    if (feePercentage === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required field: feePercentage",
-      });
-    }
-
-    const result = await simBankService.setTransferFee(feePercentage);
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "setTransferFee", { feePercentage });
   })
 );
 
@@ -384,21 +1082,13 @@ app.post(
  */
 app.post(
   "/api/role/grant",
+  auditRequest(auditLog, "grantRole"),
+  requireScope("admin"),
+  validate(writeSchema({ role: is.oneOf(ROLE_NAMES), address: is.address() })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { role, address } = req.body;
-
-    if (!role || !address) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: role, address",
-      });
-    }
-
-    const result = await simBankService.grantRole(role, address);
-    res.json({
-      success: true,
-      data: result,
-    });
+    await runOperation(req, res, "grantRole", { role, address });
   })
 );
 
@@ -409,99 +1099,1007 @@ app.post(
  */
 app.post(
   "/api/role/revoke",
+  auditRequest(auditLog, "revokeRole"),
+  requireScope("admin"),
+  validate(writeSchema({ role: is.oneOf(ROLE_NAMES), address: is.address() })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
     const { role, address } = req.body;
+    await runOperation(req, res, "revokeRole", { role, address });
+  })
+);
 
-    if (!role || !address) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: role, address",
-      });
-    }
+// ==================== STAKING ENDPOINTS (V2) ====================
+// Only available once the proxy runs SimBankTokenV2; V1 deployments
+// get 501 FEATURE_NOT_AVAILABLE.
 
-    const result = await simBankService.revokeRole(role, address);
+/**
+ * GET /api/staking
+ * Total staked and reward rate
+ */
+app.get(
+  "/api/staking",
+  requireScope("read"),
+  requireFeature("staking"),
+  asyncHandler(async (req, res) => {
+    const stats = await req.deployment.service.getStakingStats();
     res.json({
       success: true,
-      data: result,
+      data: stats,
     });
   })
 );
 
-// ==================== UTILITY ENDPOINTS ====================
-
 /**
- * POST /api/estimate
- * Estimate gas for a transaction
- * Body: { method: "mint", params: ["0x...", "100"] }
+ * GET /api/staking/:address
+ * Staked balance and pending rewards for an address
  */
-app.post(
-  "/api/estimate",
+app.get(
+  "/api/staking/:address",
+  requireScope("read", { self: (req) => req.params.address }),
+  requireFeature("staking"),
+  validate({ params: { address: is.address() } }),
   asyncHandler(async (req, res) => {
-    const { method, params } = req.body;
-
-    if (!method || !params) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required fields: method, params",
-      });
-    }
+    const { address } = req.params;
 
-    const gas = await simBankService.estimateGas(method, params);
+    const info = await req.deployment.service.getStakingInfo(address);
     res.json({
       success: true,
-      data: gas,
+      data: info,
     });
   })
 );
 
 /**
- * GET /api/transaction/:hash
- * Wait for and get transaction receipt
+ * POST /api/stake
+ * Stake tokens from the backend wallet
+ * Body: { amount: "100" }
  */
-app.get(
-  "/api/transaction/:hash",
+app.post(
+  "/api/stake",
+  requireScope("admin"),
+  requireFeature("staking"),
+  validate(writeSchema({ amount: is.amount() })),
+  idempotentWrite,
+  asyncHandler(async (req, res) => {
+    const { amount } = req.body;
+    await runOperation(req, res, "stake", { amount });
+  })
+);
+
+/**
+ * POST /api/unstake
+ * Unstake tokens and claim rewards to the backend wallet
+ * Body: { amount: "100" }
+ */
+app.post(
+  "/api/unstake",
+  requireScope("admin"),
+  requireFeature("staking"),
+  validate(writeSchema({ amount: is.amount() })),
+  idempotentWrite,
+  asyncHandler(async (req, res) => {
+    const { amount } = req.body;
+    await runOperation(req, res, "unstake", { amount });
+  })
+);
+
+/**
+ * POST /api/staking/reward-rate
+ * Set staking reward rate (requires DEFAULT_ADMIN_ROLE)
+ * Body: { rate: 10 } // basis points per day (10 = 0.1%, max 100)
+ */
+app.post(
+  "/api/staking/reward-rate",
+  auditRequest(auditLog, "setStakingRewardRate"),
+  requireScope("admin"),
+  requireFeature("staking"),
+  validate(writeSchema({ rate: is.integer({ min: 0, max: 100 }) })),
+  idempotentWrite,
   asyncHandler(async (req, res) => {
-    const { hash } = req.params;
-    const confirmations = req.query.confirmations || 1;
+    const { rate } = req.body;
+    await runOperation(req, res, "setStakingRewardRate", { rate });
+  })
+);
 
-    const receipt = await simBankService.waitForTransaction(
-      hash,
-      confirmations
+// ==================== EVENT INDEX ENDPOINTS ====================
+
+const requireIndexer = (req, res, next) => {
+  if (!eventIndexer) {
+    return next(
+      new ApiError(
+        503,
+        "INDEXER_DISABLED",
+        "Event indexer is not enabled (set INDEXER_ENABLED=true)"
+      )
+    );
+  }
+  if (req.deployment !== defaultDeployment) {
+    return next(
+      new ApiError(
+        404,
+        "NOT_FOUND",
+        `Events are only indexed on the default network (${defaultDeployment.name})`
+      )
     );
+  }
+  next();
+};
+
+/**
+ * GET /api/indexer/status
+ * Indexing progress: last indexed block, head block and lag
+ */
+app.get(
+  "/api/indexer/status",
+  requireScope("read"),
+  requireIndexer,
+  asyncHandler(async (req, res) => {
     res.json({
       success: true,
-      data: receipt,
+      data: {
+        ...eventIndexer.getStatus(),
+        stream: eventStream.getStats(),
+      },
     });
   })
 );
 
-// ==================== ERROR HANDLING ====================
+/**
+ * GET /api/events
+ * Indexed contract events, oldest first
+ * Query: ?name=Transfer&fromBlock=100&toBlock=200&order=desc&limit=100
+ */
+app.get(
+  "/api/events",
+  requireScope("read"),
+  requireIndexer,
+  validate({
+    query: {
+      name: is.list(is.oneOf(INDEXED_EVENTS)).optional(),
+      fromBlock: is.integer({ min: 0 }).optional(),
+      toBlock: is.integer({ min: 0 }).optional(),
+      transactionHash: is.bytes32().optional(),
+      order: is.oneOf(["asc", "desc"]).optional(),
+      ...limitQuery(100, 1000),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { name, fromBlock, toBlock, transactionHash, order, limit } =
+      req.query;
+
+    const events = eventIndexer.store.getEvents({
+      name,
+      fromBlock,
+      toBlock,
+      transactionHash,
+      order,
+      limit,
+    });
+    res.json({
+      success: true,
+      data: events,
+    });
+  })
+);
+
+/**
+ * GET /api/events/stream
+ * Server-Sent Events feed of contract events as they are indexed
+ * Query: ?events=Transfer,Approval&address=0x...&confirmations=12
+ * Resumes after the Last-Event-ID header (or ?lastEventId=)
+ * The same feed is served over WebSocket at /api/events/ws
+ */
+app.get(
+  "/api/events/stream",
+  requireScope("read"),
+  requireIndexer,
+  asyncHandler(sseHandler(eventStream))
+);
+
+/**
+ * GET /api/address/:address/transfers
+ * Transfer history of an address, newest first, with cursor pagination
+ * Query: ?direction=in|out&counterparty=0x...&kind=mint,fee
+ *        &fromBlock=&toBlock=&since=&until=&minAmount=10
+ *        &order=asc&limit=50&cursor=<nextCursor of the previous page>
+ */
+app.get(
+  "/api/address/:address/transfers",
+  requireScope("read", { self: (req) => req.params.address }),
+  requireIndexer,
+  validate({
+    params: { address: is.address() },
+    query: {
+      direction: is.oneOf(["in", "out"]).optional(),
+      counterparty: is.address().optional(),
+      kind: is.list(is.oneOf(TRANSFER_KINDS)).optional(),
+      fromBlock: is.integer({ min: 0 }).optional(),
+      toBlock: is.integer({ min: 0 }).optional(),
+      since: is.time().optional(),
+      until: is.time().optional(),
+      minAmount: is.amount({ allowZero: true }).optional(),
+      order: is.oneOf(["asc", "desc"]).optional(),
+      cursor: is.string({ max: 200 }).optional(),
+      ...limitQuery(50, 500),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { address } = req.params;
+    const {
+      direction,
+      counterparty,
+      kind,
+      fromBlock,
+      toBlock,
+      since,
+      until,
+      minAmount,
+      order,
+      cursor,
+      limit,
+    } = req.query;
+
+    const { items, nextCursor } = eventIndexer.getTransfers(address, {
+      direction,
+      counterparty,
+      kinds: kind,
+      fromBlock,
+      toBlock,
+      fromTime: since,
+      toTime: until,
+      minValue:
+        minAmount !== undefined ? ethers.parseEther(minAmount) : undefined,
+      order,
+      cursor,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/holders
+ * Addresses with a non-zero SB balance, largest first, with cursor pagination
+ * Query: ?order=asc&limit=100&cursor=<nextCursor of the previous page>
+ */
+app.get(
+  "/api/holders",
+  requireScope("read"),
+  requireIndexer,
+  validate({
+    query: {
+      order: is.oneOf(["asc", "desc"]).optional(),
+      cursor: is.string({ max: 200 }).optional(),
+      ...limitQuery(100, 1000),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { order, cursor, limit } = req.query;
+
+    const { items, nextCursor } = eventIndexer.getHolders({
+      order,
+      cursor,
+      limit,
+    });
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        limit,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/token/distribution
+ * Holder count, top holder concentration, Gini coefficient and supply breakdown
+ * Query: ?top=10
+ */
+app.get(
+  "/api/token/distribution",
+  requireScope("read"),
+  requireIndexer,
+  validate({ query: { top: is.integer({ min: 1, max: 100 }).optional(10) } }),
+  asyncHandler(async (req, res) => {
+    const distribution = await eventIndexer.getDistribution({
+      top: req.query.top,
+    });
+    res.json({
+      success: true,
+      data: distribution,
+    });
+  })
+);
+
+// ==================== WEBHOOK ENDPOINTS ====================
+
+/**
+ * POST /api/webhooks
+ * Register a webhook for indexed events
+ * Body: { url: "https://...", events: ["Transfer"], addresses: ["0x..."], description }
+ * The response includes the secret used to sign payloads; it is not shown again
+ */
+app.post(
+  "/api/webhooks",
+  requireScope("admin"),
+  requireIndexer,
+  validate({
+    body: {
+      url: is.string({ max: 2048 }),
+      events: is.list(is.oneOf(INDEXED_EVENTS)).optional(),
+      addresses: is.list(is.address()).optional(),
+      description: is.string({ max: 500 }).optional(),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { url, events, addresses, description } = req.body;
+
+    const webhook = webhookDispatcher.createWebhook({
+      url,
+      events,
+      addresses,
+      description,
+    });
+    res.status(201).location(`/api/webhooks/${webhook.id}`).json({
+      success: true,
+      data: webhook,
+    });
+  })
+);
+
+/**
+ * GET /api/webhooks
+ * List webhooks
+ */
+app.get(
+  "/api/webhooks",
+  requireScope("admin"),
+  requireIndexer,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: webhookDispatcher.listWebhooks(),
+    });
+  })
+);
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Deliveries that failed every attempt
+ */
+app.get(
+  "/api/webhooks/dead-letters",
+  requireScope("admin"),
+  requireIndexer,
+  validate({ query: limitQuery(50, 500) }),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: webhookDispatcher.listDeliveries({
+        status: "dead",
+        limit: req.query.limit,
+      }),
+    });
+  })
+);
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Send a delivery again (e.g. from the dead-letter list)
+ */
+app.post(
+  "/api/webhooks/deliveries/:id/redeliver",
+  requireScope("admin"),
+  requireIndexer,
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const delivery = webhookDispatcher.redeliver(req.params.id);
+    res.status(202).json({
+      success: true,
+      data: delivery,
+    });
+  })
+);
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook
+ */
+app.get(
+  "/api/webhooks/:id",
+  requireScope("admin"),
+  requireIndexer,
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: webhookDispatcher.getWebhook(req.params.id),
+    });
+  })
+);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook and its delivery history
+ */
+app.delete(
+  "/api/webhooks/:id",
+  requireScope("admin"),
+  requireIndexer,
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    webhookDispatcher.deleteWebhook(req.params.id);
+    res.json({
+      success: true,
+      data: { id: req.params.id, deleted: true },
+    });
+  })
+);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery attempts of a webhook, newest first
+ * Query: ?status=pending|delivered|dead&limit=50
+ */
+app.get(
+  "/api/webhooks/:id/deliveries",
+  requireScope("admin"),
+  requireIndexer,
+  validate({
+    params: idParams,
+    query: {
+      status: is.oneOf(Object.values(DELIVERY_STATUS)).optional(),
+      ...limitQuery(50, 500),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: webhookDispatcher.listDeliveries({
+        webhookId: req.params.id,
+        status: req.query.status,
+        limit: req.query.limit,
+      }),
+    });
+  })
+);
+
+// ==================== API KEY ENDPOINTS ====================
+
+/**
+ * POST /api/keys
+ * Create an API key
+ * Body: { name: "treasury-bot", scopes: ["read", "mint"], expiresAt: "2027-01-01T00:00:00Z" }
+ * The key is only returned in this response
+ */
+app.post(
+  "/api/keys",
+  auditRequest(auditLog, "createApiKey"),
+  requireScope("admin"),
+  validate({
+    body: {
+      name: is.string({ max: 100 }),
+      scopes: is.array(is.oneOf(SCOPES), { min: 1 }),
+      expiresAt: is.time().optional(),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expiresAt } = req.body;
+
+    const key = apiKeys.create({
+      name,
+      scopes,
+      expiresAt:
+        expiresAt !== undefined
+          ? new Date(expiresAt * 1000).toISOString()
+          : undefined,
+      createdBy: req.auth,
+    });
+    res.locals.audit = { keyId: key.id };
+    res.status(201).location(`/api/keys/${key.id}`).json({
+      success: true,
+      data: key,
+    });
+  })
+);
+
+/**
+ * GET /api/keys
+ * List API keys (without the keys themselves)
+ */
+app.get(
+  "/api/keys",
+  requireScope("admin"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: apiKeys.list(),
+    });
+  })
+);
+
+/**
+ * GET /api/keys/:id
+ * Get an API key
+ */
+app.get(
+  "/api/keys/:id",
+  requireScope("admin"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: apiKeys.get(req.params.id),
+    });
+  })
+);
+
+/**
+ * POST /api/keys/:id/rotate
+ * Replace a key with a new one with the same name and scopes
+ * Body: { gracePeriod: 3600 } - seconds the old key keeps working (default: 0)
+ */
+app.post(
+  "/api/keys/:id/rotate",
+  auditRequest(auditLog, "rotateApiKey"),
+  requireScope("admin"),
+  validate({
+    params: idParams,
+    body: { gracePeriod: is.integer({ min: 0 }).optional() },
+  }),
+  asyncHandler(async (req, res) => {
+    const key = apiKeys.rotate(req.params.id, {
+      gracePeriod: req.body.gracePeriod,
+      rotatedBy: req.auth,
+    });
+    res.locals.audit = { keyId: key.id };
+    res.status(201).location(`/api/keys/${key.id}`).json({
+      success: true,
+      data: key,
+    });
+  })
+);
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke an API key
+ */
+app.delete(
+  "/api/keys/:id",
+  auditRequest(auditLog, "revokeApiKey"),
+  requireScope("admin"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: apiKeys.revoke(req.params.id),
+    });
+  })
+);
+
+// ==================== PROPOSAL ENDPOINTS ====================
+// Approving or rejecting needs the scope of the proposed operation, which
+// ProposalManager checks against the proposal.
+
+/**
+ * GET /api/proposals
+ * List proposals of every network, newest first
+ * Query: ?status=pending&operation=mint&network=amoy&limit=50
+ */
+app.get(
+  "/api/proposals",
+  requireScope("read"),
+  validate({
+    query: {
+      status: is.oneOf(Object.values(PROPOSAL_STATUS)).optional(),
+      operation: is.oneOf(Object.keys(OPERATION_SCOPES)).optional(),
+      network: is.oneOf([...deployments.keys()]).optional(),
+      ...limitQuery(50, 500),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { status, operation, network, limit } = req.query;
+
+    res.json({
+      success: true,
+      data: proposalManager.list({ status, operation, network, limit }),
+    });
+  })
+);
+
+/**
+ * GET /api/proposals/:id
+ * Proposal with its decision trail
+ */
+app.get(
+  "/api/proposals/:id",
+  requireScope("read"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: proposalManager.get(req.params.id),
+    });
+  })
+);
+
+/**
+ * POST /api/proposals/:id/approve
+ * Approve a proposal; the last approval needed submits its job
+ * Body: { comment?: "..." }
+ */
+app.post(
+  "/api/proposals/:id/approve",
+  auditRequest(auditLog, "approveProposal"),
+  validate({
+    params: idParams,
+    body: { comment: is.string({ max: 1000 }).optional() },
+  }),
+  idempotentWrite,
+  asyncHandler(async (req, res) => {
+    res.locals.audit = { proposalId: req.params.id };
+    const proposal = await proposalManager.approve(req.params.id, req.auth, {
+      comment: req.body.comment,
+    });
+
+    if (proposal.jobId) {
+      res.locals.audit.jobId = proposal.jobId;
+      res.location(`${apiBase(proposal.network)}/jobs/${proposal.jobId}`);
+    }
+    res.json({
+      success: true,
+      data: proposal,
+    });
+  })
+);
+
+/**
+ * POST /api/proposals/:id/reject
+ * Reject a proposal (or withdraw your own)
+ * Body: { comment?: "..." }
+ */
+app.post(
+  "/api/proposals/:id/reject",
+  auditRequest(auditLog, "rejectProposal"),
+  validate({
+    params: idParams,
+    body: { comment: is.string({ max: 1000 }).optional() },
+  }),
+  idempotentWrite,
+  asyncHandler(async (req, res) => {
+    res.locals.audit = { proposalId: req.params.id };
+    res.json({
+      success: true,
+      data: proposalManager.reject(req.params.id, req.auth, {
+        comment: req.body.comment,
+      }),
+    });
+  })
+);
+
+// ==================== AUDIT ENDPOINTS ====================
+// Privileged requests (including refused ones) and the outcome of the jobs
+// they started. Check the hash chain with `npm run audit:verify`.
+
+/**
+ * GET /api/audit
+ * Audit entries, newest first
+ * Query: ?action=mint&actorId=...&jobId=...&success=false
+ *        &since=1700000000&until=2025-01-01T00:00:00Z&limit=100&cursor=...
+ * Pass nextCursor from the response as ?cursor= to get older entries.
+ */
+app.get(
+  "/api/audit",
+  requireScope("admin"),
+  validate({
+    query: {
+      action: is.string({ max: 100 }).optional(),
+      actorId: is.string({ max: 200 }).optional(),
+      jobId: is.string({ max: 100 }).optional(),
+      success: is.boolean().optional(),
+      since: is.time().optional(),
+      until: is.time().optional(),
+      cursor: is.string({ max: 20 }).optional(),
+      ...limitQuery(100, 1000),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { action, actorId, jobId, success, since, until, cursor, limit } =
+      req.query;
+    const toIso = (time) =>
+      time !== undefined ? new Date(time * 1000).toISOString() : undefined;
+
+    res.json({
+      success: true,
+      data: auditLog.query({
+        action,
+        actorId,
+        jobId,
+        success,
+        from: toIso(since),
+        to: toIso(until),
+        cursor,
+        limit,
+      }),
+    });
+  })
+);
+
+/**
+ * GET /api/audit/verify
+ * Re-walk the hash chain; valid is false with the first broken entry otherwise
+ */
+app.get(
+  "/api/audit/verify",
+  requireScope("admin"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: auditLog.verify(),
+    });
+  })
+);
+
+// ==================== JOB ENDPOINTS ====================
+
+/**
+ * GET /api/jobs
+ * List write jobs, newest first
+ * Query: ?status=submitted&operation=mint&limit=50
+ */
+app.get(
+  "/api/jobs",
+  requireScope("read"),
+  validate({
+    query: {
+      status: is.oneOf(Object.values(JOB_STATUS)).optional(),
+      operation: is.oneOf(Object.keys(WRITE_OPERATIONS)).optional(),
+      ...limitQuery(50, 500),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { status, operation, limit } = req.query;
+
+    const { jobManager } = req.deployment;
+    const jobs = await jobManager.list({ status, operation, limit });
+    res.json({
+      success: true,
+      data: jobs.map((job) => jobManager.toJSON(job)),
+    });
+  })
+);
+
+/**
+ * GET /api/jobs/:id
+ * Get the status of a write job
+ * Status: queued -> submitted -> mined -> confirmed, or failed/replaced
+ */
+app.get(
+  "/api/jobs/:id",
+  requireScope("read"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const { jobManager } = req.deployment;
+    const job = await jobManager.get(req.params.id);
+
+    if (!job) {
+      throw new ApiError(404, "JOB_NOT_FOUND", "Job not found");
+    }
+
+    res.json({
+      success: true,
+      data: jobManager.toJSON(job),
+    });
+  })
+);
+
+// ==================== UTILITY ENDPOINTS ====================
+
+/**
+ * GET /api/networks
+ * Networks served and their contract; prefix routes with /api/<name>/ to
+ * use one other than the default
+ */
+app.get("/api/networks", requireScope("read"), (req, res) => {
+  res.json({
+    success: true,
+    data: [...deployments.values()].map(({ network, service, isDefault }) => ({
+      name: network.name,
+      label: network.label,
+      chainId: network.chainId,
+      contractAddress: service.contractAddress,
+      explorer: network.explorer,
+      nativeCurrency: network.nativeCurrency,
+      default: isDefault,
+    })),
+  });
+});
+
+/**
+ * GET /api/rpc
+ * Health of the network's RPC endpoints, in configured order
+ */
+app.get("/api/rpc", requireScope("read"), (req, res) => {
+  const { provider } = req.deployment.service;
+  res.json({
+    success: true,
+    data: {
+      network: req.deployment.name,
+      quorum: provider.quorum,
+      endpoints: provider.getHealth(),
+    },
+  });
+});
+
+/**
+ * GET /api/cache
+ * Read cache hit/miss statistics of the network
+ */
+app.get("/api/cache", requireScope("read"), (req, res) => {
+  const stats = req.deployment.service.getReadCacheStats();
+  res.json({
+    success: true,
+    data: {
+      network: req.deployment.name,
+      enabled: stats !== null,
+      ...stats,
+    },
+  });
+});
+
+/**
+ * GET /api/limits
+ * The caller's remaining request budgets and the signer's gas spend this hour
+ */
+app.get(
+  "/api/limits",
+  requireScope("read"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        requests: rateLimiter
+          ? {
+              ...(await rateLimiter.getStatus(clientKey(req), [
+                "read",
+                "write",
+              ])),
+              ...(await rateLimiter.getStatus(`ip:${req.ip}`, ["ip"])),
+            }
+          : null,
+        gas: req.deployment.gasBudget
+          ? await req.deployment.gasBudget.getStatus()
+          : null,
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/estimate
+ * Estimate gas for a transaction
+ * Body: { method: "mint", params: ["0x...", "100"] }
+ */
+app.post(
+  "/api/estimate",
+  requireScope("read"),
+  validate({
+    body: {
+      method: is.string({
+        pattern: /^[a-zA-Z]\w*$/,
+        description: "a contract function name",
+      }),
+      params: is.array(),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { method, params } = req.body;
+
+    const gas = await req.deployment.service.estimateGas(method, params);
+    res.json({
+      success: true,
+      data: gas,
+    });
+  })
+);
+
+/**
+ * GET /api/transactions/pending
+ * Pending transactions sent by the backend wallet and their fee-bump replacements
+ */
+app.get(
+  "/api/transactions/pending",
+  requireScope("read"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        queue: req.deployment.service.txQueue?.getStatus() || null,
+        pending: req.deployment.service.txMonitor?.getStatus() || [],
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/transaction/:hash
+ * Wait for and get transaction receipt
+ */
+app.get(
+  "/api/transaction/:hash",
+  requireScope("read"),
+  validate({
+    params: { hash: is.bytes32() },
+    query: { confirmations: is.integer({ min: 1, max: 100 }).optional(1) },
+  }),
+  asyncHandler(async (req, res) => {
+    const receipt = await req.deployment.service.waitForTransaction(
+      req.params.hash,
+      req.query.confirmations
+    );
+    res.json({
+      success: true,
+      data: receipt,
+    });
+  })
+);
+
+// ==================== ERROR HANDLING ====================
 
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
     success: false,
     error: "Endpoint not found",
+    code: "NOT_FOUND",
   });
 });
 
 // Global error handler
+// Contract reverts are decoded into ApiErrors with a stable `code`
 app.use((err, req, res, next) => {
-  console.error("Error:", err.message);
-  res.status(500).json({
-    success: false,
-    error: err.message || "Internal server error",
-  });
+  const apiError =
+    err.type === "entity.parse.failed"
+      ? new ApiError(400, "INVALID_JSON", "Malformed JSON request body")
+      : toApiError(err);
+
+  if (apiError.status >= 500) {
+    console.error("Error:", err.message);
+  }
+  if (apiError.details?.retryAfter !== undefined) {
+    res.set("Retry-After", String(apiError.details.retryAfter));
+  }
+
+  res.status(apiError.status).json(apiError.toJSON());
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, async () => {
   console.log(`
 🚀 SimBank Token API Server Running
 ====================================
 Port: ${PORT}
-Contract: ${simBankService.contractAddress}
-Network: Polygon Amoy Testnet
+${[...deployments.values()]
+  .map(
+    ({ name, network, service, isDefault }) =>
+      `Network: ${network.label} (chain ${network.chainId}) on ${
+        isDefault ? "/api" : `/api/${name}`
+      }\nContract: ${service.contractAddress}`
+  )
+  .join("\n")}
 ====================================
 
 Available Endpoints:
@@ -513,14 +2111,18 @@ READ (No gas required):
   GET  /api/blacklist/:address  - Check if blacklisted
   GET  /api/paused              - Check if paused
   GET  /api/fee                 - Get transfer fee
+  GET  /api/transfer/quote      - Quote transfer fee & net amount
   GET  /api/role/:role/:address - Check role
+  GET  /api/version             - Contract version & features
+  GET  /api/deployment          - Implementation & upgrade history
   GET  /api/gas                 - Get gas prices
 
 WRITE (Requires gas & private key):
   POST /api/mint                - Mint tokens
   POST /api/transfer            - Transfer tokens
   POST /api/burn                - Burn tokens
-  POST /api/approve             - Approve spending
+  POST /api/approve             - Approve spending (or submit a permit)
+  POST /api/permit              - Build an EIP-2612 permit to sign
   POST /api/pause               - Pause transfers
   POST /api/unpause             - Unpause transfers
   POST /api/blacklist           - Blacklist address
@@ -529,8 +2131,160 @@ WRITE (Requires gas & private key):
   POST /api/role/grant          - Grant role
   POST /api/role/revoke         - Revoke role
 
+STAKING (V2 only):
+  GET  /api/staking             - Total staked & reward rate
+  GET  /api/staking/:address    - Staked balance & pending rewards
+  POST /api/stake               - Stake tokens
+  POST /api/unstake             - Unstake tokens & claim rewards
+  POST /api/staking/reward-rate - Set reward rate
+
+EVENTS (INDEXER_ENABLED=true):
+  GET  /api/indexer/status      - Indexing progress
+  GET  /api/events              - Indexed contract events
+  GET  /api/events/stream       - Live events (Server-Sent Events)
+  WS   /api/events/ws           - Live events (WebSocket)
+  GET  /api/address/:address/transfers - Transfer history
+  GET  /api/holders             - Token holders by balance
+  GET  /api/token/distribution  - Holder statistics & supply breakdown
+
+WEBHOOKS (INDEXER_ENABLED=true):
+  POST /api/webhooks            - Register a webhook
+  GET  /api/webhooks            - List webhooks
+  GET  /api/webhooks/:id        - Get a webhook
+  DELETE /api/webhooks/:id      - Delete a webhook
+  GET  /api/webhooks/:id/deliveries - Delivery attempts
+  GET  /api/webhooks/dead-letters - Failed deliveries
+  POST /api/webhooks/deliveries/:id/redeliver - Retry a delivery
+
+SIGN-IN WITH ETHEREUM (SIWE_DOMAIN set):
+  GET  /api/auth/nonce          - Nonce for a SIWE message
+  POST /api/auth/verify         - Exchange a signed message for a session
+  POST /api/auth/logout         - End a session
+
+API KEYS (admin scope):
+  POST /api/keys                - Create an API key
+  GET  /api/keys                - List API keys
+  GET  /api/keys/:id            - Get an API key
+  POST /api/keys/:id/rotate     - Rotate an API key
+  DELETE /api/keys/:id          - Revoke an API key
+
+PROPOSALS (maker-checker):
+  GET  /api/proposals           - List proposals
+  GET  /api/proposals/:id       - Proposal & decision trail
+  POST /api/proposals/:id/approve - Approve a proposal
+  POST /api/proposals/:id/reject  - Reject a proposal
+
+AUDIT:
+  GET  /api/audit               - Privileged actions & job outcomes
+  GET  /api/audit/verify        - Verify the audit hash chain
+
+JOBS:
+  GET  /api/jobs                - List write jobs
+  GET  /api/jobs/:id            - Get write job status
+
 UTILITY:
+  GET  /api/limits              - Rate limit & gas budget status
   POST /api/estimate            - Estimate gas
   GET  /api/transaction/:hash   - Get transaction receipt
+  GET  /api/transactions/pending - Pending transactions & fee bumps
+  GET  /api/networks            - Networks served
+  GET  /api/rpc                 - RPC endpoint health
+  GET  /api/cache               - Read cache statistics
   `);
+
+  if (!authEnabled) {
+    console.warn("AUTH_ENABLED=false: every endpoint is open to anyone");
+    console.warn("Proposals are off: privileged operations run immediately");
+  } else if (authMode !== "apiKey") {
+    console.log(
+      `Auth: ${authMode === "jwt" ? "JWT" : "JWT and API key"} (audience ${
+        jwtVerifier.audience
+      })`
+    );
+  } else if (!process.env.ADMIN_API_KEY && !apiKeys.store.countActive()) {
+    console.warn(
+      "No API keys exist: set ADMIN_API_KEY and create keys via POST /api/keys"
+    );
+  }
+
+  for (const { name, service } of deployments.values()) {
+    // Serving a contract on the wrong chain would send transactions there
+    try {
+      const endpoints = await service.checkNetwork();
+      for (const { endpoint, error } of endpoints) {
+        if (error) {
+          console.warn(`${name}: ${error}`);
+        }
+      }
+    } catch (error) {
+      if (error instanceof ApiError) {
+        console.error(`${name}: failed to check chain id:`, error.message);
+      } else {
+        console.error(`${name}: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
+    try {
+      const { version, features } = await service.getVersion();
+      console.log(
+        `${name}: contract version ${version} (staking ${
+          features.staking ? "enabled" : "not available"
+        })`
+      );
+    } catch (error) {
+      console.error(`${name}: failed to read contract version:`, error.message);
+    }
+
+    // Warn when the deployment file disagrees with the chain (e.g. an upgrade
+    // made without scripts/upgrade.js)
+    try {
+      const { mismatches } = await service.getDeployment();
+      for (const { field, expected, actual } of mismatches) {
+        console.warn(
+          `${name}: deployment-${service.network.chainId}.json has ${field} ${expected}, but the contract has ${actual}`
+        );
+      }
+    } catch (error) {
+      console.error(`${name}: failed to check deployment:`, error.message);
+    }
+  }
+
+  if (eventIndexer) {
+    eventIndexer.on("reorg", ({ fromBlock, toBlock, removed }) => {
+      console.warn(
+        `Reorg detected: rolled back blocks ${fromBlock}-${toBlock} (${removed.length} events)`
+      );
+    });
+    eventStream.start();
+    webhookDispatcher.start();
+    eventIndexer.start();
+  }
+
+  for (const { name, jobManager } of deployments.values()) {
+    try {
+      const { failed, resumed } = await jobManager.resume();
+      if (failed || resumed) {
+        console.log(
+          `${name} jobs: resumed ${resumed}, marked ${failed} as failed`
+        );
+      }
+    } catch (error) {
+      console.error(`${name}: failed to resume jobs:`, error.message);
+    }
+  }
 });
+
+if (eventStream) {
+  attachWebSocket(server, eventStream, {
+    authorize: async (req, query) => {
+      if (!authEnabled) {
+        return;
+      }
+      const caller = await authenticateRequest(credentials, req.headers, query);
+      if (!hasScope(caller.scopes, "read")) {
+        throw new ApiError(403, "FORBIDDEN", 'Requires the "read" scope');
+      }
+    },
+  });
+}
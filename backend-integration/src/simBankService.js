@@ -1,19 +1,434 @@
 const { ethers } = require("ethers");
-const SimBankABI = require("../abi/SimBankToken.abi.json");
+// The V2 ABI is a superset of V1; V2-only calls are gated on version()
+const SimBankABI = require("../abi/SimBankTokenV2.abi.json");
+const TransactionQueue = require("./transactionQueue");
+const TransactionMonitor = require("./transactionMonitor");
+const { ApiError, toApiError } = require("./errors");
+const { NetworkRegistry } = require("./networks");
+const { FailoverProvider } = require("./rpc");
+const { ReadCache, readPolicy, eventTags } = require("./reads");
+const { silentLogger } = require("./logger");
+
+const parseAmount = (amount) => ethers.parseEther(amount.toString());
+
+// Call overrides for a read at a block; "latest" when no blockTag is given
+const atBlock = (blockTag) => (blockTag === undefined ? {} : { blockTag });
+
+const formatAmount = (wei) => ({
+  wei: wei.toString(),
+  formatted: ethers.formatEther(wei),
+});
+
+/**
+ * Fee skimmed by SimBankToken.transfer/transferFrom (rounded down)
+ * @param {bigint} amountWei - Gross amount
+ * @param {bigint} basisPoints - transferFeePercentage (100 = 1%)
+ */
+const transferFee = (amountWei, basisPoints) =>
+  (amountWei * basisPoints) / 10000n;
+
+/**
+ * Smallest gross amount whose transfer leaves exactly `netWei` to the recipient
+ * Each extra wei sent raises the net by 0 or 1, so an exact match always exists.
+ */
+function grossUpAmount(netWei, basisPoints) {
+  if (basisPoints === 0n) {
+    return netWei;
+  }
+
+  const netOf = (gross) => gross - transferFee(gross, basisPoints);
+  let gross =
+    (netWei * 10000n + 10000n - basisPoints - 1n) / (10000n - basisPoints);
+  while (netOf(gross) < netWei) {
+    gross++;
+  }
+  while (gross > 0n && netOf(gross - 1n) >= netWei) {
+    gross--;
+  }
+  return gross;
+}
+
+/**
+ * EIP-712 domain name/version passed to __ERC20Permit_init and the
+ * EIP-2612 Permit struct
+ */
+const PERMIT_DOMAIN = { name: "SimBank", version: "1" };
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// ERC-1967 storage slot holding a proxy's implementation address
+const IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const formatBlock = (block) => ({
+  number: block.number,
+  hash: block.hash,
+  timestamp: new Date(block.timestamp * 1000).toISOString(),
+});
+
+/**
+ * Features added by contract upgrades, keyed by name
+ * `minVersion` is the major version returned by version() that introduced it
+ */
+const FEATURES = {
+  staking: { minVersion: 2, description: "Staking (SimBankTokenV2)" },
+};
+
+/**
+ * Write operations supported by the service
+ * Each entry maps API parameters to the contract call and the result fields.
+ * `preview` describes the expected effects for dry runs (balances and state).
+ */
+const WRITE_OPERATIONS = {
+  mint: {
+    label: "Mint",
+    method: "mint",
+    args: ({ to, amount }) => [to, parseAmount(amount)],
+    result: ({ to, amount }) => ({ to, amount }),
+    preview: async ({ to, amount }, service) => ({
+      balanceChanges: await service._previewBalances([
+        [to, parseAmount(amount)],
+      ]),
+    }),
+  },
+  transfer: {
+    label: "Transfer",
+    method: "transfer",
+    args: ({ to, amount }) => [to, parseAmount(amount)],
+    // The last Transfer log is the net amount; a preceding one is the fee
+    result: ({ to, amount }, receipt, service) => {
+      const transfers = service._parseTransferLogs(receipt);
+      const net = transfers.length
+        ? transfers[transfers.length - 1].value
+        : parseAmount(amount);
+      return {
+        to,
+        amount,
+        fee: ethers.formatEther(parseAmount(amount) - net),
+        netAmount: ethers.formatEther(net),
+        feeRecipient: transfers.length > 1 ? transfers[0].to : null,
+      };
+    },
+    preview: async ({ to, amount }, service) => {
+      const amountWei = parseAmount(amount);
+      const { fee, feeRecipient } = await service._calculateTransferFee(
+        amountWei
+      );
+      const net = amountWei - fee;
+
+      const deltas = [[to, net]];
+      if (fee > 0n && feeRecipient !== ethers.ZeroAddress) {
+        deltas.push([service.wallet.address, -amountWei], [feeRecipient, fee]);
+      } else {
+        deltas.push([service.wallet.address, -net]);
+      }
+
+      return { balanceChanges: await service._previewBalances(deltas) };
+    },
+  },
+  burn: {
+    label: "Burn",
+    method: "burn",
+    args: ({ amount }) => [parseAmount(amount)],
+    result: ({ amount }) => ({ amount }),
+    preview: async ({ amount }, service) => ({
+      balanceChanges: await service._previewBalances([
+        [service.wallet.address, -parseAmount(amount)],
+      ]),
+    }),
+  },
+  approve: {
+    label: "Approve",
+    method: "approve",
+    args: ({ spender, amount }) => [spender, parseAmount(amount)],
+    result: ({ spender, amount }) => ({ spender, amount }),
+    preview: async ({ spender, amount }, service) => {
+      const owner = service.wallet.address;
+      const current = await service.contract.allowance(owner, spender);
+      return {
+        stateChanges: [
+          {
+            field: "allowance",
+            owner,
+            spender,
+            before: ethers.formatEther(current),
+            after: ethers.formatEther(parseAmount(amount)),
+          },
+        ],
+      };
+    },
+  },
+  // Approval signed off-chain by the owner (EIP-2612); the backend pays gas
+  permit: {
+    label: "Permit",
+    method: "permit",
+    args: ({ owner, spender, amount, deadline, signature }) => {
+      const { v, r, s } = ethers.Signature.from(signature);
+      return [owner, spender, parseAmount(amount), deadline, v, r, s];
+    },
+    result: ({ owner, spender, amount, deadline }) => ({
+      owner,
+      spender,
+      amount,
+      deadline,
+    }),
+    preview: async ({ owner, spender, amount }, service) => {
+      const current = await service.contract.allowance(owner, spender);
+      return {
+        stateChanges: [
+          {
+            field: "allowance",
+            owner,
+            spender,
+            before: ethers.formatEther(current),
+            after: ethers.formatEther(parseAmount(amount)),
+          },
+        ],
+      };
+    },
+  },
+  pause: {
+    label: "Pause",
+    method: "pause",
+    args: () => [],
+    result: () => ({}),
+    preview: async () => ({
+      stateChanges: [{ field: "paused", before: false, after: true }],
+    }),
+  },
+  unpause: {
+    label: "Unpause",
+    method: "unpause",
+    args: () => [],
+    result: () => ({}),
+    preview: async () => ({
+      stateChanges: [{ field: "paused", before: true, after: false }],
+    }),
+  },
+  blacklist: {
+    label: "Blacklist",
+    method: "blacklist",
+    args: ({ address }) => [address],
+    result: ({ address }) => ({ address }),
+    preview: async ({ address }) => ({
+      stateChanges: [
+        { field: "blacklisted", address, before: false, after: true },
+      ],
+    }),
+  },
+  unblacklist: {
+    label: "Unblacklist",
+    method: "unblacklist",
+    args: ({ address }) => [address],
+    result: ({ address }) => ({ address }),
+    preview: async ({ address }) => ({
+      stateChanges: [
+        { field: "blacklisted", address, before: true, after: false },
+      ],
+    }),
+  },
+  setTransferFee: {
+    label: "Set transfer fee",
+    method: "setTransferFee",
+    args: ({ feePercentage }) => [feePercentage],
+    result: ({ feePercentage }) => ({
+      newFee: feePercentage,
+      percentage: feePercentage / 100,
+    }),
+    preview: async ({ feePercentage }, service) => {
+      const current = await service.contract.transferFeePercentage();
+      return {
+        stateChanges: [
+          {
+            field: "transferFeePercentage",
+            before: Number(current),
+            after: Number(feePercentage),
+          },
+        ],
+      };
+    },
+  },
+  stake: {
+    label: "Stake",
+    method: "stake",
+    feature: "staking",
+    args: ({ amount }) => [parseAmount(amount)],
+    result: ({ amount }) => ({ amount }),
+    // Staking again first mints the rewards accrued so far
+    preview: async ({ amount }, service) => {
+      const owner = service.wallet.address;
+      const amountWei = parseAmount(amount);
+      const [staked, reward] = await Promise.all([
+        service.contract.stakingBalance(owner),
+        service.contract.calculateReward(owner),
+      ]);
+      return {
+        balanceChanges: await service._previewBalances([
+          [owner, reward - amountWei],
+          [service.contractAddress, amountWei],
+        ]),
+        stateChanges: [
+          {
+            field: "stakingBalance",
+            address: owner,
+            before: ethers.formatEther(staked),
+            after: ethers.formatEther(staked + amountWei),
+          },
+        ],
+      };
+    },
+  },
+  unstake: {
+    label: "Unstake",
+    method: "unstake",
+    feature: "staking",
+    args: ({ amount }) => [parseAmount(amount)],
+    result: ({ amount }, receipt, service) => {
+      const event = service._findEvent(receipt, "Unstaked");
+      return {
+        amount,
+        reward: event ? ethers.formatEther(event.args.reward) : null,
+      };
+    },
+    preview: async ({ amount }, service) => {
+      const owner = service.wallet.address;
+      const amountWei = parseAmount(amount);
+      const [staked, reward] = await Promise.all([
+        service.contract.stakingBalance(owner),
+        service.contract.calculateReward(owner),
+      ]);
+      return {
+        balanceChanges: await service._previewBalances([
+          [owner, amountWei + reward],
+          [service.contractAddress, -amountWei],
+        ]),
+        stateChanges: [
+          {
+            field: "stakingBalance",
+            address: owner,
+            before: ethers.formatEther(staked),
+            after: ethers.formatEther(staked - amountWei),
+          },
+        ],
+      };
+    },
+  },
+  setStakingRewardRate: {
+    label: "Set staking reward rate",
+    method: "setStakingRewardRate",
+    feature: "staking",
+    args: ({ rate }) => [rate],
+    result: ({ rate }) => ({
+      newRate: rate,
+      percentagePerDay: rate / 100,
+    }),
+    preview: async ({ rate }, service) => {
+      const current = await service.contract.stakingRewardRate();
+      return {
+        stateChanges: [
+          {
+            field: "stakingRewardRate",
+            before: Number(current),
+            after: Number(rate),
+          },
+        ],
+      };
+    },
+  },
+  grantRole: {
+    label: "Grant role",
+    method: "grantRole",
+    args: ({ role, address }, service) => [
+      service.roles[role] || role,
+      address,
+    ],
+    result: ({ role, address }) => ({ role, address }),
+    preview: async ({ role, address }, service) => ({
+      stateChanges: [
+        {
+          field: "role",
+          role,
+          address,
+          before: await service.contract.hasRole(
+            service.roles[role] || role,
+            address
+          ),
+          after: true,
+        },
+      ],
+    }),
+  },
+  revokeRole: {
+    label: "Revoke role",
+    method: "revokeRole",
+    args: ({ role, address }, service) => [
+      service.roles[role] || role,
+      address,
+    ],
+    result: ({ role, address }) => ({ role, address }),
+    preview: async ({ role, address }, service) => ({
+      stateChanges: [
+        {
+          field: "role",
+          role,
+          address,
+          before: await service.contract.hasRole(
+            service.roles[role] || role,
+            address
+          ),
+          after: false,
+        },
+      ],
+    }),
+  },
+};
 
 /**
  * SimBank Token Service
  * Handles all interactions with the deployed SimBank token contract
  */
 class SimBankService {
+  /**
+   * @param {object} config
+   * @param {object} [config.network] - Registry entry (default: Polygon Amoy)
+   * @param {string} [config.contractAddress] - Defaults to the proxy in the
+   *   network's deployment file, then the network's known deployment
+   * @param {DeploymentRegistry} [config.deploymentRegistry] - Deployment files
+   *   written by scripts/deploy.js and scripts/upgrade.js
+   * @param {string[]} [config.rpcUrls] - Defaults to the network's RPC URLs
+   * @param {object} [config.rpc] - Failover and quorum settings, see
+   *   FailoverProvider
+   * @param {object|false} [config.readCache] - ReadCache options, or false to
+   *   read every value from the chain
+   * @param {object} [config.logger] - Receives problems the service recovers
+   *   from (see logger.js)
+   */
   constructor(config) {
-    // Your deployed contract address on Polygon Amoy
+    this.network = config.network || new NetworkRegistry().get("amoy");
+    this.deploymentRegistry = config.deploymentRegistry ?? null;
+    this.logger = config.logger ?? silentLogger;
     this.contractAddress =
-      config.contractAddress || "0xB2e87bFD20e1a81Dc7f3DAF46df768Fd13489105";
+      config.contractAddress ||
+      this.deploymentRegistry?.get(this.network.chainId)?.proxyAddress ||
+      this.network.contractAddress;
+    if (!this.contractAddress) {
+      throw new Error(
+        `No contract address configured for ${this.network.label}`
+      );
+    }
 
-    // Initialize provider (you can also use Alchemy, Infura, etc.)
-    this.provider = new ethers.JsonRpcProvider(
-      config.rpcUrl || "https://rpc-amoy.polygon.technology/"
+    // Fails over between the RPC endpoints (e.g. Alchemy, Infura, a public one)
+    this.provider = new FailoverProvider(
+      config.rpcUrls || this.network.rpcUrls,
+      this.network,
+      { ...config.rpc, logger: this.logger }
     );
 
     // Initialize contract for read-only operations
@@ -31,6 +446,26 @@ class SimBankService {
         SimBankABI,
         this.wallet
       );
+
+      // Serialize submissions and assign nonces locally
+      this.txQueue = new TransactionQueue(this.wallet, {
+        maxRetries: config.nonceRetries,
+      });
+
+      // Re-broadcast stuck transactions with bumped fees
+      // gasBump: { enabled, stuckTimeout, pollInterval, bumpPercent, maxFeePerGas }
+      // bumpPercent and maxFeePerGas default to the network's gas policy
+      if (config.gasBump?.enabled !== false) {
+        this.txMonitor = new TransactionMonitor(this.wallet, {
+          ...config.gasBump,
+          logger: this.logger,
+          bumpPercent:
+            config.gasBump?.bumpPercent ?? this.network.gas.bumpPercent,
+          maxFeePerGas:
+            config.gasBump?.maxFeePerGas ??
+            ethers.parseUnits(this.network.gas.maxFeePerGasGwei, "gwei"),
+        });
+      }
     }
 
     // Cache role hashes
@@ -41,40 +476,188 @@ class SimBankService {
       PAUSER_ROLE: ethers.keccak256(ethers.toUtf8Bytes("PAUSER_ROLE")),
       UPGRADER_ROLE: ethers.keccak256(ethers.toUtf8Bytes("UPGRADER_ROLE")),
     };
+
+    // version() is cached so feature checks do not cost an RPC call each time;
+    // an upgrade is picked up once the cache expires
+    this.versionCacheTtl = config.versionCacheTtl ?? 60000;
+    this.versionCache = null;
+    this.permitDomain = null;
+
+    // Contract reads, dropped by the events that change them (see src/reads)
+    this.readCache =
+      config.readCache === false ? null : new ReadCache(config.readCache);
+  }
+
+  // ============= CONTRACT VERSION =============
+
+  /**
+   * Contract version reported by the proxy and the features it enables
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Bypass the cache
+   */
+  async getVersion({ refresh = false } = {}) {
+    const cached = this.versionCache;
+    if (
+      !refresh &&
+      cached &&
+      Date.now() - cached.fetchedAt < this.versionCacheTtl
+    ) {
+      return cached.value;
+    }
+
+    let version;
+    try {
+      version = await this.contract.version();
+    } catch (error) {
+      throw toApiError(error, "Failed to get contract version");
+    }
+
+    const major = parseInt(version, 10);
+    const features = {};
+    for (const [name, feature] of Object.entries(FEATURES)) {
+      features[name] = major >= feature.minVersion;
+    }
+
+    // An upgrade may change any read, constants included
+    if (cached && cached.value.version !== version) {
+      this.readCache?.clear();
+    }
+
+    const value = { version, major, features };
+    this.versionCache = { value, fetchedAt: Date.now() };
+    return value;
+  }
+
+  /**
+   * Throw FEATURE_NOT_AVAILABLE unless the deployed version supports a feature
+   * @param {string} name - Feature name (see FEATURES)
+   */
+  async requireFeature(name) {
+    const feature = FEATURES[name];
+    const { version, features } = await this.getVersion();
+
+    if (!features[name]) {
+      throw new ApiError(
+        501,
+        "FEATURE_NOT_AVAILABLE",
+        `${feature.description} is not available on contract version ${version}`,
+        {
+          feature: name,
+          contractVersion: version,
+          requiredVersion: `${feature.minVersion}.0.0`,
+        }
+      );
+    }
+  }
+
+  /**
+   * Implementation behind the proxy, from its ERC-1967 slot
+   * @returns {string|null} Address, or null if the slot is empty (not a proxy)
+   */
+  async getImplementationAddress() {
+    let value;
+    try {
+      value = await this.provider.getStorage(
+        this.contractAddress,
+        IMPLEMENTATION_SLOT
+      );
+    } catch (error) {
+      throw toApiError(error, "Failed to read the implementation address");
+    }
+    const address = ethers.getAddress(ethers.dataSlice(value, 12));
+    return address === ethers.ZeroAddress ? null : address;
+  }
+
+  /**
+   * The deployment on chain next to what the deployment file records
+   * `mismatches` lists the fields where the file (`expected`) disagrees with
+   * the chain (`actual`): proxyAddress when the file is for another proxy,
+   * version, and implementationAddress.
+   * @returns {object} { network, chainId, proxyAddress, implementationAddress,
+   *   version, deploymentFile, upgrades, mismatches }
+   */
+  async getDeployment() {
+    const [{ version }, implementationAddress] = await Promise.all([
+      this.getVersion({ refresh: true }),
+      this.getImplementationAddress(),
+    ]);
+    const recorded = this.deploymentRegistry?.get(this.network.chainId) ?? null;
+
+    // Addresses compare case-insensitively
+    const mismatches = [];
+    if (recorded) {
+      const fields = [
+        ["proxyAddress", recorded.proxyAddress, this.contractAddress],
+        ["version", recorded.version, version],
+        [
+          "implementationAddress",
+          recorded.implementationAddress,
+          implementationAddress,
+        ],
+      ];
+      for (const [field, expected, actual] of fields) {
+        if (String(expected).toLowerCase() !== String(actual).toLowerCase()) {
+          mismatches.push({ field, expected, actual });
+        }
+      }
+    }
+
+    const { upgrades = [], ...deploymentFile } = recorded ?? {};
+    return {
+      network: this.network.name,
+      chainId: this.network.chainId,
+      proxyAddress: this.contractAddress,
+      implementationAddress,
+      version,
+      deploymentFile: recorded ? deploymentFile : null,
+      upgrades,
+      mismatches,
+    };
   }
 
   // ============= READ FUNCTIONS (No gas required) =============
+  // Reads taking a `blockTag` (block number, or "latest", "safe", "finalized")
+  // return the state as of that block. Old blocks need an archive RPC node.
 
   /**
    * Get token balance for an address
    * @param {string} address - Wallet address to check
-   * @returns {object} Balance in wei and formatted
+   * @param {number|string} [blockTag] - Block to read at (default: latest)
+   * @param {object} [options]
+   * @param {boolean} [options.quorum=false] - Require several RPC endpoints
+   *   to agree on the balance
+   * @returns {object} Balance in wei and formatted, and the endpoints'
+   *   agreement in `quorum` when requested
    */
-  async getBalance(address) {
+  async getBalance(address, blockTag, options = {}) {
     try {
-      const balance = await this.contract.balanceOf(address);
+      const { value: balance, quorum } = options.quorum
+        ? await this._quorumCall("balanceOf", [address], blockTag)
+        : { value: await this._read("balanceOf", [address], blockTag) };
       return {
         wei: balance.toString(),
         formatted: ethers.formatEther(balance),
         symbol: "SB",
+        ...(quorum && { quorum }),
       };
     } catch (error) {
-      throw new Error(`Failed to get balance: ${error.message}`);
+      throw toApiError(error, "Failed to get balance");
     }
   }
 
   /**
    * Get token information
+   * @param {number|string} [blockTag] - Block to read at (default: latest)
    */
-  async getTokenInfo() {
+  async getTokenInfo(blockTag) {
     try {
       const [name, symbol, decimals, totalSupply, maxSupply] =
         await Promise.all([
-          this.contract.name(),
-          this.contract.symbol(),
-          this.contract.decimals(),
-          this.contract.totalSupply(),
-          this.contract.MAX_SUPPLY(),
+          this._read("name", [], blockTag),
+          this._read("symbol", [], blockTag),
+          this._read("decimals", [], blockTag),
+          this._read("totalSupply", [], blockTag),
+          this._read("MAX_SUPPLY", [], blockTag),
         ]);
 
       return {
@@ -92,18 +675,19 @@ class SimBankService {
         contractAddress: this.contractAddress,
       };
     } catch (error) {
-      throw new Error(`Failed to get token info: ${error.message}`);
+      throw toApiError(error, "Failed to get token info");
     }
   }
 
   /**
    * Check if address is blacklisted
+   * @param {number|string} [blockTag] - Block to read at (default: latest)
    */
-  async isBlacklisted(address) {
+  async isBlacklisted(address, blockTag) {
     try {
-      return await this.contract.blacklisted(address);
+      return await this._read("blacklisted", [address], blockTag);
     } catch (error) {
-      throw new Error(`Failed to check blacklist status: ${error.message}`);
+      throw toApiError(error, "Failed to check blacklist status");
     }
   }
 
@@ -112,24 +696,36 @@ class SimBankService {
    */
   async isPaused() {
     try {
-      return await this.contract.paused();
+      return await this._read("paused");
     } catch (error) {
-      throw new Error(`Failed to check pause status: ${error.message}`);
+      throw toApiError(error, "Failed to check pause status");
     }
   }
 
   /**
    * Get transfer fee percentage
+   * @param {number|string} [blockTag] - Block to read at (default: latest)
    */
-  async getTransferFee() {
+  async getTransferFee(blockTag) {
     try {
-      const fee = await this.contract.transferFeePercentage();
+      const fee = await this._read("transferFeePercentage", [], blockTag);
       return {
         basisPoints: Number(fee),
         percentage: Number(fee) / 100,
       };
     } catch (error) {
-      throw new Error(`Failed to get transfer fee: ${error.message}`);
+      throw toApiError(error, "Failed to get transfer fee");
+    }
+  }
+
+  /**
+   * Get the address that receives transfer fees
+   */
+  async getFeeRecipient() {
+    try {
+      return await this._read("feeRecipient");
+    } catch (error) {
+      throw toApiError(error, "Failed to get fee recipient");
     }
   }
 
@@ -139,307 +735,799 @@ class SimBankService {
   async hasRole(role, address) {
     try {
       const roleHash = this.roles[role] || role;
-      return await this.contract.hasRole(roleHash, address);
+      return await this._read("hasRole", [roleHash, address]);
     } catch (error) {
-      throw new Error(`Failed to check role: ${error.message}`);
+      throw toApiError(error, "Failed to check role");
     }
   }
 
   /**
    * Get allowance between owner and spender
+   * @param {number|string} [blockTag] - Block to read at (default: latest)
    */
-  async getAllowance(owner, spender) {
+  async getAllowance(owner, spender, blockTag) {
     try {
-      const allowance = await this.contract.allowance(owner, spender);
+      const allowance = await this._read(
+        "allowance",
+        [owner, spender],
+        blockTag
+      );
       return {
         wei: allowance.toString(),
         formatted: ethers.formatEther(allowance),
       };
     } catch (error) {
-      throw new Error(`Failed to get allowance: ${error.message}`);
+      throw toApiError(error, "Failed to get allowance");
     }
   }
 
-  // ============= WRITE FUNCTIONS (Requires gas and private key) =============
-
   /**
-   * Mint new tokens (requires MINTER_ROLE)
-   * @param {string} to - Address to mint tokens to
-   * @param {string} amount - Amount in ether (will be converted to wei)
+   * EIP-2612 permit for the owner's wallet to sign (eth_signTypedData_v4)
+   * The signature can be submitted with the permit write operation, so the
+   * owner approves a spender without paying gas.
+   * @param {string} owner - Wallet granting the allowance
+   * @param {string} spender
+   * @param {string} amount - Allowance in ether
+   * @param {number} [deadline] - Unix seconds after which the permit is
+   *   invalid (default: an hour after the latest block)
+   * @returns {object} { domain, types, primaryType, message }
    */
-  async mint(to, amount) {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
-    }
-
+  async buildPermit(owner, spender, amount, deadline) {
     try {
-      const amountWei = ethers.parseEther(amount.toString());
-      const tx = await this.contractWithSigner.mint(to, amountWei);
-      const receipt = await tx.wait();
-
+      const [domain, nonce, latest] = await Promise.all([
+        this._getPermitDomain(),
+        this.contract.nonces(owner),
+        deadline === undefined ? this.provider.getBlock("latest") : null,
+      ]);
       return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        to,
-        amount,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
+        domain,
+        types: PERMIT_TYPES,
+        primaryType: "Permit",
+        message: {
+          owner: ethers.getAddress(owner),
+          spender: ethers.getAddress(spender),
+          value: parseAmount(amount).toString(),
+          nonce: nonce.toString(),
+          deadline: deadline ?? latest.timestamp + 3600,
+        },
       };
     } catch (error) {
-      throw new Error(`Mint failed: ${error.message}`);
+      throw toApiError(error, "Failed to build permit");
     }
   }
 
   /**
-   * Transfer tokens
+   * Quote a transfer: fee, net amount and anything that would block it
+   * Mirrors the fee logic of SimBankToken.transfer/transferFrom.
+   * @param {string} from - Sender address
+   * @param {string} to - Recipient address
+   * @param {string} amount - Amount in ether; the net amount to receive if grossUp
+   * @param {object} [options]
+   * @param {boolean} [options.grossUp=false] - Compute the amount to send so
+   *   that the recipient receives exactly `amount`
+   * @param {boolean} [options.quorum=false] - Require several RPC endpoints
+   *   to agree on the sender's balance
    */
-  async transfer(to, amount) {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
-    }
-
+  async quoteTransfer(from, to, amount, options = {}) {
     try {
-      const amountWei = ethers.parseEther(amount.toString());
-      const tx = await this.contractWithSigner.transfer(to, amountWei);
-      const receipt = await tx.wait();
+      const amountWei = parseAmount(amount);
+      const [basisPoints, feeRecipient, paused, { value: balance, quorum }] =
+        await Promise.all([
+          this._read("transferFeePercentage"),
+          this._read("feeRecipient"),
+          this._read("paused"),
+          options.quorum
+            ? this._quorumCall("balanceOf", [from])
+            : this._read("balanceOf", [from]).then((value) => ({ value })),
+        ]);
+
+      const gross = options.grossUp
+        ? grossUpAmount(amountWei, basisPoints)
+        : amountWei;
+      const fee = transferFee(gross, basisPoints);
+      const feeCollected = fee > 0n && feeRecipient !== ethers.ZeroAddress;
+
+      const [senderBlacklisted, recipientBlacklisted, feeRecipientBlacklisted] =
+        await Promise.all([
+          this._read("blacklisted", [from]),
+          this._read("blacklisted", [to]),
+          feeCollected ? this._read("blacklisted", [feeRecipient]) : false,
+        ]);
+
+      const blockers = [];
+      if (paused) {
+        blockers.push({
+          code: "CONTRACT_PAUSED",
+          message: "Token transfers are paused",
+        });
+      }
+      if (senderBlacklisted) {
+        blockers.push({
+          code: "SENDER_BLACKLISTED",
+          message: "Sender is blacklisted",
+        });
+      }
+      if (recipientBlacklisted) {
+        blockers.push({
+          code: "RECIPIENT_BLACKLISTED",
+          message: "Recipient is blacklisted",
+        });
+      }
+      if (feeRecipientBlacklisted) {
+        blockers.push({
+          code: "FEE_RECIPIENT_BLACKLISTED",
+          message: "Fee recipient is blacklisted",
+        });
+      }
+      if (to === ethers.ZeroAddress) {
+        blockers.push({
+          code: "INVALID_ADDRESS",
+          message: "Cannot transfer to the zero address",
+        });
+      }
+      if (balance < gross) {
+        blockers.push({
+          code: "INSUFFICIENT_BALANCE",
+          message: `Insufficient balance: ${from} has ${ethers.formatEther(
+            balance
+          )} SB, needs ${ethers.formatEther(gross)} SB`,
+        });
+      }
 
       return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
+        from,
         to,
-        amount,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
+        mode: options.grossUp ? "grossUp" : "gross",
+        grossAmount: formatAmount(gross),
+        fee: formatAmount(fee),
+        netAmount: formatAmount(gross - fee),
+        transferFee: {
+          basisPoints: Number(basisPoints),
+          percentage: Number(basisPoints) / 100,
+        },
+        // Without a fee recipient the fee is deducted but stays with the sender
+        feeRecipient,
+        feeCollected,
+        senderBalance: formatAmount(balance),
+        ...(quorum && { senderBalanceQuorum: quorum }),
+        checks: {
+          paused,
+          senderBlacklisted,
+          recipientBlacklisted,
+          feeRecipientBlacklisted,
+          sufficientBalance: balance >= gross,
+        },
+        canTransfer: blockers.length === 0,
+        blockers,
       };
     } catch (error) {
-      throw new Error(`Transfer failed: ${error.message}`);
+      throw toApiError(error, "Failed to quote transfer");
     }
   }
 
   /**
-   * Burn tokens
+   * Number, hash and time of a block
+   * @param {number|string} blockTag - Block number or tag ("latest", ...)
    */
-  async burn(amount) {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
+  async getBlockInfo(blockTag) {
+    let block;
+    try {
+      block = await this.provider.getBlock(blockTag);
+    } catch (error) {
+      throw toApiError(error, "Failed to get block");
+    }
+
+    if (!block) {
+      throw new ApiError(404, "BLOCK_NOT_FOUND", `Block ${blockTag} not found`);
     }
+    return formatBlock(block);
+  }
 
+  /**
+   * Last block mined at or before a time, i.e. the state as of that time
+   * Binary search over block headers.
+   * @param {number} timestamp - Unix seconds
+   * @returns {object} { number, hash, timestamp }
+   */
+  async getBlockAtTimestamp(timestamp) {
     try {
-      const amountWei = ethers.parseEther(amount.toString());
-      const tx = await this.contractWithSigner.burn(amountWei);
-      const receipt = await tx.wait();
+      const latest = await this.provider.getBlock("latest");
+      if (timestamp >= latest.timestamp) {
+        // Later blocks may still change the state as of a future time
+        if (timestamp > Math.floor(Date.now() / 1000)) {
+          throw new ApiError(
+            400,
+            "TIMESTAMP_IN_FUTURE",
+            `${new Date(timestamp * 1000).toISOString()} is in the future`
+          );
+        }
+        return formatBlock(latest);
+      }
 
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        amount,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
-      };
+      let low = await this.provider.getBlock(0);
+      if (timestamp < low.timestamp) {
+        throw new ApiError(
+          400,
+          "BLOCK_NOT_FOUND",
+          `No block before ${new Date(timestamp * 1000).toISOString()}`
+        );
+      }
+
+      // Invariant: low.timestamp <= timestamp < high.timestamp
+      let high = latest;
+      while (high.number - low.number > 1) {
+        const mid = await this.provider.getBlock(
+          Math.floor((low.number + high.number) / 2)
+        );
+        if (mid.timestamp <= timestamp) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      return formatBlock(low);
     } catch (error) {
-      throw new Error(`Burn failed: ${error.message}`);
+      throw toApiError(error, "Failed to find block for timestamp");
     }
   }
 
+  // ============= STAKING (V2) =============
+
   /**
-   * Pause token transfers (requires PAUSER_ROLE)
+   * Staking totals and reward rate
    */
-  async pause() {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
-    }
+  async getStakingStats() {
+    await this.requireFeature("staking");
 
     try {
-      const tx = await this.contractWithSigner.pause();
-      const receipt = await tx.wait();
+      const [totalStaked, rewardRate] = await Promise.all([
+        this._read("totalStaked"),
+        this._read("stakingRewardRate"),
+      ]);
 
       return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
+        totalStaked: formatAmount(totalStaked),
+        rewardRate: {
+          basisPointsPerDay: Number(rewardRate),
+          percentagePerDay: Number(rewardRate) / 100,
+        },
       };
     } catch (error) {
-      throw new Error(`Pause failed: ${error.message}`);
+      throw toApiError(error, "Failed to get staking stats");
     }
   }
 
   /**
-   * Unpause token transfers (requires PAUSER_ROLE)
+   * Staked balance and pending rewards of an address
+   * Rewards accrue per full day staked and restart when the stake changes.
    */
-  async unpause() {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
-    }
+  async getStakingInfo(address) {
+    await this.requireFeature("staking");
 
     try {
-      const tx = await this.contractWithSigner.unpause();
-      const receipt = await tx.wait();
+      const [staked, stakedAt, pendingRewards] = await Promise.all([
+        this._read("stakingBalance", [address]),
+        this._read("stakingTimestamp", [address]),
+        this.contract.pendingRewards(address),
+      ]);
 
       return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
+        address,
+        stakingBalance: formatAmount(staked),
+        pendingRewards: formatAmount(pendingRewards),
+        stakedSince:
+          staked > 0n ? new Date(Number(stakedAt) * 1000).toISOString() : null,
       };
     } catch (error) {
-      throw new Error(`Unpause failed: ${error.message}`);
+      throw toApiError(error, "Failed to get staking info");
     }
   }
 
+  /**
+   * Stake tokens from the backend wallet
+   */
+  async stake(amount) {
+    return this.executeOperation("stake", { amount });
+  }
+
+  /**
+   * Unstake tokens to the backend wallet and claim rewards
+   */
+  async unstake(amount) {
+    return this.executeOperation("unstake", { amount });
+  }
+
+  /**
+   * Set staking reward rate (requires DEFAULT_ADMIN_ROLE)
+   * @param {number} rate - Reward in basis points per day (max 100 = 1%)
+   */
+  async setStakingRewardRate(rate) {
+    return this.executeOperation("setStakingRewardRate", { rate });
+  }
+
+  // ============= WRITE FUNCTIONS (Requires gas and private key) =============
+
+  /**
+   * Mint new tokens (requires MINTER_ROLE)
+   * @param {string} to - Address to mint tokens to
+   * @param {string} amount - Amount in ether (will be converted to wei)
+   */
+  async mint(to, amount) {
+    return this.executeOperation("mint", { to, amount });
+  }
+
+  /**
+   * Transfer tokens
+   */
+  async transfer(to, amount) {
+    return this.executeOperation("transfer", { to, amount });
+  }
+
+  /**
+   * Burn tokens
+   */
+  async burn(amount) {
+    return this.executeOperation("burn", { amount });
+  }
+
+  /**
+   * Pause token transfers (requires PAUSER_ROLE)
+   */
+  async pause() {
+    return this.executeOperation("pause", {});
+  }
+
+  /**
+   * Unpause token transfers (requires PAUSER_ROLE)
+   */
+  async unpause() {
+    return this.executeOperation("unpause", {});
+  }
+
   /**
    * Blacklist an address (requires DEFAULT_ADMIN_ROLE)
    */
   async blacklist(address) {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
-    }
+    return this.executeOperation("blacklist", { address });
+  }
 
-    try {
-      const tx = await this.contractWithSigner.blacklist(address);
-      const receipt = await tx.wait();
+  /**
+   * Unblacklist an address (requires DEFAULT_ADMIN_ROLE)
+   */
+  async unblacklist(address) {
+    return this.executeOperation("unblacklist", { address });
+  }
 
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        address,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
-      };
-    } catch (error) {
-      throw new Error(`Blacklist failed: ${error.message}`);
+  /**
+   * Set transfer fee (requires DEFAULT_ADMIN_ROLE)
+   * @param {number} feePercentage - Fee in basis points (100 = 1%)
+   */
+  async setTransferFee(feePercentage) {
+    return this.executeOperation("setTransferFee", { feePercentage });
+  }
+
+  /**
+   * Grant role to an address (requires DEFAULT_ADMIN_ROLE)
+   */
+  async grantRole(role, address) {
+    return this.executeOperation("grantRole", { role, address });
+  }
+
+  /**
+   * Revoke role from an address (requires DEFAULT_ADMIN_ROLE)
+   */
+  async revokeRole(role, address) {
+    return this.executeOperation("revokeRole", { role, address });
+  }
+
+  /**
+   * Approve spending
+   */
+  async approve(spender, amount) {
+    return this.executeOperation("approve", { spender, amount });
+  }
+
+  // ============= READ CACHE =============
+
+  /**
+   * Drop cached reads that contract events change
+   * Called for the events of the service's own transactions and, on the
+   * indexed network, for every indexed event.
+   * @param {object[]} events - [{ name, args }], args by parameter name
+   * @returns {number} Cached reads dropped
+   */
+  invalidateForEvents(events) {
+    if (!this.readCache) {
+      return 0;
     }
+    return this.readCache.invalidate(events.flatMap(eventTags));
   }
 
   /**
-   * Unblacklist an address (requires DEFAULT_ADMIN_ROLE)
+   * Drop cached reads at blocks a reorg replaced, and all reads at latest
+   * @param {number} blockNumber - First replaced block
    */
-  async unblacklist(address) {
+  invalidateFromBlock(blockNumber) {
+    return this.readCache?.invalidateFromBlock(blockNumber) ?? 0;
+  }
+
+  /**
+   * Read cache hit/miss statistics, or null when the cache is off
+   */
+  getReadCacheStats() {
+    return this.readCache?.getStats() ?? null;
+  }
+
+  // ============= TRANSACTION LIFECYCLE =============
+
+  /**
+   * Submit a write operation without waiting for it to be mined
+   * @param {string} name - Operation name (see WRITE_OPERATIONS)
+   * @param {object} params - Operation parameters
+   * @param {object} [options]
+   * @param {function} [options.beforeBroadcast] - Receives the populated
+   *   transaction (gasLimit, fees) just before it is sent; throw to cancel
+   * @returns {object} Broadcast transaction response
+   */
+  async submitOperation(name, params, options = {}) {
+    const operation = this._getOperation(name);
+
     if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
+      throw new ApiError(
+        503,
+        "SIGNER_NOT_CONFIGURED",
+        "Private key not configured for write operations"
+      );
+    }
+    if (operation.feature) {
+      await this.requireFeature(operation.feature);
     }
 
     try {
-      const tx = await this.contractWithSigner.unblacklist(address);
-      const receipt = await tx.wait();
+      return await this._sendTransaction(
+        operation.method,
+        operation.args(params, this),
+        options
+      );
+    } catch (error) {
+      throw toApiError(error, `${operation.label} failed`);
+    }
+  }
 
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        address,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
-      };
+  /**
+   * Submit a write operation and wait for it to be mined
+   * @param {string} name - Operation name (see WRITE_OPERATIONS)
+   * @param {object} params - Operation parameters
+   * @returns {object} Transaction result
+   */
+  async executeOperation(name, params) {
+    const operation = this._getOperation(name);
+    const tx = await this.submitOperation(name, params);
+
+    try {
+      const receipt = await this.waitForReceipt(tx);
+      return this.formatOperationResult(name, params, receipt);
     } catch (error) {
-      throw new Error(`Unblacklist failed: ${error.message}`);
+      throw toApiError(error, `${operation.label} failed`);
     }
   }
 
   /**
-   * Set transfer fee (requires DEFAULT_ADMIN_ROLE)
-   * @param {number} feePercentage - Fee in basis points (100 = 1%)
+   * Simulate a write operation without broadcasting it
+   * Runs the call with staticCall from the configured signer, then estimates
+   * gas and the expected balance/state changes if it would succeed.
+   * @param {string} name - Operation name (see WRITE_OPERATIONS)
+   * @param {object} params - Operation parameters
+   * @returns {object} Predicted outcome
    */
-  async setTransferFee(feePercentage) {
+  async simulateOperation(name, params) {
+    const operation = this._getOperation(name);
+
     if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
+      throw new ApiError(
+        503,
+        "SIGNER_NOT_CONFIGURED",
+        "Private key not configured for write operations"
+      );
+    }
+    if (operation.feature) {
+      await this.requireFeature(operation.feature);
     }
 
+    let args;
     try {
-      const tx = await this.contractWithSigner.setTransferFee(feePercentage);
-      const receipt = await tx.wait();
+      args = operation.args(params, this);
+    } catch (error) {
+      throw toApiError(error, `${operation.label} simulation failed`);
+    }
 
+    const method = this.contractWithSigner.getFunction(operation.method);
+    const simulation = {
+      dryRun: true,
+      operation: name,
+      params,
+      from: this.wallet.address,
+      wouldSucceed: true,
+      error: null,
+      gasEstimate: null,
+      estimatedCost: null,
+      balanceChanges: [],
+      stateChanges: [],
+    };
+
+    try {
+      await method.staticCall(...args);
+    } catch (error) {
+      const apiError = toApiError(error);
       return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        newFee: feePercentage,
-        percentage: feePercentage / 100,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
+        ...simulation,
+        wouldSucceed: false,
+        error: {
+          code: apiError.code,
+          message: apiError.message,
+          details: apiError.details,
+        },
+      };
+    }
+
+    try {
+      const [gasEstimate, feeData, effects] = await Promise.all([
+        method.estimateGas(...args),
+        this.provider.getFeeData(),
+        operation.preview(params, this),
+      ]);
+      const pricePerGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+      const cost = gasEstimate * pricePerGas;
+
+      return {
+        ...simulation,
+        gasEstimate: gasEstimate.toString(),
+        estimatedCost: {
+          wei: cost.toString(),
+          formatted: ethers.formatEther(cost),
+        },
+        ...effects,
       };
     } catch (error) {
-      throw new Error(`Set transfer fee failed: ${error.message}`);
+      throw toApiError(error, `${operation.label} simulation failed`);
     }
   }
 
   /**
-   * Grant role to an address (requires DEFAULT_ADMIN_ROLE)
+   * Build the API result for a mined write operation
    */
-  async grantRole(role, address) {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
-    }
+  formatOperationResult(name, params, receipt) {
+    const operation = this._getOperation(name);
 
+    return {
+      success: true,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      ...operation.result(params, receipt, this),
+      explorer: this.getExplorerUrl(receipt.hash),
+    };
+  }
+
+  /**
+   * Wait for a submitted transaction to be mined
+   * A repriced replacement (same call, higher fee) counts as the original
+   * Cached reads the transaction's events change are dropped.
+   * @param {object} tx - Transaction response
+   * @param {number} confirmations - Confirmations to wait for
+   */
+  async waitForReceipt(tx, confirmations = 1) {
+    let receipt;
     try {
-      const roleHash = this.roles[role] || role;
-      const tx = await this.contractWithSigner.grantRole(roleHash, address);
-      const receipt = await tx.wait();
+      receipt = await tx.wait(confirmations);
+    } catch (error) {
+      if (ethers.isError(error, "TRANSACTION_REPLACED") && !error.cancelled) {
+        receipt = error.receipt;
+      } else {
+        throw error;
+      }
+    }
+    this.invalidateForEvents(this._parseEvents(receipt));
+    return receipt;
+  }
 
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        role,
-        address,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
+  /**
+   * Block explorer link for a transaction
+   */
+  getExplorerUrl(txHash) {
+    return this.network.explorer
+      ? `${this.network.explorer}/tx/${txHash}`
+      : null;
+  }
+
+  /**
+   * EIP-712 domain of the token, checked against DOMAIN_SEPARATOR() once
+   */
+  async _getPermitDomain() {
+    if (!this.permitDomain) {
+      const [network, separator] = await Promise.all([
+        this.provider.getNetwork(),
+        this.contract.DOMAIN_SEPARATOR(),
+      ]);
+      const domain = {
+        ...PERMIT_DOMAIN,
+        chainId: Number(network.chainId),
+        verifyingContract: ethers.getAddress(this.contractAddress),
       };
-    } catch (error) {
-      throw new Error(`Grant role failed: ${error.message}`);
+      if (ethers.TypedDataEncoder.hashDomain(domain) !== separator) {
+        throw new Error("Token EIP-712 domain does not match DOMAIN_SEPARATOR");
+      }
+      this.permitDomain = domain;
     }
+    return this.permitDomain;
   }
 
   /**
-   * Revoke role from an address (requires DEFAULT_ADMIN_ROLE)
+   * Contract read that `rpc.quorum` endpoints must agree on
+   * Without a blockTag the read is pinned to the latest block number, so
+   * endpoints are compared at the same block.
+   * @returns {object} { value, quorum: { blockTag, required, agreeing,
+   *   responded, endpoints, disagreement } }
    */
-  async revokeRole(role, address) {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
+  async _quorumCall(method, args, blockTag) {
+    const block = blockTag ?? (await this.provider.getBlockNumber());
+    // Per-endpoint raw results stay in the provider's disagreement log
+    const { result, responses, ...quorum } = await this.provider.quorumSend(
+      "eth_call",
+      [
+        {
+          to: this.contractAddress,
+          data: this.contract.interface.encodeFunctionData(method, args),
+        },
+        typeof block === "number" ? ethers.toQuantity(block) : block,
+      ]
+    );
+
+    const [value] = this.contract.interface.decodeFunctionResult(
+      method,
+      result
+    );
+    return { value, quorum: { blockTag: block, ...quorum } };
+  }
+
+  /**
+   * Fee skimmed by transfer/transferFrom for an amount (in wei)
+   */
+  async _calculateTransferFee(amountWei) {
+    const [feePercentage, feeRecipient] = await Promise.all([
+      this._read("transferFeePercentage"),
+      this._read("feeRecipient"),
+    ]);
+
+    return {
+      fee: transferFee(amountWei, feePercentage),
+      feePercentage: Number(feePercentage),
+      feeRecipient,
+    };
+  }
+
+  /**
+   * Contract read through the read cache
+   * @param {string} method - View function of the contract
+   * @param {Array} [args]
+   * @param {number|string} [blockTag] - Block to read at (default: latest)
+   */
+  _read(method, args = [], blockTag) {
+    const load = () => this.contract[method](...args, atBlock(blockTag));
+    if (!this.readCache) {
+      return load();
     }
+    return this.readCache.read(
+      { method, args, blockTag },
+      readPolicy(method, args),
+      load
+    );
+  }
 
-    try {
-      const roleHash = this.roles[role] || role;
-      const tx = await this.contractWithSigner.revokeRole(roleHash, address);
-      const receipt = await tx.wait();
+  /**
+   * Contract events emitted in a receipt as { name, args }, in log order
+   */
+  _parseEvents(receipt) {
+    const contractAddress = this.contractAddress.toLowerCase();
 
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        role,
-        address,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
-      };
-    } catch (error) {
-      throw new Error(`Revoke role failed: ${error.message}`);
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === contractAddress)
+      .map((log) => this.contract.interface.parseLog(log))
+      .filter(Boolean)
+      .map((event) => ({ name: event.name, args: event.args }));
+  }
+
+  /**
+   * Token Transfer events emitted in a receipt, in log order
+   */
+  _parseTransferLogs(receipt) {
+    const contractAddress = this.contractAddress.toLowerCase();
+
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === contractAddress)
+      .map((log) => this.contract.interface.parseLog(log))
+      .filter((event) => event?.name === "Transfer")
+      .map((event) => ({
+        from: event.args.from,
+        to: event.args.to,
+        value: event.args.value,
+      }));
+  }
+
+  /**
+   * First contract event with the given name in a receipt
+   */
+  _findEvent(receipt, name) {
+    const contractAddress = this.contractAddress.toLowerCase();
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contractAddress) {
+        continue;
+      }
+      const event = this.contract.interface.parseLog(log);
+      if (event?.name === name) {
+        return event;
+      }
     }
+    return null;
   }
 
   /**
-   * Approve spending
+   * Current and resulting balances for a list of [address, delta] pairs
    */
-  async approve(spender, amount) {
-    if (!this.contractWithSigner) {
-      throw new Error("Private key not configured for write operations");
+  async _previewBalances(deltas) {
+    const merged = new Map();
+    for (const [address, delta] of deltas) {
+      const key = ethers.getAddress(address);
+      merged.set(key, (merged.get(key) || 0n) + delta);
     }
 
-    try {
-      const amountWei = ethers.parseEther(amount.toString());
-      const tx = await this.contractWithSigner.approve(spender, amountWei);
-      const receipt = await tx.wait();
+    return Promise.all(
+      [...merged].map(async ([address, delta]) => {
+        const before = await this._read("balanceOf", [address]);
+        return {
+          address,
+          before: ethers.formatEther(before),
+          after: ethers.formatEther(before + delta),
+          change: ethers.formatEther(delta),
+        };
+      })
+    );
+  }
 
-      return {
-        success: true,
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        spender,
-        amount,
-        explorer: `https://amoy.polygonscan.com/tx/${receipt.hash}`,
-      };
-    } catch (error) {
-      throw new Error(`Approve failed: ${error.message}`);
+  _getOperation(name) {
+    const operation = WRITE_OPERATIONS[name];
+    if (!operation) {
+      throw new ApiError(
+        400,
+        "UNKNOWN_OPERATION",
+        `Unknown write operation: ${name}`
+      );
     }
+    return operation;
+  }
+
+  /**
+   * Send a contract transaction through the nonce-managed queue
+   * @param {string} method - Contract method name
+   * @param {any[]} args - Method arguments
+   * @param {object} [options] - { beforeBroadcast } (see submitOperation)
+   * @returns {object} Broadcast transaction response
+   */
+  async _sendTransaction(method, args, options = {}) {
+    const tx = await this.txQueue.submit(async (overrides) => {
+      const request = await this.wallet.populateTransaction(
+        await this.contractWithSigner[method].populateTransaction(
+          ...args,
+          overrides
+        )
+      );
+      await options.beforeBroadcast?.(request);
+      return this.wallet.sendTransaction(request);
+    });
+
+    this.txMonitor?.track(tx);
+    return tx;
   }
 
   // ============= UTILITY FUNCTIONS =============
@@ -449,7 +1537,11 @@ class SimBankService {
    */
   async estimateGas(method, params) {
     if (!this.contractWithSigner) {
-      throw new Error("Private key not configured");
+      throw new ApiError(
+        503,
+        "SIGNER_NOT_CONFIGURED",
+        "Private key not configured"
+      );
     }
 
     try {
@@ -459,10 +1551,50 @@ class SimBankService {
         formatted: ethers.formatUnits(gas, "gwei"),
       };
     } catch (error) {
-      throw new Error(`Gas estimation failed: ${error.message}`);
+      throw toApiError(error, "Gas estimation failed");
     }
   }
 
+  /**
+   * Chain id of the connected network
+   */
+  async getChainId() {
+    try {
+      const network = await this.provider.getNetwork();
+      return Number(network.chainId);
+    } catch (error) {
+      throw toApiError(error, "Failed to get chain id");
+    }
+  }
+
+  /**
+   * Make sure the RPC endpoints serve the configured network
+   * Endpoints that cannot be reached are checked again before their first use.
+   * @returns {object[]} [{ endpoint, chainId, error }] per endpoint
+   * @throws {Error} If one reports a different chain id
+   * @throws {ApiError} RPC_ERROR if none can be reached
+   */
+  async checkNetwork() {
+    const endpoints = await this.provider.checkEndpoints();
+    const wrongChain = endpoints.find(
+      ({ chainId }) => chainId !== null && chainId !== this.network.chainId
+    );
+    if (wrongChain) {
+      throw new Error(
+        `RPC endpoint ${wrongChain.endpoint} is on chain ${wrongChain.chainId}, but ${this.network.label} is chain ${this.network.chainId}`
+      );
+    }
+    if (endpoints.every(({ chainId }) => chainId === null)) {
+      throw new ApiError(
+        502,
+        "RPC_ERROR",
+        `No RPC endpoint of ${this.network.label} is reachable`,
+        { endpoints }
+      );
+    }
+    return endpoints;
+  }
+
   /**
    * Get current gas price
    */
@@ -475,29 +1607,50 @@ class SimBankService {
         maxPriorityFeePerGas: gasPrice.maxPriorityFeePerGas?.toString(),
       };
     } catch (error) {
-      throw new Error(`Failed to get gas price: ${error.message}`);
+      throw toApiError(error, "Failed to get gas price");
     }
   }
 
   /**
    * Wait for transaction confirmation
+   * Hashes replaced by a fee bump resolve to the replacement that was mined
    */
   async waitForTransaction(txHash, confirmations = 1) {
     try {
+      // Follow fee-bump replacements to the hash that was actually mined
+      let hash = txHash;
+      if (this.txMonitor?.isTracking(txHash)) {
+        const mined = await this.txMonitor.waitForMined(txHash);
+        if (!mined) {
+          throw new ApiError(
+            409,
+            "TRANSACTION_REPLACED",
+            "Nonce was used by an unrelated transaction"
+          );
+        }
+        hash = mined.hash;
+      }
+
       const receipt = await this.provider.waitForTransaction(
-        txHash,
+        hash,
         confirmations
       );
       return {
         success: receipt.status === 1,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
         logs: receipt.logs,
+        replacementChain: this.txMonitor?.getReplacementChain(txHash) || [],
       };
     } catch (error) {
-      throw new Error(`Transaction wait failed: ${error.message}`);
+      throw toApiError(error, "Transaction wait failed");
     }
   }
 }
 
 module.exports = SimBankService;
+module.exports.WRITE_OPERATIONS = WRITE_OPERATIONS;
+module.exports.FEATURES = FEATURES;
+module.exports.transferFee = transferFee;
+module.exports.grossUpAmount = grossUpAmount;
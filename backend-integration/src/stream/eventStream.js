@@ -0,0 +1,317 @@
+const { ethers } = require("ethers");
+const { ApiError } = require("../errors");
+const { INDEXED_EVENTS } = require("../indexer");
+
+/**
+ * Event Stream
+ * Pushes indexed contract events to live subscribers (SSE and WebSocket).
+ *
+ * Every event the indexer adds or rolls back is journaled in the event store
+ * with an increasing id. A client that reconnects with the last id it saw is
+ * sent everything it missed, including "removed" notices for events that a
+ * reorg took out. Confirmation counts are not journaled: they are sent each
+ * time the indexer sees a new head, until the event has as many
+ * confirmations as the subscriber asked for.
+ *
+ * Messages passed to a subscriber's `send`:
+ * - { type: "ready", id, data }         - subscribed; id of the last change
+ * - { type: "event", id, data }         - event indexed
+ * - { type: "removed", id, data }       - event rolled back by a reorg
+ * - { type: "confirmations", data }     - confirmation count of an event
+ * - { type: "resync", data }            - missed changes are no longer kept;
+ *                                         refetch state, then follow the feed
+ */
+class EventStream {
+  /**
+   * @param {EventIndexer} indexer - Source of events, reorgs and chain heads
+   */
+  constructor(indexer) {
+    this.indexer = indexer;
+    this.store = indexer.store;
+    this.subscribers = new Set();
+    this.lastId = null;
+
+    this.onChanges = () => this._flush();
+    this.onHead = () => this._updateConfirmations();
+  }
+
+  start() {
+    if (this.lastId !== null) {
+      return;
+    }
+    this.lastId = this.store.getChangeRange().last;
+    this.indexer.on("events", this.onChanges);
+    this.indexer.on("reorg", this.onChanges);
+    this.indexer.on("head", this.onHead);
+  }
+
+  stop() {
+    this.indexer.off("events", this.onChanges);
+    this.indexer.off("reorg", this.onChanges);
+    this.indexer.off("head", this.onHead);
+    this.lastId = null;
+  }
+
+  /**
+   * Start sending matching events to `send`
+   * @param {object} subscription - From parseSubscription
+   * @param {function} send - Called with each message
+   * @returns {function} Unsubscribe
+   */
+  subscribe(subscription, send) {
+    this.start();
+
+    const subscriber = { ...subscription, send, pending: new Map() };
+    const { lastEventId } = subscription;
+
+    if (lastEventId !== undefined) {
+      const { first, last } = this.store.getChangeRange();
+      const missed =
+        first === null ? last > lastEventId : first > lastEventId + 1;
+
+      if (missed || lastEventId > last) {
+        send({
+          type: "resync",
+          data: {
+            reason: missed
+              ? "Changes after this id are no longer kept"
+              : "Unknown event id",
+            lastEventId,
+          },
+        });
+      } else {
+        this._replay(subscriber, lastEventId);
+      }
+    }
+
+    send({
+      type: "ready",
+      id: this.lastId,
+      data: {
+        lastEventId: this.lastId,
+        headBlock: this.indexer.headBlock,
+        confirmations: subscriber.confirmations,
+      },
+    });
+
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  getStats() {
+    return {
+      subscribers: this.subscribers.size,
+      lastEventId: this.lastId,
+    };
+  }
+
+  /**
+   * Send changes journaled since the last flush to every subscriber
+   */
+  _flush() {
+    let changes;
+    while ((changes = this.store.getChanges(this.lastId)).length) {
+      for (const change of changes) {
+        for (const subscriber of this.subscribers) {
+          this._deliver(subscriber, change);
+        }
+      }
+      this.lastId = changes[changes.length - 1].id;
+    }
+  }
+
+  /**
+   * Send journaled changes after `afterId` that the live feed already passed
+   */
+  _replay(subscriber, afterId) {
+    let id = afterId;
+    while (id < this.lastId) {
+      const changes = this.store
+        .getChanges(id)
+        .filter((change) => change.id <= this.lastId);
+      if (!changes.length) {
+        return;
+      }
+      changes.forEach((change) => this._deliver(subscriber, change));
+      id = changes[changes.length - 1].id;
+    }
+  }
+
+  _deliver(subscriber, { id, type, event }) {
+    const key = `${event.blockNumber}:${event.logIndex}`;
+
+    if (type === "removed") {
+      subscriber.pending.delete(key);
+      if (matchesFilter(subscriber, event)) {
+        subscriber.send({
+          type: "removed",
+          id,
+          data: { id, ...formatEvent(event), removed: true },
+        });
+      }
+      return;
+    }
+
+    if (!matchesFilter(subscriber, event)) {
+      return;
+    }
+
+    const confirmations = this._confirmations(event);
+    if (confirmations < subscriber.confirmations) {
+      subscriber.pending.set(key, { id, event });
+    }
+    subscriber.send({
+      type: "event",
+      id,
+      data: { id, ...formatEvent(event), confirmations },
+    });
+  }
+
+  _updateConfirmations() {
+    for (const subscriber of this.subscribers) {
+      for (const [key, { id, event }] of subscriber.pending) {
+        const confirmations = this._confirmations(event);
+        const confirmed = confirmations >= subscriber.confirmations;
+        if (confirmed) {
+          subscriber.pending.delete(key);
+        }
+        subscriber.send({
+          type: "confirmations",
+          data: {
+            id,
+            blockNumber: event.blockNumber,
+            logIndex: event.logIndex,
+            transactionHash: event.transactionHash,
+            confirmations,
+            confirmed,
+          },
+        });
+      }
+    }
+  }
+
+  _confirmations(event) {
+    return Math.max(0, this.indexer.headBlock - event.blockNumber + 1);
+  }
+}
+
+/**
+ * Subscription options from query parameters
+ * ?events=Transfer,Approval&address=0x...,0x...&confirmations=12&lastEventId=42
+ * @param {object} query
+ * @param {object} [options]
+ * @param {number} [options.maxConfirmations=128] - Highest confirmations accepted
+ * @returns {object} { events, addresses, confirmations, lastEventId }
+ */
+function parseSubscription(query, { maxConfirmations = 128 } = {}) {
+  const { events, addresses } = parseFilter({
+    events: query.events,
+    addresses: query.address,
+  });
+
+  const confirmations =
+    query.confirmations !== undefined ? Number(query.confirmations) : 1;
+  if (
+    !Number.isInteger(confirmations) ||
+    confirmations < 1 ||
+    confirmations > maxConfirmations
+  ) {
+    throw new ApiError(
+      400,
+      "VALIDATION_ERROR",
+      `confirmations must be between 1 and ${maxConfirmations}`
+    );
+  }
+
+  let lastEventId;
+  if (query.lastEventId !== undefined && query.lastEventId !== "") {
+    if (!/^\d+$/.test(query.lastEventId)) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        "lastEventId must be an event id"
+      );
+    }
+    lastEventId = Number(query.lastEventId);
+  }
+
+  return { events, addresses, confirmations, lastEventId };
+}
+
+/**
+ * Event names and addresses to filter on
+ * Each may be an array or a comma-separated string; omitted means no filter.
+ * @param {object} filter - { events, addresses }
+ * @returns {object} { events, addresses } with addresses lowercased
+ */
+function parseFilter(filter) {
+  const list = (value) => {
+    if (value === undefined || value === null || value === "") {
+      return undefined;
+    }
+    const items = Array.isArray(value) ? value : String(value).split(",");
+    return items.map((item) => String(item).trim());
+  };
+
+  const events = list(filter.events);
+  const unknown = events?.filter((name) => !INDEXED_EVENTS.includes(name));
+  if (unknown?.length) {
+    throw new ApiError(
+      400,
+      "VALIDATION_ERROR",
+      `Unknown event: ${unknown.join(", ")} (one of ${INDEXED_EVENTS.join(
+        ", "
+      )})`
+    );
+  }
+
+  const addresses = list(filter.addresses);
+  const invalid = addresses?.filter((address) => !ethers.isAddress(address));
+  if (invalid?.length) {
+    throw new ApiError(
+      400,
+      "VALIDATION_ERROR",
+      `Invalid Ethereum address: ${invalid.join(", ")}`
+    );
+  }
+
+  return {
+    events,
+    addresses: addresses?.map((address) => address.toLowerCase()),
+  };
+}
+
+// Event name is subscribed and, with an address filter, an address argument matches
+function matchesFilter({ events, addresses }, event) {
+  if (events && !events.includes(event.name)) {
+    return false;
+  }
+  if (!addresses) {
+    return true;
+  }
+  return Object.values(event.args).some(
+    (value) =>
+      typeof value === "string" && addresses.includes(value.toLowerCase())
+  );
+}
+
+function formatEvent(event) {
+  return {
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    blockHash: event.blockHash,
+    transactionHash: event.transactionHash,
+    name: event.name,
+    args: event.args,
+    timestamp:
+      event.timestamp !== null
+        ? new Date(event.timestamp * 1000).toISOString()
+        : null,
+  };
+}
+
+module.exports = EventStream;
+module.exports.parseSubscription = parseSubscription;
+module.exports.parseFilter = parseFilter;
+module.exports.matchesFilter = matchesFilter;
+module.exports.formatEvent = formatEvent;
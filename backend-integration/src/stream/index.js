@@ -0,0 +1,13 @@
+const EventStream = require("./eventStream");
+const { sseHandler } = require("./sse");
+const { attachWebSocket } = require("./websocket");
+
+module.exports = {
+  EventStream,
+  parseSubscription: EventStream.parseSubscription,
+  parseFilter: EventStream.parseFilter,
+  matchesFilter: EventStream.matchesFilter,
+  formatEvent: EventStream.formatEvent,
+  sseHandler,
+  attachWebSocket,
+};
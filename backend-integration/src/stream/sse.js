@@ -0,0 +1,53 @@
+const { parseSubscription } = require("./eventStream");
+
+/**
+ * Express handler streaming events as Server-Sent Events
+ * Browsers resume with the Last-Event-ID header when EventSource reconnects;
+ * other clients can pass ?lastEventId= instead.
+ * @param {EventStream} stream
+ * @param {object} [options]
+ * @param {number} [options.heartbeatInterval=25000] - Ms between keep-alive comments
+ * @param {number} [options.maxConfirmations] - See parseSubscription
+ */
+function sseHandler(stream, options = {}) {
+  const heartbeatInterval = options.heartbeatInterval ?? 25000;
+
+  return (req, res) => {
+    const subscription = parseSubscription(
+      {
+        ...req.query,
+        lastEventId: req.get("Last-Event-ID") ?? req.query.lastEventId,
+      },
+      options
+    );
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stop nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 5000\n\n");
+
+    const unsubscribe = stream.subscribe(subscription, (message) =>
+      res.write(formatMessage(message))
+    );
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      heartbeatInterval
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  };
+}
+
+function formatMessage({ type, id, data }) {
+  const idLine = id !== undefined ? `id: ${id}\n` : "";
+  return `${idLine}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = { sseHandler };
@@ -0,0 +1,79 @@
+const { WebSocket, WebSocketServer } = require("ws");
+const { parseSubscription } = require("./eventStream");
+
+/**
+ * Serve the event stream over WebSocket on an HTTP server
+ * Subscription options come from the query string, as for SSE; each message
+ * is sent as JSON: { type, id, data }. Dead connections are dropped when
+ * they miss a ping.
+ * @param {http.Server} server - Server returned by app.listen
+ * @param {EventStream} stream
+ * @param {object} [options]
+ * @param {string} [options.path="/api/events/ws"]
+ * @param {number} [options.heartbeatInterval=25000] - Ms between pings
+ * @param {number} [options.maxConfirmations] - See parseSubscription
+ * @param {function} [options.authorize] - Called with (req, query); throws (or rejects) to refuse the connection
+ * @returns {WebSocketServer}
+ */
+function attachWebSocket(server, stream, options = {}) {
+  const wss = new WebSocketServer({
+    server,
+    path: options.path ?? "/api/events/ws",
+  });
+
+  wss.on("connection", async (socket, req) => {
+    const query = Object.fromEntries(
+      new URL(req.url, "http://localhost").searchParams
+    );
+
+    let subscription;
+    try {
+      await options.authorize?.(req, query);
+      subscription = parseSubscription(query, options);
+    } catch (error) {
+      socket.send(
+        JSON.stringify({
+          type: "error",
+          data: { error: error.message, code: error.code },
+        })
+      );
+      socket.close(
+        1008,
+        error.status === 400 ? "Invalid subscription" : "Unauthorized"
+      );
+      return;
+    }
+    if (socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    const unsubscribe = stream.subscribe(subscription, (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    });
+    socket.on("close", unsubscribe);
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, options.heartbeatInterval ?? 25000);
+  heartbeat.unref?.();
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = { attachWebSocket };
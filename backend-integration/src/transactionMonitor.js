@@ -0,0 +1,342 @@
+const EventEmitter = require("events");
+const { ethers } = require("ethers");
+const { silentLogger } = require("./logger");
+
+// Nodes reject replacements that do not raise fees by at least 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
+
+/**
+ * Transaction Monitor
+ * Watches transactions submitted by the service and re-broadcasts the ones
+ * that stay pending too long with the same nonce and bumped fees.
+ *
+ * Events:
+ * - "replaced" { nonce, originalHash, previousHash, hash, fees }
+ * - "mined"    { nonce, originalHash, hash }
+ * - "capped"   { nonce, originalHash, hash, maxFeePerGas } - fee cap reached
+ * - "replacementFailed" { nonce, originalHash, hash, error }
+ */
+class TransactionMonitor extends EventEmitter {
+  /**
+   * @param {ethers.Signer} signer - Signer that submitted the transactions
+   * @param {object} [options]
+   * @param {number} [options.stuckTimeout=120000] - Ms pending before a fee bump
+   * @param {number} [options.pollInterval=15000] - Ms between checks
+   * @param {number} [options.bumpPercent=15] - Fee increase per replacement
+   * @param {bigint} [options.maxFeePerGas] - Highest fee per gas (wei) ever paid
+   * @param {number} [options.retention=3600000] - Ms to remember mined chains
+   * @param {object} [options.logger] - Receives failed checks (see logger.js)
+   */
+  constructor(signer, options = {}) {
+    super();
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.stuckTimeout = options.stuckTimeout ?? 120000;
+    this.pollInterval = options.pollInterval ?? 15000;
+    this.bumpPercent = BigInt(
+      Math.max(options.bumpPercent ?? 15, Number(MIN_REPLACEMENT_BUMP_PERCENT))
+    );
+    this.maxFeePerGas =
+      options.maxFeePerGas ?? ethers.parseUnits("500", "gwei");
+    this.retention = options.retention ?? 3600000;
+    this.logger = options.logger ?? silentLogger;
+
+    // nonce -> tracked entry (pending transactions)
+    this.pending = new Map();
+    // any hash in a replacement chain -> entry (pending and recently mined)
+    this.byHash = new Map();
+
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start watching a broadcast transaction
+   * @param {ethers.TransactionResponse} tx
+   */
+  track(tx) {
+    let resolveMined;
+    const entry = {
+      nonce: tx.nonce,
+      originalHash: tx.hash,
+      request: {
+        to: tx.to,
+        data: tx.data,
+        value: tx.value,
+        gasLimit: tx.gasLimit,
+        chainId: tx.chainId,
+        type: tx.type,
+        accessList: tx.accessList,
+      },
+      chain: [
+        {
+          hash: tx.hash,
+          ...feeFields(tx),
+          broadcastAt: Date.now(),
+        },
+      ],
+      capped: false,
+      minedHash: null,
+      mined: new Promise((resolve) => {
+        resolveMined = resolve;
+      }),
+    };
+    entry.resolveMined = resolveMined;
+
+    this.pending.set(tx.nonce, entry);
+    this.byHash.set(tx.hash, entry);
+    this._schedule();
+    return entry;
+  }
+
+  /**
+   * Whether a hash belongs to a transaction the monitor knows about
+   */
+  isTracking(hash) {
+    return this.byHash.has(hash);
+  }
+
+  /**
+   * Latest hash in the replacement chain of a transaction
+   * (the mined hash once it has been included)
+   */
+  resolveHash(hash) {
+    const entry = this.byHash.get(hash);
+    if (!entry) {
+      return hash;
+    }
+    return entry.minedHash || entry.chain[entry.chain.length - 1].hash;
+  }
+
+  /**
+   * Replacement chain for a transaction, oldest first
+   */
+  getReplacementChain(hash) {
+    const entry = this.byHash.get(hash);
+    return entry ? entry.chain.map(serializeLink) : [];
+  }
+
+  /**
+   * Wait until the nonce of a tracked transaction is mined
+   * @returns {Promise<object|null>} Receipt of the mined hash in the chain,
+   *   or null if the nonce was consumed by an unrelated transaction
+   */
+  waitForMined(hash) {
+    const entry = this.byHash.get(hash);
+    return entry ? entry.mined : Promise.resolve(null);
+  }
+
+  /**
+   * Pending transactions and their replacement chains
+   */
+  getStatus() {
+    return [...this.pending.values()].map((entry) => ({
+      nonce: entry.nonce,
+      originalHash: entry.originalHash,
+      currentHash: entry.chain[entry.chain.length - 1].hash,
+      capped: entry.capped,
+      chain: entry.chain.map(serializeLink),
+    }));
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check all pending transactions once
+   */
+  async check() {
+    if (this.checking || this.pending.size === 0) {
+      return;
+    }
+    this.checking = true;
+
+    try {
+      const minedNonce = await this.provider.getTransactionCount(
+        this.signer.address,
+        "latest"
+      );
+
+      for (const entry of [...this.pending.values()]) {
+        if (entry.nonce < minedNonce) {
+          await this._settle(entry);
+        } else if (this._isStuck(entry)) {
+          await this._replace(entry);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  _schedule() {
+    if (this.timer || this.pending.size === 0) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      try {
+        await this.check();
+      } catch (error) {
+        this.logger.error("Transaction monitor check failed:", error.message);
+      }
+      this._schedule();
+    }, this.pollInterval);
+
+    // Never keep the process alive just for monitoring
+    this.timer.unref?.();
+  }
+
+  _isStuck(entry) {
+    const latest = entry.chain[entry.chain.length - 1];
+    return (
+      !entry.capped && Date.now() - latest.broadcastAt >= this.stuckTimeout
+    );
+  }
+
+  async _settle(entry) {
+    this.pending.delete(entry.nonce);
+
+    let receipt = null;
+    for (const link of [...entry.chain].reverse()) {
+      receipt = await this.provider.getTransactionReceipt(link.hash);
+      if (receipt) {
+        break;
+      }
+    }
+
+    entry.minedHash = receipt ? receipt.hash : null;
+    entry.resolveMined(receipt);
+    this.emit("mined", {
+      nonce: entry.nonce,
+      originalHash: entry.originalHash,
+      hash: entry.minedHash,
+    });
+
+    // Forget the chain after a while so lookups stay bounded
+    setTimeout(() => {
+      for (const link of entry.chain) {
+        this.byHash.delete(link.hash);
+      }
+    }, this.retention).unref?.();
+  }
+
+  async _replace(entry) {
+    const previous = entry.chain[entry.chain.length - 1];
+    const fees = this._bumpFees(previous, await this.provider.getFeeData());
+
+    if (!fees) {
+      entry.capped = true;
+      this.emit("capped", {
+        nonce: entry.nonce,
+        originalHash: entry.originalHash,
+        hash: previous.hash,
+        maxFeePerGas: this.maxFeePerGas.toString(),
+      });
+      return;
+    }
+
+    let tx;
+    try {
+      tx = await this.signer.sendTransaction({
+        ...entry.request,
+        ...fees,
+        nonce: entry.nonce,
+      });
+    } catch (error) {
+      // The original may have been mined in the meantime; the next check
+      // settles it. Otherwise retry after another timeout.
+      previous.broadcastAt = Date.now();
+      this.emit("replacementFailed", {
+        nonce: entry.nonce,
+        originalHash: entry.originalHash,
+        hash: previous.hash,
+        error,
+      });
+      return;
+    }
+
+    const link = { hash: tx.hash, ...fees, broadcastAt: Date.now() };
+    entry.chain.push(link);
+    this.byHash.set(tx.hash, entry);
+
+    this.emit("replaced", {
+      nonce: entry.nonce,
+      originalHash: entry.originalHash,
+      previousHash: previous.hash,
+      hash: tx.hash,
+      fees: serializeLink(link),
+    });
+  }
+
+  /**
+   * Compute replacement fees, or null if the cap leaves no room to bump
+   */
+  _bumpFees(previous, feeData) {
+    const cap = this.maxFeePerGas;
+    const bump = (value) => (value * (100n + this.bumpPercent)) / 100n;
+    const minimum = (value) =>
+      (value * (100n + MIN_REPLACEMENT_BUMP_PERCENT)) / 100n;
+
+    if (previous.maxFeePerGas != null) {
+      let maxPriorityFeePerGas = max(
+        bump(previous.maxPriorityFeePerGas),
+        feeData.maxPriorityFeePerGas ?? 0n
+      );
+      let maxFeePerGas = max(
+        bump(previous.maxFeePerGas),
+        feeData.maxFeePerGas ?? 0n,
+        maxPriorityFeePerGas
+      );
+
+      maxFeePerGas = min(maxFeePerGas, cap);
+      maxPriorityFeePerGas = min(maxPriorityFeePerGas, maxFeePerGas);
+
+      if (
+        maxFeePerGas < minimum(previous.maxFeePerGas) ||
+        maxPriorityFeePerGas < minimum(previous.maxPriorityFeePerGas)
+      ) {
+        return null;
+      }
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    const gasPrice = min(
+      max(bump(previous.gasPrice), feeData.gasPrice ?? 0n),
+      cap
+    );
+    if (gasPrice < minimum(previous.gasPrice)) {
+      return null;
+    }
+    return { gasPrice };
+  }
+}
+
+function feeFields(tx) {
+  if (tx.maxFeePerGas != null) {
+    return {
+      maxFeePerGas: tx.maxFeePerGas,
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+    };
+  }
+  return { gasPrice: tx.gasPrice };
+}
+
+function serializeLink(link) {
+  const result = { hash: link.hash };
+  for (const field of ["maxFeePerGas", "maxPriorityFeePerGas", "gasPrice"]) {
+    if (link[field] != null) {
+      result[field] = link[field].toString();
+    }
+  }
+  result.broadcastAt = new Date(link.broadcastAt).toISOString();
+  return result;
+}
+
+const max = (...values) => values.reduce((a, b) => (a > b ? a : b));
+const min = (...values) => values.reduce((a, b) => (a < b ? a : b));
+
+module.exports = TransactionMonitor;
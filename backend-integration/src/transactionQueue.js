@@ -0,0 +1,119 @@
+const { ethers } = require("ethers");
+
+/**
+ * Transaction Queue
+ * Serializes transaction submission for a single signer and assigns nonces
+ * locally, so concurrent write requests never race on the same nonce.
+ *
+ * Only the broadcast step is serialized: once a transaction has been sent,
+ * the next one is submitted immediately, so many transactions can be in
+ * flight (pending in the mempool) at the same time.
+ */
+class TransactionQueue {
+  /**
+   * @param {ethers.Signer} signer - Signer whose nonces are managed
+   * @param {object} [options]
+   * @param {number} [options.maxRetries=3] - Resync attempts on nonce errors
+   */
+  constructor(signer, options = {}) {
+    this.signer = signer;
+    this.maxRetries = options.maxRetries ?? 3;
+
+    // Next nonce to assign; null until synced from the provider
+    this.nextNonce = null;
+
+    // Tail of the submission chain
+    this.tail = Promise.resolve();
+    this.queued = 0;
+  }
+
+  /**
+   * Queue a transaction for submission
+   * @param {function} send - Receives overrides ({ nonce }) and must broadcast the transaction
+   * @returns {Promise<ethers.TransactionResponse>} Broadcast (not yet mined) transaction
+   */
+  submit(send) {
+    this.queued++;
+    const result = this.tail
+      .then(() => this._submitWithNonce(send))
+      .finally(() => {
+        this.queued--;
+      });
+
+    // A failed submission must not block the ones queued behind it
+    this.tail = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Re-read the next nonce from the provider (pending block)
+   */
+  async resync() {
+    this.nextNonce = await this.signer.getNonce("pending");
+    return this.nextNonce;
+  }
+
+  /**
+   * Current queue state
+   */
+  getStatus() {
+    return {
+      address: this.signer.address,
+      nextNonce: this.nextNonce,
+      queued: this.queued,
+    };
+  }
+
+  async _submitWithNonce(send) {
+    for (let attempt = 0; ; attempt++) {
+      if (this.nextNonce === null) {
+        await this.resync();
+      }
+
+      const nonce = this.nextNonce;
+
+      try {
+        const tx = await send({ nonce });
+        this.nextNonce = nonce + 1;
+        return tx;
+      } catch (error) {
+        // Anything other than a nonce mismatch means the nonce was not
+        // consumed (e.g. a revert during gas estimation), so it is reused
+        if (!isNonceError(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        await this.resync();
+      }
+    }
+  }
+}
+
+/**
+ * Whether an error was caused by a stale local nonce
+ */
+function isNonceError(error) {
+  if (
+    ethers.isError(error, "NONCE_EXPIRED") ||
+    ethers.isError(error, "REPLACEMENT_UNDERPRICED")
+  ) {
+    return true;
+  }
+
+  const message = [
+    error?.shortMessage,
+    error?.message,
+    error?.info?.error?.message,
+    error?.error?.message,
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  return /nonce too (low|high)|nonce has already been used|invalid nonce/.test(
+    message
+  );
+}
+
+module.exports = TransactionQueue;
+module.exports.isNonceError = isNonceError;
@@ -0,0 +1,8 @@
+const rules = require("./rules");
+const { validate, checkFields } = require("./validate");
+
+module.exports = {
+  validate,
+  checkFields,
+  rules,
+};
@@ -0,0 +1,241 @@
+const { ethers } = require("ethers");
+
+// Decimal SB amount: digits with up to 18 decimals, no sign or exponent
+const AMOUNT_PATTERN = /^\d+(\.\d{1,18})?$/;
+
+/**
+ * A value that does not satisfy a rule
+ * `path` locates the failure inside the value (e.g. "[2]" in an array).
+ */
+class Invalid extends Error {
+  constructor(message, path = "") {
+    super(message);
+    this.path = path;
+  }
+}
+
+const fail = (message) => {
+  throw new Invalid(message);
+};
+
+/**
+ * Validation rule for one field
+ * `check` returns the normalized value or throws Invalid. Fields are
+ * required unless made optional().
+ */
+class Rule {
+  constructor(check) {
+    this.check = check;
+    this.isOptional = false;
+    this.defaultValue = undefined;
+  }
+
+  /**
+   * Same rule for a field that may be left out
+   * @param {*} [defaultValue] - Used when the field is missing
+   */
+  optional(defaultValue) {
+    const rule = new Rule(this.check);
+    rule.isOptional = true;
+    rule.defaultValue = defaultValue;
+    return rule;
+  }
+}
+
+const rule = (check) => new Rule(check);
+
+/**
+ * 20-byte address; mixed-case addresses must have a valid EIP-55 checksum
+ * Normalized to its checksummed form.
+ */
+const address = () =>
+  rule((value) => {
+    if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+      fail("must be a 0x-prefixed 20-byte hex address");
+    }
+    try {
+      return ethers.getAddress(value);
+    } catch (error) {
+      return fail("has an invalid checksum");
+    }
+  });
+
+/**
+ * Decimal SB amount with at most 18 decimals, as a string (e.g. "12.5")
+ * Numbers are accepted when they print as plain decimals (100, not 1e21).
+ * @param {object} [options]
+ * @param {boolean} [options.allowZero=false]
+ */
+const amount = ({ allowZero = false } = {}) =>
+  rule((value) => {
+    const text = typeof value === "number" ? String(value) : value;
+    if (typeof text !== "string" || !AMOUNT_PATTERN.test(text)) {
+      fail("must be a decimal string with at most 18 decimals");
+    }
+    const wei = ethers.parseEther(text);
+    if (wei > ethers.MaxUint256) {
+      fail("is too large");
+    }
+    if (wei === 0n && !allowZero) {
+      fail("must be greater than 0");
+    }
+    return text;
+  });
+
+/**
+ * Integer, from a number or (in params and query strings) digits
+ * @param {object} [options] - { min, max }
+ */
+const integer = ({ min, max } = {}) =>
+  rule((value) => {
+    const number =
+      typeof value === "string" && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value;
+    if (!Number.isSafeInteger(number)) {
+      fail("must be an integer");
+    }
+    if (min !== undefined && number < min) {
+      fail(
+        max !== undefined
+          ? `must be between ${min} and ${max}`
+          : `must be at least ${min}`
+      );
+    }
+    if (max !== undefined && number > max) {
+      fail(
+        min !== undefined
+          ? `must be between ${min} and ${max}`
+          : `must be at most ${max}`
+      );
+    }
+    return number;
+  });
+
+/**
+ * true/false, or "true"/"false" in query strings
+ */
+const boolean = () =>
+  rule((value) => {
+    if (value === true || value === "true") {
+      return true;
+    }
+    if (value === false || value === "false") {
+      return false;
+    }
+    return fail("must be true or false");
+  });
+
+/**
+ * Non-empty string
+ * @param {object} [options] - { max, pattern, description }
+ *   description explains `pattern` in the error (e.g. "a 32-byte hex hash")
+ */
+const string = ({ max, pattern, description } = {}) =>
+  rule((value) => {
+    if (typeof value !== "string" || !value.length) {
+      fail("must be a non-empty string");
+    }
+    if (max !== undefined && value.length > max) {
+      fail(`must be at most ${max} characters`);
+    }
+    if (pattern && !pattern.test(value)) {
+      fail(`must be ${description || `a string matching ${pattern}`}`);
+    }
+    return value;
+  });
+
+/**
+ * One of a fixed set of strings
+ * @param {string[]} values
+ */
+const oneOf = (values) =>
+  rule((value) => {
+    if (!values.includes(value)) {
+      fail(`must be one of ${values.join(", ")}`);
+    }
+    return value;
+  });
+
+/**
+ * Point in time as Unix seconds or an ISO 8601 date, normalized to Unix seconds
+ */
+const time = () =>
+  rule((value) => {
+    let ms = NaN;
+    if (typeof value === "number" || /^\d+$/.test(value)) {
+      ms = Number(value) * 1000;
+    } else if (typeof value === "string") {
+      ms = Date.parse(value);
+    }
+    if (!Number.isFinite(ms)) {
+      fail("must be a Unix timestamp or ISO 8601 date");
+    }
+    return Math.floor(ms / 1000);
+  });
+
+/**
+ * 32-byte hex value such as a transaction hash
+ */
+const bytes32 = () =>
+  string({
+    pattern: /^0x[0-9a-fA-F]{64}$/,
+    description: "a 32-byte hex value",
+  });
+
+/**
+ * Array whose items all satisfy `item`
+ * @param {Rule} [item] - Items are not checked without one
+ * @param {object} [options] - { min, max } number of items
+ */
+const array = (item, { min, max } = {}) =>
+  rule((value) => {
+    if (!Array.isArray(value)) {
+      fail("must be an array");
+    }
+    if (min !== undefined && value.length < min) {
+      fail(`must have at least ${min} item${min === 1 ? "" : "s"}`);
+    }
+    if (max !== undefined && value.length > max) {
+      fail(`must have at most ${max} items`);
+    }
+    if (!item) {
+      return value;
+    }
+    return value.map((entry, index) => {
+      try {
+        return item.check(entry);
+      } catch (error) {
+        if (error instanceof Invalid) {
+          throw new Invalid(error.message, `[${index}]${error.path}`);
+        }
+        throw error;
+      }
+    });
+  });
+
+/**
+ * Comma-separated query list (e.g. ?kind=mint,fee), normalized to an array
+ * @param {Rule} item
+ */
+const list = (item) =>
+  rule((value) =>
+    array(item, { min: 1 }).check(
+      typeof value === "string" ? value.split(",") : value
+    )
+  );
+
+module.exports = {
+  Rule,
+  Invalid,
+  address,
+  amount,
+  integer,
+  boolean,
+  string,
+  oneOf,
+  time,
+  bytes32,
+  array,
+  list,
+};
@@ -0,0 +1,99 @@
+const { ApiError } = require("../errors");
+const { Invalid } = require("./rules");
+
+// Parts of a request a schema can describe, in the order they are checked
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Check values against a schema of rules
+ * @param {object} schema - { field: Rule }
+ * @param {object} values
+ * @param {string} location - "params", "query" or "body" (for error reports)
+ * @returns {object} { values, errors } - values normalized by their rules;
+ *   fields not in the schema are kept as they are
+ */
+function checkFields(schema, values, location) {
+  const result = { ...values };
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = values[field];
+    if (value === undefined || value === null || value === "") {
+      if (!rule.isOptional) {
+        errors.push({ location, field, message: "is required" });
+      } else if (rule.defaultValue !== undefined) {
+        result[field] = rule.defaultValue;
+      } else {
+        delete result[field];
+      }
+      continue;
+    }
+
+    try {
+      result[field] = rule.check(value);
+    } catch (error) {
+      if (!(error instanceof Invalid)) {
+        throw error;
+      }
+      errors.push({
+        location,
+        field: `${field}${error.path}`,
+        message: error.message,
+      });
+    }
+  }
+
+  return { values: result, errors };
+}
+
+/**
+ * Express middleware validating a request against a schema
+ * Valid values replace the originals in req.params, req.query and req.body
+ * (addresses checksummed, integers and times as numbers). Otherwise the
+ * request fails with 400 VALIDATION_ERROR, listing every invalid field in
+ * `details.errors`: [{ location, field, message }].
+ * @param {object} schema - { params, query, body }, each { field: Rule }
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const normalized = {};
+
+    for (const location of LOCATIONS) {
+      if (!schema[location]) {
+        continue;
+      }
+      const source = req[location] ?? {};
+      if (typeof source !== "object" || Array.isArray(source)) {
+        errors.push({
+          location,
+          field: location,
+          message: "must be an object",
+        });
+        continue;
+      }
+
+      const result = checkFields(schema[location], source, location);
+      normalized[location] = result.values;
+      errors.push(...result.errors);
+    }
+
+    if (errors.length) {
+      return next(
+        new ApiError(
+          400,
+          "VALIDATION_ERROR",
+          `Invalid request: ${errors
+            .map(({ field, message }) => `${field} ${message}`)
+            .join("; ")}`,
+          { errors }
+        )
+      );
+    }
+
+    Object.assign(req, normalized);
+    next();
+  };
+}
+
+module.exports = { validate, checkFields };
@@ -0,0 +1,10 @@
+const WebhookDispatcher = require("./webhookDispatcher");
+const WebhookStore = require("./webhookStore");
+
+module.exports = {
+  WebhookDispatcher,
+  WebhookStore,
+  DELIVERY_STATUS: WebhookDispatcher.DELIVERY_STATUS,
+  signPayload: WebhookDispatcher.signPayload,
+  verifySignature: WebhookDispatcher.verifySignature,
+};
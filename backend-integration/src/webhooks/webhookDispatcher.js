@@ -0,0 +1,443 @@
+const crypto = require("crypto");
+const { ApiError } = require("../errors");
+const { silentLogger } = require("../logger");
+const { parseFilter, matchesFilter, formatEvent } = require("../stream");
+
+/**
+ * Delivery lifecycle:
+ *   pending -> delivered
+ *      \-> (retried with backoff) -> dead
+ */
+const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  DEAD: "dead",
+};
+
+const SIGNATURE_HEADER = "X-SimBank-Signature";
+
+/**
+ * Webhook Dispatcher
+ * POSTs indexed contract events to subscribed URLs.
+ *
+ * Events come from the indexer's change journal (the same feed as the event
+ * stream), so a restart picks up where delivery stopped and reorged-out
+ * events are announced with `"type": "removed"`. Each change matching a
+ * webhook's filters becomes a delivery that is retried with exponential
+ * backoff; after `maxAttempts` failures it is moved to the dead-letter list,
+ * from where it can be redelivered by hand.
+ *
+ * Each webhook gets its deliveries one at a time, in order, while up to
+ * `concurrency` webhooks are delivered to at once, so a slow or dead
+ * receiver only holds up its own deliveries.
+ *
+ * Payloads are signed with the webhook's secret:
+ *   X-SimBank-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+class WebhookDispatcher {
+  /**
+   * @param {EventIndexer} indexer - Source of events
+   * @param {WebhookStore} store - Subscriptions and deliveries
+   * @param {object} [options]
+   * @param {number} [options.maxAttempts=8] - Attempts before a delivery is dead
+   * @param {number} [options.retryDelay=10000] - Ms before the first retry, doubled after each failure
+   * @param {number} [options.maxRetryDelay=3600000] - Longest wait between attempts
+   * @param {number} [options.timeout=10000] - Ms to wait for the receiver's response
+   * @param {number} [options.concurrency=8] - Webhooks delivered to at once
+   * @param {object} [options.logger] - Receives failed delivery runs (see logger.js)
+   */
+  constructor(indexer, store, options = {}) {
+    this.indexer = indexer;
+    this.store = store;
+
+    this.maxAttempts = options.maxAttempts ?? 8;
+    this.retryDelay = options.retryDelay ?? 10000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 3600000;
+    this.timeout = options.timeout ?? 10000;
+    this.concurrency = options.concurrency ?? 8;
+    this.logger = options.logger ?? silentLogger;
+
+    this.running = false;
+    // webhook id -> its delivery run in progress
+    this.lanes = new Map();
+    this.timer = null;
+    this.onChanges = () => this._enqueueChanges();
+  }
+
+  /**
+   * Follow the indexer and deliver pending events
+   * A new database starts with the next change instead of the whole history.
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    if (this.store.getMeta("lastChangeId") === null) {
+      this.store.setMeta(
+        "lastChangeId",
+        this.indexer.store.getChangeRange().last
+      );
+    }
+
+    this.indexer.on("events", this.onChanges);
+    this.indexer.on("reorg", this.onChanges);
+    this._enqueueChanges();
+  }
+
+  stop() {
+    this.running = false;
+    this.indexer.off("events", this.onChanges);
+    this.indexer.off("reorg", this.onChanges);
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Register a webhook
+   * @param {object} params
+   * @param {string} params.url - http(s) URL receiving POSTs
+   * @param {string[]|string} [params.events] - Event names (default: all)
+   * @param {string[]|string} [params.addresses] - Only events with one of these addresses as an argument
+   * @param {string} [params.description]
+   * @returns {object} Webhook, including the secret used to sign payloads
+   */
+  createWebhook({ url, events, addresses, description }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      throw new ApiError(400, "VALIDATION_ERROR", "url must be an http(s) URL");
+    }
+
+    const filter = parseFilter({ events, addresses });
+    return this.store.createWebhook({
+      id: crypto.randomUUID(),
+      url: parsed.toString(),
+      secret: `whsec_${crypto.randomBytes(32).toString("hex")}`,
+      events: filter.events ?? null,
+      addresses: filter.addresses ?? null,
+      description,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Webhook without its secret
+   */
+  getWebhook(id) {
+    const webhook = this.store.getWebhook(id);
+    if (!webhook) {
+      throw new ApiError(404, "WEBHOOK_NOT_FOUND", "Webhook not found");
+    }
+    return withoutSecret(webhook);
+  }
+
+  listWebhooks() {
+    return this.store.listWebhooks().map(withoutSecret);
+  }
+
+  deleteWebhook(id) {
+    if (!this.store.deleteWebhook(id)) {
+      throw new ApiError(404, "WEBHOOK_NOT_FOUND", "Webhook not found");
+    }
+  }
+
+  /**
+   * Deliveries, newest first
+   * @param {object} filter - { webhookId, status, limit }
+   */
+  listDeliveries(filter = {}) {
+    if (filter.webhookId) {
+      this.getWebhook(filter.webhookId);
+    }
+    if (
+      filter.status &&
+      !Object.values(DELIVERY_STATUS).includes(filter.status)
+    ) {
+      throw new ApiError(
+        400,
+        "VALIDATION_ERROR",
+        `status must be one of ${Object.values(DELIVERY_STATUS).join(", ")}`
+      );
+    }
+    return this.store.listDeliveries(filter).map(formatDelivery);
+  }
+
+  /**
+   * Send a delivery again, whatever its status, with a fresh set of attempts
+   */
+  redeliver(deliveryId) {
+    const delivery = this.store.getDelivery(deliveryId);
+    if (!delivery) {
+      throw new ApiError(404, "DELIVERY_NOT_FOUND", "Delivery not found");
+    }
+    if (
+      delivery.status === DELIVERY_STATUS.PENDING &&
+      delivery.attempts === 0
+    ) {
+      throw new ApiError(
+        409,
+        "DELIVERY_PENDING",
+        "Delivery has not been attempted yet"
+      );
+    }
+
+    const updated = this.store.updateDelivery(deliveryId, {
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    });
+    this._deliverDue();
+    return formatDelivery(updated);
+  }
+
+  /**
+   * Turn journaled changes into deliveries for the matching webhooks
+   */
+  _enqueueChanges() {
+    const webhooks = this.store.listWebhooks();
+    let lastChangeId = this.store.getMeta("lastChangeId");
+    let changes;
+
+    while ((changes = this.indexer.store.getChanges(lastChangeId)).length) {
+      const deliveries = [];
+      const now = Date.now();
+
+      for (const change of changes) {
+        for (const webhook of webhooks) {
+          if (matchesFilter(webhook, change.event)) {
+            deliveries.push(this._createDelivery(webhook, change, now));
+          }
+        }
+      }
+
+      lastChangeId = changes[changes.length - 1].id;
+      this.store.enqueue(deliveries, lastChangeId);
+    }
+
+    this._deliverDue();
+  }
+
+  _createDelivery(webhook, change, now) {
+    const id = crypto.randomUUID();
+    const removed = change.type === "removed";
+
+    return {
+      id,
+      webhookId: webhook.id,
+      changeId: change.id,
+      event: change.event.name,
+      status: DELIVERY_STATUS.PENDING,
+      nextAttemptAt: now,
+      createdAt: new Date(now).toISOString(),
+      payload: {
+        id,
+        webhookId: webhook.id,
+        type: removed ? "removed" : "event",
+        createdAt: new Date(now).toISOString(),
+        data: {
+          id: change.id,
+          ...formatEvent(change.event),
+          ...(removed && { removed: true }),
+        },
+      },
+    };
+  }
+
+  /**
+   * Start a run for each webhook with a delivery due, while fewer than
+   * `concurrency` are running, then wait for the next attempt
+   * Webhooks with a run in progress are left to it; webhooks left waiting
+   * start when a run ends.
+   * @returns {Promise} Settles when the runs in progress have ended
+   */
+  _deliverDue() {
+    if (!this.running) {
+      return Promise.resolve();
+    }
+
+    for (const webhookId of this.store.getDueWebhookIds(Date.now())) {
+      if (this.lanes.size >= this.concurrency) {
+        break;
+      }
+      if (this.lanes.has(webhookId)) {
+        continue;
+      }
+      this.lanes.set(
+        webhookId,
+        this._deliverTo(webhookId)
+          .catch((error) =>
+            this.logger.error(
+              `Webhook ${webhookId} delivery failed:`,
+              error.message
+            )
+          )
+          .finally(() => {
+            this.lanes.delete(webhookId);
+            this._deliverDue();
+          })
+      );
+    }
+
+    this._schedule();
+    return Promise.all(this.lanes.values());
+  }
+
+  // Attempt a webhook's due deliveries one at a time, in order
+  async _deliverTo(webhookId) {
+    let due;
+    while (
+      this.running &&
+      (due = this.store.getDueDeliveries(webhookId, Date.now())).length
+    ) {
+      for (const delivery of due) {
+        await this._attempt(delivery);
+      }
+    }
+  }
+
+  // Deliveries due now are started by _deliverDue or by the end of a run
+  _schedule() {
+    clearTimeout(this.timer);
+    const now = Date.now();
+    const next = this.store.getNextAttemptAt(now);
+    if (!this.running || next === null) {
+      return;
+    }
+
+    this.timer = setTimeout(() => this._deliverDue(), next - now);
+    // Never keep the process alive just for retries
+    this.timer.unref?.();
+  }
+
+  async _attempt(delivery) {
+    const webhook = this.store.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SimBank-Webhooks/1.0",
+          "X-SimBank-Event": delivery.event,
+          "X-SimBank-Delivery": delivery.id,
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.cause?.message || err.message;
+    }
+
+    if (!error) {
+      this.store.updateDelivery(delivery.id, {
+        status: DELIVERY_STATUS.DELIVERED,
+        attempts,
+        nextAttemptAt: null,
+        lastError: null,
+        responseStatus,
+        deliveredAt: new Date().toISOString(),
+      });
+      return;
+    }
+
+    const dead = attempts >= this.maxAttempts;
+    this.store.updateDelivery(delivery.id, {
+      status: dead ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.PENDING,
+      attempts,
+      nextAttemptAt: dead ? null : Date.now() + this._backoff(attempts),
+      lastError: error,
+      responseStatus,
+    });
+  }
+
+  // retryDelay, 2x, 4x, ... capped at maxRetryDelay
+  _backoff(attempts) {
+    return Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+  }
+}
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix seconds (default: now)
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a received signature header, for receivers written in Node.js
+ * @param {string} secret - Webhook secret
+ * @param {string} header - X-SimBank-Signature value
+ * @param {string} body - Raw request body, exactly as received
+ * @param {number} [tolerance=300] - Oldest accepted timestamp, in seconds
+ * @returns {boolean}
+ */
+function verifySignature(secret, header, body, tolerance = 300) {
+  const parts = Object.fromEntries(
+    String(header)
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (
+    !parts.v1 ||
+    !Number.isInteger(timestamp) ||
+    Math.abs(Date.now() / 1000 - timestamp) > tolerance
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp));
+  const received = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+function withoutSecret({ secret, ...webhook }) {
+  return webhook;
+}
+
+function formatDelivery(delivery) {
+  return {
+    ...delivery,
+    nextAttemptAt:
+      delivery.nextAttemptAt !== null
+        ? new Date(delivery.nextAttemptAt).toISOString()
+        : null,
+  };
+}
+
+module.exports = WebhookDispatcher;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.signPayload = signPayload;
+module.exports.verifySignature = verifySignature;
@@ -0,0 +1,279 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * SQLite store for webhook subscriptions and their deliveries
+ *
+ * Tables:
+ * - webhooks:   subscriptions with their signing secret and filters
+ * - deliveries: one row per (webhook, event change), with retry state
+ * - meta:       id of the last event change turned into deliveries
+ */
+class WebhookStore {
+  /**
+   * @param {string} filename - Database file (":memory:" for a throwaway database)
+   */
+  constructor(filename) {
+    if (filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT,
+        addresses TEXT,
+        description TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        change_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER,
+        last_error TEXT,
+        response_status INTEGER,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT,
+        UNIQUE (webhook_id, change_id)
+      );
+      CREATE INDEX IF NOT EXISTS deliveries_due
+        ON deliveries (status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS deliveries_webhook
+        ON deliveries (webhook_id, created_at);
+      CREATE INDEX IF NOT EXISTS deliveries_webhook_due
+        ON deliveries (webhook_id, status, next_attempt_at);
+
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    this.statements = {
+      insertWebhook: this.db.prepare(
+        `INSERT INTO webhooks (id, url, secret, events, addresses, description, created_at)
+          VALUES (@id, @url, @secret, @events, @addresses, @description, @createdAt)`
+      ),
+      getWebhook: this.db.prepare("SELECT * FROM webhooks WHERE id = ?"),
+      listWebhooks: this.db.prepare(
+        "SELECT * FROM webhooks ORDER BY created_at"
+      ),
+      deleteWebhook: this.db.prepare("DELETE FROM webhooks WHERE id = ?"),
+      deleteDeliveries: this.db.prepare(
+        "DELETE FROM deliveries WHERE webhook_id = ?"
+      ),
+      insertDelivery: this.db.prepare(
+        `INSERT OR IGNORE INTO deliveries
+          (id, webhook_id, change_id, event, payload, status, next_attempt_at, created_at)
+          VALUES (@id, @webhookId, @changeId, @event, @payload, @status, @nextAttemptAt, @createdAt)`
+      ),
+      getDelivery: this.db.prepare("SELECT * FROM deliveries WHERE id = ?"),
+      dueWebhooks: this.db.prepare(
+        `SELECT webhook_id FROM deliveries
+          WHERE status = 'pending' AND next_attempt_at <= ?
+          GROUP BY webhook_id ORDER BY MIN(next_attempt_at)`
+      ),
+      dueDeliveries: this.db.prepare(
+        `SELECT * FROM deliveries
+          WHERE webhook_id = ? AND status = 'pending' AND next_attempt_at <= ?
+          ORDER BY next_attempt_at, change_id LIMIT ?`
+      ),
+      nextAttempt: this.db.prepare(
+        `SELECT MIN(next_attempt_at) AS at FROM deliveries
+          WHERE status = 'pending' AND next_attempt_at > ?`
+      ),
+      getMeta: this.db.prepare("SELECT value FROM meta WHERE key = ?"),
+      setMeta: this.db.prepare(
+        "INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)"
+      ),
+    };
+  }
+
+  getMeta(key) {
+    const row = this.statements.getMeta.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, JSON.stringify(value));
+  }
+
+  createWebhook(webhook) {
+    this.statements.insertWebhook.run({
+      ...webhook,
+      events: webhook.events ? JSON.stringify(webhook.events) : null,
+      addresses: webhook.addresses ? JSON.stringify(webhook.addresses) : null,
+      description: webhook.description ?? null,
+    });
+    return this.getWebhook(webhook.id);
+  }
+
+  getWebhook(id) {
+    const row = this.statements.getWebhook.get(id);
+    return row ? fromWebhookRow(row) : null;
+  }
+
+  listWebhooks() {
+    return this.statements.listWebhooks.all().map(fromWebhookRow);
+  }
+
+  /**
+   * Delete a webhook and its delivery history
+   * @returns {boolean} false if it did not exist
+   */
+  deleteWebhook(id) {
+    return this.db.transaction(() => {
+      this.statements.deleteDeliveries.run(id);
+      return this.statements.deleteWebhook.run(id).changes > 0;
+    })();
+  }
+
+  /**
+   * Queue deliveries and record the last change they cover, atomically
+   * A delivery already queued for the same webhook and change is ignored.
+   * @param {object[]} deliveries
+   * @param {number} lastChangeId
+   */
+  enqueue(deliveries, lastChangeId) {
+    this.db.transaction(() => {
+      for (const delivery of deliveries) {
+        this.statements.insertDelivery.run({
+          ...delivery,
+          payload: JSON.stringify(delivery.payload),
+        });
+      }
+      this.setMeta("lastChangeId", lastChangeId);
+    })();
+  }
+
+  getDelivery(id) {
+    const row = this.statements.getDelivery.get(id);
+    return row ? fromDeliveryRow(row) : null;
+  }
+
+  /**
+   * Webhooks with a delivery due, the one waiting longest first
+   * @param {number} now - Ms since epoch
+   * @returns {string[]} Webhook ids
+   */
+  getDueWebhookIds(now) {
+    return this.statements.dueWebhooks.all(now).map((row) => row.webhook_id);
+  }
+
+  /**
+   * A webhook's pending deliveries whose next attempt is due, oldest first
+   * @param {string} webhookId
+   * @param {number} now - Ms since epoch
+   */
+  getDueDeliveries(webhookId, now, limit = 20) {
+    return this.statements.dueDeliveries
+      .all(webhookId, now, limit)
+      .map(fromDeliveryRow);
+  }
+
+  /**
+   * Time of the earliest pending attempt after `now` (ms), or null if none
+   */
+  getNextAttemptAt(now) {
+    return this.statements.nextAttempt.get(now).at;
+  }
+
+  updateDelivery(id, changes) {
+    const columns = {
+      status: "status",
+      attempts: "attempts",
+      nextAttemptAt: "next_attempt_at",
+      lastError: "last_error",
+      responseStatus: "response_status",
+      deliveredAt: "delivered_at",
+    };
+    const keys = Object.keys(changes).filter((key) => columns[key]);
+    if (!keys.length) {
+      return this.getDelivery(id);
+    }
+
+    this.db
+      .prepare(
+        `UPDATE deliveries SET ${keys
+          .map((key) => `${columns[key]} = @${key}`)
+          .join(", ")} WHERE id = @id`
+      )
+      .run({ ...changes, id });
+    return this.getDelivery(id);
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {object} filter - { webhookId, status, limit }
+   */
+  listDeliveries(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.webhookId) {
+      conditions.push("webhook_id = ?");
+      params.push(filter.webhookId);
+    }
+    if (filter.status) {
+      conditions.push("status = ?");
+      params.push(filter.status);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const limit = filter.limit ? `LIMIT ${Number(filter.limit)}` : "";
+
+    return this.db
+      .prepare(
+        `SELECT * FROM deliveries ${where}
+          ORDER BY created_at DESC, change_id DESC ${limit}`
+      )
+      .all(...params)
+      .map(fromDeliveryRow);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function fromWebhookRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    secret: row.secret,
+    events: row.events ? JSON.parse(row.events) : null,
+    addresses: row.addresses ? JSON.parse(row.addresses) : null,
+    description: row.description,
+    createdAt: row.created_at,
+  };
+}
+
+function fromDeliveryRow(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    changeId: row.change_id,
+    event: row.event,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    responseStatus: row.response_status,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+  };
+}
+
+module.exports = WebhookStore;
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ApiKeyManager, ApiKeyStore } = require("../src/auth");
+
+const HOUR = 3600000;
+
+describe("ApiKeyManager", function () {
+  let store;
+  let apiKeys;
+
+  beforeEach(function () {
+    store = new ApiKeyStore(":memory:");
+    apiKeys = new ApiKeyManager(store);
+  });
+
+  const createKey = (expiresAt) =>
+    apiKeys.create({ name: "ops", scopes: ["read"], expiresAt });
+
+  describe("rotate", function () {
+    it("keeps the old key working for the grace period", function () {
+      const key = createKey();
+
+      apiKeys.rotate(key.id, { gracePeriod: 60 });
+
+      const expiresAt = Date.parse(apiKeys.get(key.id).expiresAt);
+      expect(expiresAt - Date.now()).to.be.within(55000, 60000);
+      expect(apiKeys.authenticate(key.key).id).to.equal(key.id);
+    });
+
+    it("does not extend the old key past its own expiry", function () {
+      const expiresAt = new Date(Date.now() + HOUR).toISOString();
+      const key = createKey(expiresAt);
+
+      const rotated = apiKeys.rotate(key.id, { gracePeriod: 24 * 3600 });
+
+      expect(apiKeys.get(key.id).expiresAt).to.equal(expiresAt);
+      expect(rotated.expiresAt).to.equal(expiresAt);
+    });
+
+    it("refuses to rotate an expired key", function () {
+      const key = createKey();
+      store.update(key.id, {
+        expiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+
+      let error;
+      try {
+        apiKeys.rotate(key.id, { gracePeriod: 3600 });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.status).to.equal(409);
+      expect(error.code).to.equal("API_KEY_EXPIRED");
+      expect(apiKeys.list()).to.have.lengthOf(1);
+      expect(() => apiKeys.authenticate(key.key)).to.throw(/expired/);
+    });
+
+    it("revokes the old key at once without a grace period", function () {
+      const key = createKey();
+
+      apiKeys.rotate(key.id);
+
+      expect(apiKeys.get(key.id).revokedAt).to.be.a("string");
+      expect(() => apiKeys.authenticate(key.key)).to.throw(/revoked/);
+    });
+  });
+});
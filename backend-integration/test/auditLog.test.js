@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { expect } = require("chai");
+const { AuditLog, AuditStore } = require("../src/audit");
+
+const caller = { type: "apiKey", id: "1f2e3d4c5b6a7980", name: "ops" };
+
+function request(body) {
+  return { method: "POST", originalUrl: "/api/mint", body, auth: caller };
+}
+
+describe("AuditLog", function () {
+  let store;
+  let auditLog;
+
+  // Three mints, the second one's job referenced by its entry
+  beforeEach(function () {
+    store = new AuditStore(":memory:");
+    auditLog = new AuditLog(store, { secret: "audit-secret" });
+    for (const [amount, jobId] of [
+      ["1", undefined],
+      ["2", "job-2"],
+      ["3", undefined],
+    ]) {
+      auditLog.recordRequest("mint", request({ amount }), 202, {}, { jobId });
+    }
+  });
+
+  const run = (sql, ...params) => store.db.prepare(sql).run(...params);
+
+  describe("verify", function () {
+    it("accepts an untouched chain", function () {
+      const result = auditLog.verify();
+
+      expect(result).to.include({ valid: true, entries: 3, error: null });
+      expect(result.head.seq).to.equal(3);
+    });
+
+    it("reports an edited entry", function () {
+      const { data } = store.db
+        .prepare("SELECT data FROM audit_log WHERE seq = 2")
+        .get();
+      run(
+        "UPDATE audit_log SET data = ? WHERE seq = 2",
+        data.replace('"amount":"2"', '"amount":"2000"')
+      );
+
+      const result = auditLog.verify();
+
+      expect(result).to.include({ valid: false, entries: 1 });
+      expect(result.error).to.deep.equal({
+        seq: 2,
+        reason: "Entry was modified (hash mismatch)",
+      });
+    });
+
+    it("reports a deleted entry", function () {
+      run("DELETE FROM audit_log WHERE seq = 2");
+
+      expect(auditLog.verify().error).to.deep.equal({
+        seq: 3,
+        reason: "Entry 2 is missing",
+      });
+    });
+
+    it("reports an indexed column that no longer matches the entry", function () {
+      run("UPDATE audit_log SET job_id = 'job-9' WHERE seq = 2");
+
+      expect(auditLog.verify().error).to.deep.equal({
+        seq: 2,
+        reason: "Indexed columns do not match the entry",
+      });
+    });
+
+    it("reports a chain rebuilt without the secret", function () {
+      let previous = store.db
+        .prepare("SELECT hash FROM audit_log WHERE seq = 1")
+        .get().hash;
+      for (const row of store.db
+        .prepare("SELECT * FROM audit_log WHERE seq > 1 ORDER BY seq")
+        .all()) {
+        const hash = crypto
+          .createHash("sha256")
+          .update(`${previous}\n${row.data}`)
+          .digest("hex");
+        run(
+          "UPDATE audit_log SET prev_hash = ?, hash = ? WHERE seq = ?",
+          previous,
+          hash,
+          row.seq
+        );
+        previous = hash;
+      }
+
+      expect(auditLog.verify().error).to.deep.equal({
+        seq: 2,
+        reason: "Entry was modified (hash mismatch)",
+      });
+    });
+  });
+
+  describe("recordJob", function () {
+    it("records a job's outcome for the caller whose request started it", function () {
+      const entry = auditLog.recordJob({
+        id: "job-2",
+        operation: "mint",
+        status: "failed",
+        error: "Transaction reverted",
+        errorCode: "CONTRACT_REVERT",
+      });
+
+      expect(entry).to.include({ seq: 4, type: "job", success: false });
+      expect(entry.actor).to.deep.equal(caller);
+      expect(auditLog.verify().valid).to.equal(true);
+    });
+
+    it("ignores jobs no audited request started", function () {
+      const job = { id: "job-7", operation: "mint", status: "confirmed" };
+
+      expect(auditLog.recordJob(job)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { ApiError, toApiError, decodeRevert } = require("../src/errors");
+const SimBankABI = require("../abi/SimBankToken.abi.json");
+
+const contract = new ethers.Interface(SimBankABI);
+const account = "0x000000000000000000000000000000000000dEaD";
+const MINTER_ROLE = ethers.id("MINTER_ROLE");
+
+// Revert data as a JSON-RPC node returns it, nested the way ethers wraps it
+function reverted(name, args = []) {
+  const data = contract.encodeErrorResult(name, args);
+  return ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+    info: { error: { code: 3, message: "execution reverted", data } },
+  });
+}
+
+describe("toApiError", function () {
+  const cases = [
+    {
+      title: "AccessControlUnauthorizedAccount",
+      error: reverted("AccessControlUnauthorizedAccount", [
+        account,
+        MINTER_ROLE,
+      ]),
+      status: 403,
+      code: "MISSING_ROLE",
+      message: `Mint failed: Account ${account} is missing role MINTER_ROLE`,
+      details: {
+        error: "AccessControlUnauthorizedAccount",
+        args: { account, neededRole: MINTER_ROLE },
+      },
+    },
+    {
+      title: "EnforcedPause",
+      error: reverted("EnforcedPause"),
+      status: 409,
+      code: "CONTRACT_PAUSED",
+      message: "Mint failed: Token transfers are paused",
+      details: { error: "EnforcedPause", args: {} },
+    },
+    {
+      title: "ERC20InsufficientBalance",
+      error: reverted("ERC20InsufficientBalance", [
+        account,
+        ethers.parseEther("1.5"),
+        ethers.parseEther("2"),
+      ]),
+      status: 422,
+      code: "INSUFFICIENT_BALANCE",
+      message: `Mint failed: Insufficient balance: ${account} has 1.5 SB, needs 2.0 SB`,
+      details: {
+        error: "ERC20InsufficientBalance",
+        args: {
+          sender: account,
+          balance: "1500000000000000000",
+          needed: "2000000000000000000",
+        },
+      },
+    },
+    {
+      title: "a known revert string",
+      error: reverted("Error", ["Mint would exceed max supply"]),
+      status: 422,
+      code: "MAX_SUPPLY_EXCEEDED",
+      message: "Mint failed: Mint would exceed max supply",
+      details: { reason: "Mint would exceed max supply" },
+    },
+    {
+      title: "a blacklist revert string",
+      error: reverted("Error", ["Recipient is blacklisted"]),
+      status: 403,
+      code: "RECIPIENT_BLACKLISTED",
+      message: "Mint failed: Recipient is blacklisted",
+      details: { reason: "Recipient is blacklisted" },
+    },
+    {
+      title: "an unknown revert string",
+      error: reverted("Error", ["Something else"]),
+      status: 422,
+      code: "CONTRACT_REVERT",
+      message: "Mint failed: Something else",
+      details: { reason: "Something else" },
+    },
+    {
+      title: "a reason ethers already decoded",
+      error: ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+        reason: "Fee cannot exceed 10%",
+      }),
+      status: 400,
+      code: "FEE_TOO_HIGH",
+      message: "Mint failed: Fee cannot exceed 10%",
+      details: { reason: "Fee cannot exceed 10%" },
+    },
+    {
+      title: "a revert without data",
+      error: ethers.makeError("missing revert data", "CALL_EXCEPTION"),
+      status: 422,
+      code: "CONTRACT_REVERT",
+      message: "Mint failed: missing revert data",
+      details: undefined,
+    },
+    {
+      title: "an RPC timeout",
+      error: ethers.makeError("request timeout", "TIMEOUT"),
+      status: 504,
+      code: "RPC_TIMEOUT",
+      message: "Mint failed: request timeout",
+      details: undefined,
+    },
+    {
+      title: "an unexpected error",
+      error: new Error("boom"),
+      status: 500,
+      code: "INTERNAL_ERROR",
+      message: "Mint failed: boom",
+      details: undefined,
+    },
+  ];
+
+  for (const { title, error, status, code, message, details } of cases) {
+    it(`maps ${title} to ${status} ${code}`, function () {
+      const apiError = toApiError(error, "Mint failed");
+
+      expect(apiError).to.be.instanceOf(ApiError);
+      expect(apiError.status).to.equal(status);
+      expect(apiError.code).to.equal(code);
+      expect(apiError.message).to.equal(message);
+      expect(apiError.details).to.deep.equal(details);
+    });
+  }
+
+  it("returns an ApiError unchanged", function () {
+    const error = new ApiError(404, "NOT_FOUND", "Job not found");
+
+    expect(toApiError(error, "Mint failed")).to.equal(error);
+  });
+});
+
+describe("decodeRevert", function () {
+  it("uses the revert ethers decoded from a known ABI", function () {
+    const error = ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+      revert: {
+        name: "ERC20InsufficientBalance",
+        args: [account, 1n, 2n],
+      },
+    });
+
+    expect(decodeRevert(error)).to.deep.equal({
+      name: "ERC20InsufficientBalance",
+      args: { sender: account, balance: "1", needed: "2" },
+    });
+  });
+
+  it("finds revert data nested in the RPC error", function () {
+    const data = contract.encodeErrorResult("EnforcedPause", []);
+    const error = { error: { cause: { data } } };
+
+    expect(decodeRevert(error)).to.deep.equal({
+      name: "EnforcedPause",
+      args: {},
+    });
+  });
+
+  it("decodes panics", function () {
+    const data = ethers.concat([
+      ethers.id("Panic(uint256)").slice(0, 10),
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0x11]),
+    ]);
+
+    expect(decodeRevert({ data })).to.deep.equal({ reason: "Panic(0x11)" });
+  });
+
+  it("returns null for unknown selectors and errors without a revert", function () {
+    expect(decodeRevert({ data: "0xdeadbeef" })).to.equal(null);
+    expect(decodeRevert(new Error("boom"))).to.equal(null);
+  });
+});
@@ -0,0 +1,198 @@
+const { ethers } = require("ethers");
+const { expect } = require("chai");
+const { EventIndexer, EventStore } = require("../src/indexer");
+const SimBankABI = require("../abi/SimBankTokenV2.abi.json");
+
+const CONTRACT = "0x00000000000000000000000000000000000000c0";
+const ZERO = ethers.ZeroAddress;
+const address = (n) => ethers.getAddress(`0x${String(n).padStart(40, "0")}`);
+
+function transfer(logIndex, from, to, value) {
+  return {
+    blockNumber: 100,
+    logIndex,
+    transactionHash: `0x${String(logIndex).padStart(64, "0")}`,
+    timestamp: null,
+    from,
+    to,
+    value: String(value),
+    kind: from === ZERO ? "mint" : "transfer",
+  };
+}
+
+function fakeService({ provider = {}, totalSupply = 0n } = {}) {
+  return {
+    provider,
+    contractAddress: CONTRACT,
+    contract: { interface: new ethers.Interface(SimBankABI) },
+    getTokenInfo: async () => ({ totalSupply: { wei: String(totalSupply) } }),
+    getFeeRecipient: async () => address(99),
+  };
+}
+
+/**
+ * Chain of `head` blocks serving Transfer logs added with `transfer()`.
+ * `reorg(fromBlock)` gives every block from there on a new hash and drops
+ * its logs; getLogs refuses ranges longer than `maxRange` when it is set.
+ */
+function stubChain(head) {
+  const iface = new ethers.Interface(SimBankABI);
+  const chain = { head, maxRange: null, logs: [], forks: {}, ranges: [] };
+  const hash = (number) =>
+    ethers.id(`block ${number} fork ${chain.forks[number] ?? 0}`);
+
+  chain.transfer = (blockNumber, from, to, value) => {
+    chain.logs.push({
+      blockNumber,
+      index: chain.logs.length,
+      transactionHash: ethers.id(`tx ${chain.logs.length}`),
+      removed: false,
+      address: CONTRACT,
+      ...iface.encodeEventLog("Transfer", [from, to, value]),
+    });
+  };
+  chain.reorg = (fromBlock) => {
+    for (let number = fromBlock; number <= chain.head; number++) {
+      chain.forks[number] = (chain.forks[number] ?? 0) + 1;
+    }
+    chain.logs = chain.logs.filter((log) => log.blockNumber < fromBlock);
+  };
+
+  chain.provider = {
+    getNetwork: async () => ({ chainId: 31337n }),
+    getBlockNumber: async () => chain.head,
+    getBlock: async (number) =>
+      number <= chain.head
+        ? { number, hash: hash(number), timestamp: 1700000000 + number }
+        : null,
+    getLogs: async ({ fromBlock, toBlock }) => {
+      chain.ranges.push([fromBlock, toBlock]);
+      if (chain.maxRange && toBlock - fromBlock + 1 > chain.maxRange) {
+        throw new Error("query returned more than 10000 results");
+      }
+      return chain.logs
+        .filter(
+          (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+        )
+        .map((log) => ({ ...log, blockHash: hash(log.blockNumber) }));
+    },
+  };
+  return chain;
+}
+
+describe("EventIndexer", function () {
+  let store;
+
+  beforeEach(function () {
+    store = new EventStore(":memory:");
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  describe("getDistribution", function () {
+    // Indexing started after address(1) received its tokens
+    beforeEach(function () {
+      store.replaceTransfers([
+        transfer(0, ZERO, address(2), 100),
+        transfer(1, ZERO, address(3), 100),
+        transfer(2, address(1), address(3), 50),
+      ]);
+    });
+
+    it("leaves negative balances out of holder statistics", async function () {
+      const indexer = new EventIndexer(
+        fakeService({ totalSupply: 250n }),
+        store
+      );
+
+      const distribution = await indexer.getDistribution();
+
+      expect(distribution.holderCount).to.equal(2);
+      expect(distribution.giniCoefficient).to.equal(0.1);
+      expect(
+        distribution.topHolders.holders.map((holder) => holder.address)
+      ).to.deep.equal([address(3), address(2)]);
+    });
+
+    it("reports negative balances under reconciliation", async function () {
+      const indexer = new EventIndexer(
+        fakeService({ totalSupply: 250n }),
+        store
+      );
+
+      const { reconciliation } = await indexer.getDistribution();
+
+      expect(reconciliation.indexedTotalSupply.wei).to.equal("200");
+      expect(reconciliation.difference.wei).to.equal("50");
+      expect(reconciliation.negativeBalances).to.deep.equal({
+        count: 1,
+        total: { wei: "-50", formatted: ethers.formatEther(-50n) },
+        holders: [
+          {
+            address: address(1),
+            balance: { wei: "-50", formatted: ethers.formatEther(-50n) },
+          },
+        ],
+      });
+    });
+  });
+
+  describe("sync", function () {
+    it("rolls back events, transfers and balances replaced by a reorg", async function () {
+      const chain = stubChain(10);
+      chain.transfer(3, ZERO, address(1), 100n);
+      chain.transfer(8, address(1), address(2), 40n);
+      const indexer = new EventIndexer(
+        fakeService({ provider: chain.provider }),
+        store,
+        { startBlock: 1 }
+      );
+      const reorgs = [];
+      indexer.on("reorg", (reorg) => reorgs.push(reorg));
+
+      await indexer.sync();
+      expect(store.getBalance(address(2))).to.equal(40n);
+      const { last } = store.getChangeRange();
+
+      chain.reorg(7);
+      await indexer.sync();
+
+      expect(reorgs).to.have.lengthOf(1);
+      expect(reorgs[0]).to.include({ fromBlock: 4, toBlock: 10 });
+      expect(store.countEvents()).to.equal(1);
+      expect(store.getTransfers(address(2))).to.be.empty;
+      expect(store.getBalance(address(1))).to.equal(100n);
+      expect(store.getBalance(address(2))).to.equal(0n);
+      expect(store.getCheckpoint().number).to.equal(10);
+
+      const changes = store.getChanges(last);
+      expect(changes.map((change) => change.type)).to.deep.equal(["removed"]);
+      expect(changes[0].event).to.include({ name: "Transfer", blockNumber: 8 });
+    });
+
+    it("halves the range when the node refuses it", async function () {
+      const chain = stubChain(20);
+      chain.maxRange = 5;
+      chain.transfer(2, ZERO, address(1), 1n);
+      chain.transfer(19, ZERO, address(2), 2n);
+      const indexer = new EventIndexer(
+        fakeService({ provider: chain.provider }),
+        store,
+        { startBlock: 1, chunkSize: 20 }
+      );
+
+      await indexer.sync();
+
+      expect(indexer.chunkSize).to.equal(5);
+      expect(chain.ranges.slice(0, 3)).to.deep.equal([
+        [1, 20],
+        [1, 10],
+        [1, 5],
+      ]);
+      expect(store.countEvents()).to.equal(2);
+      expect(store.getCheckpoint().number).to.equal(20);
+    });
+  });
+});
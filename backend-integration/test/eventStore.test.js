@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { EventStore } = require("../src/indexer");
+
+const ZERO = "0x0000000000000000000000000000000000000000";
+const address = (n) => `0x${String(n).padStart(40, "0")}`;
+
+function transfer(logIndex, from, to, value) {
+  return {
+    blockNumber: 100,
+    logIndex,
+    transactionHash: `0x${String(logIndex).padStart(64, "0")}`,
+    timestamp: null,
+    from,
+    to,
+    value: String(value),
+    kind: from === ZERO ? "mint" : "transfer",
+  };
+}
+
+describe("EventStore", function () {
+  let store;
+
+  // Indexing started after deployment, so address(1) and address(4) appear
+  // to send tokens they never received
+  beforeEach(function () {
+    store = new EventStore(":memory:");
+    store.replaceTransfers([
+      transfer(0, address(1), address(2), 5),
+      transfer(1, ZERO, address(3), 100),
+      transfer(2, address(4), address(5), 1000),
+    ]);
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  it("keeps negative balances", function () {
+    expect(store.getBalance(address(1))).to.equal(-5n);
+    expect(store.getBalance(address(4))).to.equal(-1000n);
+  });
+
+  it("leaves negative balances out of holders", function () {
+    expect(store.getAllBalances()).to.deep.equal([5n, 100n, 1000n]);
+    expect(
+      store.getHolders({ order: "asc" }).map((holder) => holder.balance)
+    ).to.deep.equal(["5", "100", "1000"]);
+    expect(store.countHolders()).to.equal(3);
+  });
+
+  it("lists negative balances separately, most negative first", function () {
+    expect(store.getNegativeBalances()).to.deep.equal([
+      { address: address(4), balance: "-1000" },
+      { address: address(1), balance: "-5" },
+    ]);
+  });
+
+  it("pages through holders with a cursor", function () {
+    const page = store.getHolders({
+      order: "asc",
+      after: { balance: "5", address: address(2) },
+      limit: 2,
+    });
+
+    expect(page).to.deep.equal([
+      { address: address(3), balance: "100" },
+      { address: address(5), balance: "1000" },
+    ]);
+  });
+});
@@ -0,0 +1,335 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { expect } = require("chai");
+const { FailoverProvider } = require("../src/rpc");
+const { rejection } = require("./helpers");
+
+const NETWORK = { name: "localhost", chainId: 31337 };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * JSON-RPC server answering eth_chainId and the methods in `node.methods`
+ * ({ method: (params) => { result } | { error } }, possibly async). Set
+ * `node.status` to answer every request with that HTTP status instead.
+ */
+async function stubNode({ chainId = NETWORK.chainId, methods = {} } = {}) {
+  const node = { chainId, methods, status: 200, calls: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", async () => {
+      const payload = JSON.parse(body);
+      const requests = Array.isArray(payload) ? payload : [payload];
+      node.calls.push(...requests.map((request) => request.method));
+
+      if (node.status !== 200) {
+        res.writeHead(node.status);
+        return res.end("unavailable");
+      }
+      const responses = await Promise.all(
+        requests.map(async ({ id, method, params }) => {
+          const handler =
+            method === "eth_chainId"
+              ? () => ({ result: ethers.toQuantity(node.chainId) })
+              : node.methods[method];
+          const outcome = handler
+            ? await handler(params)
+            : { error: { code: -32601, message: "method not found" } };
+          return { id, jsonrpc: "2.0", ...outcome };
+        })
+      );
+      if (!res.destroyed) {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(
+          JSON.stringify(Array.isArray(payload) ? responses : responses[0])
+        );
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  node.url = `http://127.0.0.1:${server.address().port}`;
+  node.close = () => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+  return node;
+}
+
+const blockNumber = (number) => () => ({ result: ethers.toQuantity(number) });
+
+describe("FailoverProvider", function () {
+  let nodes;
+  let provider;
+
+  async function start(count, options = {}) {
+    nodes = [];
+    for (let i = 0; i < count; i++) {
+      nodes.push(
+        await stubNode({ methods: { eth_blockNumber: blockNumber(i + 1) } })
+      );
+    }
+    provider = new FailoverProvider(
+      nodes.map((node) => node.url),
+      NETWORK,
+      { timeout: 300, retries: 0, ...options }
+    );
+  }
+
+  afterEach(async function () {
+    provider?.destroy();
+    await Promise.all((nodes || []).map((node) => node.close()));
+    provider = null;
+    nodes = null;
+  });
+
+  const health = () => provider.getHealth().map((endpoint) => endpoint.status);
+
+  describe("failover", function () {
+    it("moves on from an endpoint answering HTTP 5xx", async function () {
+      await start(2);
+      nodes[0].status = 503;
+
+      const result = await provider.send("eth_blockNumber", []);
+
+      expect(result).to.equal("0x2");
+      const [first] = provider.getHealth();
+      expect(first.errors).to.equal(1);
+      expect(first.lastError).to.match(/503/);
+    });
+
+    it("moves on from an endpoint that times out", async function () {
+      await start(2);
+      nodes[0].methods.eth_blockNumber = async () => {
+        await sleep(1000);
+        return { result: "0x1" };
+      };
+
+      const result = await provider.send("eth_blockNumber", []);
+
+      expect(result).to.equal("0x2");
+      expect(provider.getHealth()[0].lastError).to.match(/timeout/i);
+    });
+
+    it("moves on from transient JSON-RPC errors", async function () {
+      await start(2);
+      nodes[0].methods.eth_blockNumber = () => ({
+        error: { code: -32005, message: "rate limit exceeded" },
+      });
+
+      expect(await provider.send("eth_blockNumber", [])).to.equal("0x2");
+    });
+
+    it("does not move on from reverts", async function () {
+      await start(2);
+      nodes[0].methods.eth_call = () => ({
+        error: { code: 3, message: "execution reverted", data: "0x" },
+      });
+      nodes[1].methods.eth_call = () => ({ result: "0x01" });
+
+      // Another node would give the same answer
+      const error = await rejection(
+        provider.send("eth_call", [{ to: ethers.ZeroAddress }, "latest"])
+      );
+
+      expect(error.message).to.match(/revert/);
+      expect(nodes[1].calls).to.not.include("eth_call");
+    });
+
+    it("fails when every endpoint fails", async function () {
+      await start(2);
+      nodes[0].status = 500;
+      nodes[1].status = 502;
+
+      const error = await rejection(provider.send("eth_blockNumber", []));
+
+      expect(error.message).to.match(/502/);
+    });
+  });
+
+  describe("health", function () {
+    it("benches an endpoint after failureThreshold failures in a row", async function () {
+      await start(2, { failureThreshold: 2, cooldown: 60000 });
+      nodes[0].status = 500;
+      nodes[1].status = 500;
+
+      await rejection(provider.send("eth_blockNumber", []));
+      expect(health()).to.deep.equal(["healthy", "healthy"]);
+      await rejection(provider.send("eth_blockNumber", []));
+      expect(health()).to.deep.equal(["benched", "benched"]);
+
+      const benchedUntil = Date.parse(provider.getHealth()[0].benchedUntil);
+      expect(benchedUntil - Date.now()).to.be.within(55000, 60000);
+    });
+
+    it("still uses benched endpoints when nothing else is left", async function () {
+      await start(2, { failureThreshold: 1 });
+      nodes[0].status = 500;
+      nodes[1].status = 500;
+      await rejection(provider.send("eth_blockNumber", []));
+
+      nodes[1].status = 200;
+      const result = await provider.send("eth_blockNumber", []);
+
+      expect(result).to.equal("0x2");
+      expect(health()).to.deep.equal(["benched", "healthy"]);
+    });
+
+    it("disables an endpoint on the wrong chain", async function () {
+      const errors = [];
+      await start(2, {
+        logger: { warn() {}, error: (message) => errors.push(message) },
+      });
+      nodes[0].chainId = 1;
+
+      const result = await provider.send("eth_blockNumber", []);
+      await provider.send("eth_blockNumber", []);
+
+      expect(result).to.equal("0x2");
+      expect(health()).to.deep.equal(["disabled", "healthy"]);
+      expect(provider.getHealth()[0].lastError).to.equal(
+        "Endpoint is on chain 1, expected 31337"
+      );
+      expect(nodes[0].calls).to.deep.equal(["eth_chainId"]);
+      expect(errors).to.deep.equal([
+        `RPC ${nodes[0].url}: Endpoint is on chain 1, expected 31337; not used`,
+      ]);
+    });
+
+    it("reports the chain id of every endpoint", async function () {
+      await start(2);
+      nodes[1].status = 500;
+
+      const results = await provider.checkEndpoints();
+
+      expect(results.map((result) => result.chainId)).to.deep.equal([
+        31337,
+        null,
+      ]);
+      expect(results[1].error).to.match(/500/);
+    });
+  });
+
+  describe("quorumSend", function () {
+    it("returns the result the endpoints agree on", async function () {
+      await start(3, { quorum: 2 });
+      for (const node of nodes) {
+        node.methods.eth_getBalance = () => ({ result: "0x64" });
+      }
+
+      const outcome = await provider.quorumSend("eth_getBalance", [
+        ethers.ZeroAddress,
+        "0x10",
+      ]);
+
+      expect(outcome).to.include({
+        result: "0x64",
+        required: 2,
+        agreeing: 3,
+        responded: 3,
+        disagreement: false,
+      });
+    });
+
+    it("accepts a quorum despite one dissenting endpoint", async function () {
+      await start(3, { quorum: 2 });
+      nodes[0].methods.eth_getBalance = () => ({ result: "0x1" });
+      nodes[1].methods.eth_getBalance = () => ({ result: "0x64" });
+      nodes[2].methods.eth_getBalance = () => ({ result: "0x64" });
+
+      const outcome = await provider.quorumSend("eth_getBalance", [
+        ethers.ZeroAddress,
+        "0x10",
+      ]);
+
+      expect(outcome).to.include({
+        result: "0x64",
+        agreeing: 2,
+        disagreement: true,
+      });
+    });
+
+    it("fails with RPC_QUORUM_FAILED when too few endpoints agree", async function () {
+      await start(3, { quorum: 2 });
+      nodes.forEach((node, i) => {
+        node.methods.eth_getBalance = () => ({ result: ethers.toQuantity(i) });
+      });
+
+      const error = await rejection(
+        provider.quorumSend("eth_getBalance", [ethers.ZeroAddress, "0x10"])
+      );
+
+      expect(error.status).to.equal(502);
+      expect(error.code).to.equal("RPC_QUORUM_FAILED");
+      expect(error.details).to.include({
+        required: 2,
+        agreeing: 1,
+        responded: 3,
+        disagreement: true,
+      });
+    });
+
+    it("counts unreachable endpoints against the quorum", async function () {
+      await start(2);
+      nodes[0].methods.eth_getBalance = () => ({ result: "0x64" });
+      nodes[1].status = 500;
+
+      const error = await rejection(
+        provider.quorumSend("eth_getBalance", [ethers.ZeroAddress, "0x10"])
+      );
+
+      expect(error.code).to.equal("RPC_QUORUM_FAILED");
+      expect(error.details.responses[1].error).to.match(/500/);
+    });
+  });
+
+  describe("eth_sendRawTransaction", function () {
+    const wallet = ethers.Wallet.createRandom();
+    let raw;
+
+    before(async function () {
+      raw = await wallet.signTransaction({
+        to: ethers.ZeroAddress,
+        value: 1n,
+        nonce: 0,
+        gasLimit: 21000n,
+        maxFeePerGas: 10n ** 9n,
+        maxPriorityFeePerGas: 10n ** 9n,
+        chainId: NETWORK.chainId,
+      });
+    });
+
+    it("takes 'already known' on a re-sent transaction as accepted", async function () {
+      await start(2);
+      // The first endpoint receives the transaction but answers too late
+      nodes[0].methods.eth_sendRawTransaction = async () => {
+        await sleep(1000);
+        return { result: ethers.keccak256(raw) };
+      };
+      nodes[1].methods.eth_sendRawTransaction = () => ({
+        error: { code: -32000, message: "already known" },
+      });
+
+      const hash = await provider.send("eth_sendRawTransaction", [raw]);
+
+      expect(hash).to.equal(ethers.keccak256(raw));
+      expect(health()).to.deep.equal(["healthy", "healthy"]);
+      expect(provider.getHealth()[1].errors).to.equal(0);
+    });
+
+    it("passes other rejections through", async function () {
+      await start(1);
+      nodes[0].methods.eth_sendRawTransaction = () => ({
+        error: { code: -32000, message: "nonce too low" },
+      });
+
+      const error = await rejection(
+        provider.send("eth_sendRawTransaction", [raw])
+      );
+
+      expect(error.message).to.match(/nonce too low/);
+    });
+  });
+});
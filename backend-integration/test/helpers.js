@@ -0,0 +1,41 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Error a promise rejects with; fails the test if it resolves
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the promise to reject");
+}
+
+/**
+ * Fresh temporary directory, removed by the returned cleanup function
+ */
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "simbank-test-"));
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * Clock for the `now` options, moved only by advance(ms)
+ */
+function fakeClock(start = Date.UTC(2026, 0, 1, 12)) {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+}
+
+module.exports = { rejection, tempDir, fakeClock };
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { IdempotencyStore, idempotent } = require("../src/idempotency");
+
+const caller = { type: "apiKey", id: "1f2e3d4c5b6a7980" };
+
+function request(body, key = "mint-42") {
+  const headers = { "idempotency-key": key };
+  return {
+    method: "POST",
+    originalUrl: "/api/mint",
+    body,
+    auth: caller,
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+function response() {
+  const headers = {};
+  const res = {
+    statusCode: 200,
+    headers,
+    sent: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      headers[name] = value;
+      return res;
+    },
+    get: (name) => headers[name],
+    location(url) {
+      headers.Location = url;
+      return res;
+    },
+    json(body) {
+      res.sent = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+describe("idempotent", function () {
+  let store;
+  let middleware;
+  let runs;
+
+  beforeEach(function () {
+    store = new IdempotencyStore(":memory:");
+    middleware = idempotent(store);
+    runs = 0;
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  /**
+   * Pass a request through the middleware to a route that submits a job,
+   * unless `respond` is false (the route is still running)
+   * @returns {object} { res, error } - error is what the middleware threw
+   */
+  function send(body, { key, status = 202, respond = true } = {}) {
+    const req = request(body, key);
+    const res = response();
+    try {
+      middleware(req, res, () => {
+        runs++;
+        if (respond) {
+          res
+            .status(status)
+            .location(`/api/jobs/job-${runs}`)
+            .json({ success: status < 400, data: { id: `job-${runs}` } });
+        }
+      });
+    } catch (error) {
+      return { res, error };
+    }
+    return { res, error: null };
+  }
+
+  it("replays the stored response to a repeated request", function () {
+    const first = send({ to: "0x01", amount: "1" });
+    const second = send({ amount: "1", to: "0x01" });
+
+    expect(runs).to.equal(1);
+    expect(second.res.statusCode).to.equal(202);
+    expect(second.res.sent).to.deep.equal(first.res.sent);
+    expect(second.res.headers).to.include({
+      "Idempotent-Replayed": "true",
+      Location: "/api/jobs/job-1",
+    });
+  });
+
+  it("refuses the key for a request with a different body", function () {
+    send({ to: "0x01", amount: "1" });
+    const { error } = send({ to: "0x01", amount: "2" });
+
+    expect(error.status).to.equal(422);
+    expect(error.code).to.equal("IDEMPOTENCY_KEY_REUSED");
+    expect(error.details).to.deep.equal({ method: "POST", path: "/api/mint" });
+    expect(runs).to.equal(1);
+  });
+
+  it("refuses a repeat while the first request is still processing", function () {
+    send({ amount: "1" }, { respond: false });
+    const { error } = send({ amount: "1" });
+
+    expect(error.status).to.equal(409);
+    expect(error.code).to.equal("IDEMPOTENCY_KEY_IN_USE");
+    expect(error.details.retryAfter).to.equal(1);
+    expect(runs).to.equal(1);
+  });
+
+  it("replays the interrupted error to a request cut short by a restart", function () {
+    send({ amount: "1" }, { respond: false });
+    const interrupted = { success: false, code: "REQUEST_INTERRUPTED" };
+
+    expect(
+      store.interruptProcessing({ status: 500, body: interrupted })
+    ).to.equal(1);
+    const { res } = send({ amount: "1" });
+
+    expect(runs).to.equal(1);
+    expect(res.statusCode).to.equal(500);
+    expect(res.sent).to.deep.equal(interrupted);
+  });
+
+  it("releases the key when the response says to retry", function () {
+    send({ amount: "1" }, { status: 503 });
+    const { res } = send({ amount: "1" });
+
+    expect(runs).to.equal(2);
+    expect(res.statusCode).to.equal(202);
+    expect(res.headers).to.not.have.property("Idempotent-Replayed");
+  });
+
+  it("keeps keys of different clients apart", function () {
+    send({ amount: "1" });
+    const req = request({ amount: "1" });
+    req.auth = { type: "apiKey", id: "0000000000000000" };
+    middleware(req, response(), () => runs++);
+
+    expect(runs).to.equal(2);
+  });
+
+  it("passes requests without a key straight through", function () {
+    const req = request({ amount: "1" });
+    req.get = () => undefined;
+    middleware(req, response(), () => runs++);
+    middleware(req, response(), () => runs++);
+
+    expect(runs).to.equal(2);
+  });
+});
@@ -0,0 +1,197 @@
+const EventEmitter = require("events");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { JobManager, MemoryJobStore } = require("../src/jobs");
+const { GasBudget, MemoryStore } = require("../src/rateLimit");
+const { rejection } = require("./helpers");
+
+// Lets background tracking run
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+// Every transaction may cost up to 100000 gas at 10 gwei (0.001 ether)
+const REQUEST = { gasLimit: 100000n, maxFeePerGas: 10n ** 10n };
+
+function fakeService({ waitForReceipt }) {
+  let nonce = 0;
+  return {
+    submitOperation: async (operation, params, options = {}) => {
+      await options.beforeBroadcast?.(REQUEST);
+      return {
+        hash: `0x${String(nonce).padStart(64, "0")}`,
+        nonce: nonce++,
+      };
+    },
+    waitForReceipt,
+    formatOperationResult: () => ({}),
+    getExplorerUrl: (hash) => `https://explorer.example/tx/${hash}`,
+  };
+}
+
+describe("JobManager", function () {
+  let errors;
+  const logger = {
+    warn() {},
+    error: (...args) => errors.push(args.join(" ")),
+  };
+
+  beforeEach(function () {
+    errors = [];
+  });
+
+  it("tracks a job until it is confirmed", async function () {
+    const service = fakeService({
+      waitForReceipt: async (tx) => ({
+        hash: tx.hash,
+        blockNumber: 12,
+        fee: 0n,
+      }),
+    });
+    const jobs = new JobManager(service, new MemoryJobStore(), {
+      confirmations: 1,
+      logger,
+    });
+
+    const job = await jobs.submit("pause", {});
+    expect(job.status).to.equal("submitted");
+    await settle();
+
+    expect(await jobs.get(job.id)).to.include({
+      status: "confirmed",
+      blockNumber: 12,
+    });
+  });
+
+  it("marks a job failed when its transaction fails", async function () {
+    const service = fakeService({
+      waitForReceipt: async () => {
+        throw new Error("Transaction reverted");
+      },
+    });
+    const jobs = new JobManager(service, new MemoryJobStore(), { logger });
+
+    const job = await jobs.submit("pause", {});
+    await settle();
+
+    expect((await jobs.get(job.id)).status).to.equal("failed");
+    expect(errors).to.be.empty;
+  });
+
+  it("logs instead of rejecting when the store fails during tracking", async function () {
+    const store = new MemoryJobStore();
+    const service = fakeService({
+      waitForReceipt: async (tx) => ({ hash: tx.hash, blockNumber: 12 }),
+    });
+    const jobs = new JobManager(service, store, { logger });
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on("unhandledRejection", onUnhandled);
+
+    try {
+      const job = await jobs.submit("pause", {});
+      store.update = async () => {
+        throw new Error("SQLITE_BUSY: database is locked");
+      };
+      await settle();
+
+      expect(unhandled).to.be.empty;
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.include(job.id).and.include("SQLITE_BUSY");
+    } finally {
+      process.off("unhandledRejection", onUnhandled);
+    }
+  });
+
+  describe("gas budget", function () {
+    let gasBudget;
+
+    beforeEach(function () {
+      gasBudget = new GasBudget(new MemoryStore(), {
+        maxPerHour: ethers.parseEther("0.0025"),
+      });
+    });
+
+    it("refuses a burst of pending transactions that could overshoot the budget", async function () {
+      // Nothing is mined
+      const service = fakeService({
+        waitForReceipt: () => new Promise(() => {}),
+      });
+      const jobs = new JobManager(service, new MemoryJobStore(), {
+        gasBudget,
+        logger,
+      });
+
+      await jobs.submit("pause", {});
+      await jobs.submit("pause", {});
+      const error = await rejection(jobs.submit("pause", {}));
+
+      expect(error.code).to.equal("GAS_BUDGET_EXCEEDED");
+      expect((await jobs.get(error.jobId)).status).to.equal("failed");
+      expect(await gasBudget.getStatus()).to.include({ reserved: "0.002" });
+    });
+
+    it("settles the reservation with the fee from the receipt", async function () {
+      const service = fakeService({
+        waitForReceipt: async (tx) => ({
+          hash: tx.hash,
+          blockNumber: 12,
+          fee: ethers.parseEther("0.0004"),
+        }),
+      });
+      const jobs = new JobManager(service, new MemoryJobStore(), {
+        confirmations: 1,
+        gasBudget,
+        logger,
+      });
+
+      await jobs.submit("pause", {});
+      await settle();
+
+      expect(await gasBudget.getStatus()).to.include({
+        spent: "0.0004",
+        reserved: "0.0",
+      });
+    });
+
+    it("grows the reservation when the transaction's fee is bumped", async function () {
+      const service = fakeService({
+        waitForReceipt: () => new Promise(() => {}),
+      });
+      service.txMonitor = new EventEmitter();
+      const jobs = new JobManager(service, new MemoryJobStore(), {
+        gasBudget,
+        logger,
+      });
+
+      const job = await jobs.submit("pause", {});
+      service.txMonitor.emit("replaced", {
+        previousHash: job.transactionHash,
+        hash: `0x${"f".repeat(64)}`,
+        fees: { maxFeePerGas: String(15n * 10n ** 9n) },
+      });
+      await settle();
+
+      expect(await gasBudget.getStatus()).to.include({ reserved: "0.0015" });
+      expect(errors).to.be.empty;
+    });
+
+    it("releases the reservation of a transaction that never mined", async function () {
+      const service = fakeService({
+        waitForReceipt: async () => {
+          throw new Error("Transaction dropped");
+        },
+      });
+      const jobs = new JobManager(service, new MemoryJobStore(), {
+        gasBudget,
+        logger,
+      });
+
+      await jobs.submit("pause", {});
+      await settle();
+
+      expect(await gasBudget.getStatus()).to.include({
+        spent: "0.0",
+        reserved: "0.0",
+      });
+    });
+  });
+});
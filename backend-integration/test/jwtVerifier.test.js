@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const JwtVerifier = require("../src/auth/jwtVerifier");
+const { rejection, tempDir } = require("./helpers");
+
+const AUDIENCE = "simbank-api";
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+function keyPair(type, options, kid, alg) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  return {
+    privateKey,
+    jwk: { ...publicKey.export({ format: "jwk" }), kid, alg, use: "sig" },
+  };
+}
+
+function sign(privateKey, header, claims) {
+  const input = `${encode({ typ: "JWT", ...header })}.${encode(claims)}`;
+  const signature = crypto.sign(
+    "sha256",
+    Buffer.from(input),
+    header.alg === "ES256"
+      ? { key: privateKey, dsaEncoding: "ieee-p1363" }
+      : privateKey
+  );
+  return `${input}.${signature.toString("base64url")}`;
+}
+
+const claims = (extra = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    sub: "client-1",
+    aud: AUDIENCE,
+    scope: "read mint",
+    iat: now,
+    exp: now + 300,
+    ...extra,
+  };
+};
+
+describe("JwtVerifier", function () {
+  let rsa;
+  let ec;
+  let ecP384;
+  let verifier;
+  let tmp;
+
+  before(function () {
+    rsa = keyPair("rsa", { modulusLength: 2048 }, "rsa-1", "RS256");
+    ec = keyPair("ec", { namedCurve: "P-256" }, "ec-1", "ES256");
+    // Declares no alg, so only the curve tells it apart from a P-256 key
+    ecP384 = keyPair("ec", { namedCurve: "P-384" }, "ec-384");
+    delete ecP384.jwk.alg;
+
+    tmp = tempDir();
+    const jwksFile = path.join(tmp.dir, "jwks.json");
+    fs.writeFileSync(
+      jwksFile,
+      JSON.stringify({ keys: [rsa.jwk, ec.jwk, ecP384.jwk] })
+    );
+    verifier = new JwtVerifier({ jwksFile, audience: AUDIENCE });
+  });
+
+  after(function () {
+    tmp.cleanup();
+  });
+
+  it("accepts a valid RS256 token and maps its scopes", async function () {
+    const token = sign(
+      rsa.privateKey,
+      { alg: "RS256", kid: "rsa-1" },
+      claims()
+    );
+    const caller = await verifier.authenticate(token);
+
+    expect(caller.type).to.equal("jwt");
+    expect(caller.id).to.equal("client-1");
+    expect(caller.scopes).to.have.members(["read", "mint"]);
+  });
+
+  it("accepts a valid ES256 token", async function () {
+    const token = sign(ec.privateKey, { alg: "ES256", kid: "ec-1" }, claims());
+    const caller = await verifier.authenticate(token);
+
+    expect(caller.scopes).to.have.members(["read", "mint"]);
+  });
+
+  it("rejects an expired token with 401", async function () {
+    const now = Math.floor(Date.now() / 1000);
+    const token = sign(
+      rsa.privateKey,
+      { alg: "RS256", kid: "rsa-1" },
+      claims({ exp: now - 3600 })
+    );
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/expired/);
+  });
+
+  it("rejects a token for another audience with 401", async function () {
+    const token = sign(
+      rsa.privateKey,
+      { alg: "RS256", kid: "rsa-1" },
+      claims({ aud: "another-api" })
+    );
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/audience/);
+  });
+
+  it("rejects a token without a subject with 401", async function () {
+    const token = sign(
+      rsa.privateKey,
+      { alg: "RS256", kid: "rsa-1" },
+      claims({ sub: undefined })
+    );
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/subject/);
+  });
+
+  it("identifies a client credentials token by its client_id", async function () {
+    const token = sign(
+      rsa.privateKey,
+      { alg: "RS256", kid: "rsa-1" },
+      claims({ sub: undefined, client_id: "treasury-bot" })
+    );
+    const caller = await verifier.authenticate(token);
+
+    expect(caller.id).to.equal("treasury-bot");
+    expect(caller.name).to.equal("treasury-bot");
+  });
+
+  it("rejects a token signed with an unknown kid", async function () {
+    const stranger = keyPair("rsa", { modulusLength: 2048 }, "other", "RS256");
+    const token = sign(
+      stranger.privateKey,
+      { alg: "RS256", kid: "other" },
+      claims()
+    );
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/unknown key/);
+  });
+
+  it("rejects a token with a bad signature", async function () {
+    const token = sign(ec.privateKey, { alg: "RS256", kid: "rsa-1" }, claims());
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+  });
+
+  it("rejects an alg that does not match the key type", async function () {
+    const token = sign(ec.privateKey, { alg: "ES256", kid: "rsa-1" }, claims());
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/does not match its signing key/);
+  });
+
+  it("rejects ES256 with a key on another curve", async function () {
+    const token = sign(
+      ecP384.privateKey,
+      { alg: "ES256", kid: "ec-384" },
+      claims()
+    );
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/does not match its signing key/);
+  });
+
+  it("rejects unsupported algorithms", async function () {
+    const token = `${encode({ alg: "none" })}.${encode(claims())}.`;
+    const error = await rejection(verifier.authenticate(token));
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/Unsupported algorithm/);
+  });
+
+  it("keeps its keys and logs when a refresh fails", async function () {
+    const jwksFile = path.join(tmp.dir, "refreshed.json");
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [rsa.jwk] }));
+    const errors = [];
+    const refreshing = new JwtVerifier({
+      jwksFile,
+      audience: AUDIENCE,
+      cacheTtl: 0,
+      logger: { warn() {}, error: (...args) => errors.push(args.join(" ")) },
+    });
+    const token = sign(
+      rsa.privateKey,
+      { alg: "RS256", kid: "rsa-1" },
+      claims()
+    );
+    await refreshing.authenticate(token);
+
+    fs.writeFileSync(jwksFile, "<html>Bad gateway</html>");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const caller = await refreshing.authenticate(token);
+
+    expect(caller.id).to.equal("client-1");
+    expect(errors).to.have.lengthOf(1);
+    expect(errors[0]).to.match(/Failed to refresh JWKS/);
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ApiKeyManager, ApiKeyStore } = require("../src/auth");
+const { ProposalManager, ProposalStore } = require("../src/proposals");
+const { rejection } = require("./helpers");
+
+describe("ProposalManager", function () {
+  let apiKeys;
+  let proposals;
+  let submitted;
+
+  // Caller as the auth middleware would see it
+  const login = (key) => apiKeys.authenticate(key.key);
+
+  beforeEach(function () {
+    apiKeys = new ApiKeyManager(new ApiKeyStore(":memory:"), {
+      bootstrapKey: "bootstrap-secret",
+    });
+    submitted = [];
+    const jobManager = {
+      submit: async (operation, params) => {
+        submitted.push({ operation, params });
+        return { id: `job-${submitted.length}` };
+      },
+    };
+    proposals = new ProposalManager(
+      new ProposalStore(":memory:"),
+      new Map([["localhost", jobManager]])
+    );
+  });
+
+  function createKey(name, createdBy) {
+    return apiKeys.create({ name, scopes: ["admin"], createdBy });
+  }
+
+  function propose(caller) {
+    return proposals.propose("pause", {}, caller);
+  }
+
+  it("executes a proposal approved by another caller", async function () {
+    const bootstrap = apiKeys.authenticate("bootstrap-secret");
+    const alice = login(createKey("alice", bootstrap));
+    const bob = login(createKey("bob", bootstrap));
+
+    const proposal = propose(alice);
+    const approved = await proposals.approve(proposal.id, bob);
+
+    expect(approved.status).to.equal("executed");
+    expect(submitted).to.deep.equal([{ operation: "pause", params: {} }]);
+  });
+
+  it("rejects approval by the proposer", async function () {
+    const alice = login(createKey("alice"));
+
+    const error = await rejection(proposals.approve(propose(alice).id, alice));
+
+    expect(error.code).to.equal("SELF_APPROVAL");
+  });
+
+  it("rejects approval through a key the proposer minted", async function () {
+    const alice = login(createKey("alice"));
+    const minted = login(createKey("alice-2", alice));
+
+    const error = await rejection(proposals.approve(propose(alice).id, minted));
+
+    expect(error.code).to.equal("SELF_APPROVAL");
+    expect(submitted).to.be.empty;
+  });
+
+  it("rejects approval through a key minted by a minted key", async function () {
+    const alice = login(createKey("alice"));
+    const minted = login(createKey("alice-2", alice));
+    const grandchild = login(createKey("alice-3", minted));
+
+    const error = await rejection(
+      proposals.approve(propose(alice).id, grandchild)
+    );
+
+    expect(error.code).to.equal("SELF_APPROVAL");
+  });
+
+  it("rejects approval through the proposer's rotated key", async function () {
+    const key = createKey("alice");
+    const alice = login(key);
+    const proposal = propose(alice);
+    const rotated = login(
+      apiKeys.rotate(key.id, { gracePeriod: 60, rotatedBy: alice })
+    );
+
+    const error = await rejection(proposals.approve(proposal.id, rotated));
+
+    expect(error.code).to.equal("SELF_APPROVAL");
+  });
+
+  it("rejects approval by whoever minted the proposer's key", async function () {
+    const alice = login(createKey("alice"));
+    const minted = login(createKey("alice-2", alice));
+
+    const error = await rejection(proposals.approve(propose(minted).id, alice));
+
+    expect(error.code).to.equal("SELF_APPROVAL");
+  });
+
+  it("counts a key and the key it minted as one approver", async function () {
+    proposals.requiredApprovals = 2;
+    const alice = login(createKey("alice"));
+    const bob = login(createKey("bob"));
+    const bobsOther = login(createKey("bob-2", bob));
+
+    const proposal = propose(alice);
+    await proposals.approve(proposal.id, bob);
+    const error = await rejection(proposals.approve(proposal.id, bobsOther));
+
+    expect(error.code).to.equal("ALREADY_APPROVED");
+    expect(submitted).to.be.empty;
+  });
+});
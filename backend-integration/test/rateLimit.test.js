@@ -0,0 +1,243 @@
+const { ethers } = require("ethers");
+const { expect } = require("chai");
+const {
+  MemoryStore,
+  RateLimiter,
+  GasBudget,
+  rateLimit,
+} = require("../src/rateLimit");
+const { rejection, fakeClock } = require("./helpers");
+
+describe("RateLimiter", function () {
+  let clock;
+  let limiter;
+
+  beforeEach(function () {
+    clock = fakeClock();
+    limiter = new RateLimiter(new MemoryStore({ now: clock.now }), {
+      budgets: {
+        read: { limit: 3, window: 60 },
+        write: { limit: 1, window: 60 },
+        ip: { limit: 2, window: 60 },
+      },
+      now: clock.now,
+    });
+  });
+
+  it("counts requests down to the limit", async function () {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push(await limiter.consume("read", "ip:10.0.0.1"));
+    }
+
+    expect(statuses.map((status) => status.remaining)).to.deep.equal([2, 1, 0]);
+  });
+
+  it("refuses requests over the limit with the seconds until reset", async function () {
+    for (let i = 0; i < 3; i++) {
+      await limiter.consume("read", "ip:10.0.0.1");
+    }
+    clock.advance(45000);
+
+    const error = await rejection(limiter.consume("read", "ip:10.0.0.1"));
+
+    expect(error.status).to.equal(429);
+    expect(error.code).to.equal("RATE_LIMITED");
+    expect(error.details.retryAfter).to.equal(15);
+    expect(error.details.remaining).to.equal(0);
+  });
+
+  it("starts a fresh budget when the window resets", async function () {
+    await limiter.consume("write", "ip:10.0.0.1");
+    await rejection(limiter.consume("write", "ip:10.0.0.1"));
+
+    clock.advance(60000);
+    const status = await limiter.consume("write", "ip:10.0.0.1");
+
+    expect(status.remaining).to.equal(0);
+    expect(status.retryAfter).to.equal(60);
+  });
+
+  it("keeps separate budgets per client and per budget", async function () {
+    await limiter.consume("write", "ip:10.0.0.1");
+
+    await limiter.consume("write", "ip:10.0.0.2");
+    const read = await limiter.consume("read", "ip:10.0.0.1");
+
+    expect(read.remaining).to.equal(2);
+  });
+
+  it("reports budgets without counting a request", async function () {
+    await limiter.consume("read", "ip:10.0.0.1");
+    clock.advance(20000);
+
+    const status = await limiter.getStatus("ip:10.0.0.1");
+
+    expect(status.read).to.include({ remaining: 2, retryAfter: 40 });
+    expect(status.write).to.include({ remaining: 1, retryAfter: 40 });
+  });
+
+  it("counts every request against one budget by IP before authentication", async function () {
+    const middleware = rateLimit(limiter, { budget: "ip" });
+    const run = (method) =>
+      new Promise((resolve) =>
+        middleware({ method, ip: "10.0.0.1" }, { set() {} }, resolve)
+      );
+
+    expect(await run("GET")).to.equal(undefined);
+    expect(await run("POST")).to.equal(undefined);
+    const error = await run("GET");
+
+    expect(error.code).to.equal("RATE_LIMITED");
+    expect(error.details.budget).to.equal("ip");
+    const status = await limiter.getStatus("ip:10.0.0.1");
+    expect(status.read.remaining).to.equal(3);
+    expect(status.write.remaining).to.equal(1);
+  });
+
+  it("sets RateLimit headers on refused requests", async function () {
+    const middleware = rateLimit(limiter);
+    const headers = {};
+    const req = { method: "POST", ip: "10.0.0.1" };
+    const res = { set: (values) => Object.assign(headers, values) };
+    const run = () =>
+      new Promise((resolve) => middleware(req, res, (error) => resolve(error)));
+
+    expect(await run()).to.equal(undefined);
+    clock.advance(30000);
+    const error = await run();
+
+    expect(error.code).to.equal("RATE_LIMITED");
+    expect(headers).to.deep.equal({
+      "RateLimit-Limit": "1",
+      "RateLimit-Remaining": "0",
+      "RateLimit-Reset": "30",
+    });
+  });
+});
+
+describe("GasBudget", function () {
+  const HOUR = 3600000;
+  let clock;
+  let budget;
+
+  beforeEach(function () {
+    clock = fakeClock();
+    budget = new GasBudget(new MemoryStore({ now: clock.now }), {
+      maxPerHour: ethers.parseEther("0.01"),
+      now: clock.now,
+    });
+  });
+
+  it("allows transactions while the hour's spend is under the limit", async function () {
+    await budget.record(ethers.parseEther("0.004"));
+    await budget.record(ethers.parseEther("0.005"));
+
+    await budget.check();
+    const status = await budget.getStatus();
+
+    expect(status).to.include({
+      spent: "0.009",
+      remaining: "0.001",
+      exceeded: false,
+    });
+  });
+
+  it("refuses transactions once the limit is reached, until the next hour", async function () {
+    await budget.record(ethers.parseEther("0.01"));
+    clock.advance(HOUR / 4);
+
+    const error = await rejection(budget.check());
+
+    expect(error.status).to.equal(429);
+    expect(error.code).to.equal("GAS_BUDGET_EXCEEDED");
+    expect(error.details.retryAfter).to.equal(2700);
+    expect(error.details.resetAt).to.equal("2026-01-01T13:00:00.000Z");
+  });
+
+  it("rolls over to a fresh budget at the top of the hour", async function () {
+    clock.advance(HOUR - 1000);
+    await budget.record(ethers.parseEther("0.02"));
+    await rejection(budget.check());
+
+    clock.advance(1000);
+    await budget.check();
+    const status = await budget.getStatus();
+
+    expect(status).to.include({ spent: "0.0", exceeded: false });
+    expect(status.resetAt).to.equal("2026-01-01T14:00:00.000Z");
+  });
+
+  it("ignores fees below 1 gwei", async function () {
+    await budget.record(999999999n);
+
+    expect((await budget.getStatus()).spent).to.equal("0.0");
+  });
+
+  describe("reservations", function () {
+    it("counts reserved gas against the budget", async function () {
+      await budget.record(ethers.parseEther("0.004"));
+      await budget.reserve(ethers.parseEther("0.005"));
+
+      const status = await budget.getStatus();
+
+      expect(status).to.include({
+        spent: "0.004",
+        reserved: "0.005",
+        remaining: "0.001",
+      });
+    });
+
+    it("refuses a reservation that does not fit in what is left", async function () {
+      await budget.reserve(ethers.parseEther("0.006"));
+
+      const error = await rejection(budget.reserve(ethers.parseEther("0.005")));
+
+      expect(error.status).to.equal(429);
+      expect(error.code).to.equal("GAS_BUDGET_EXCEEDED");
+      expect(error.details).to.include({ reserved: "0.006", retryAfter: 3600 });
+      await budget.reserve(ethers.parseEther("0.004"));
+    });
+
+    it("replaces a reservation with the fee paid when settled", async function () {
+      const reservation = await budget.reserve(ethers.parseEther("0.005"));
+
+      await budget.settle(reservation, ethers.parseEther("0.002"));
+      await budget.settle(reservation, 0n);
+
+      expect(await budget.getStatus()).to.include({
+        spent: "0.002",
+        reserved: "0.0",
+      });
+    });
+
+    it("grows a reservation for a fee bump without refusing it", async function () {
+      const reservation = await budget.reserve(ethers.parseEther("0.008"));
+
+      await budget.extend(reservation, ethers.parseEther("0.004"));
+      expect(await budget.getStatus()).to.include({
+        reserved: "0.012",
+        exceeded: true,
+      });
+
+      await budget.settle(reservation, ethers.parseEther("0.003"));
+      expect(await budget.getStatus()).to.include({
+        spent: "0.003",
+        reserved: "0.0",
+      });
+    });
+
+    it("records the fee in the new hour for a reservation from the last one", async function () {
+      const reservation = await budget.reserve(ethers.parseEther("0.005"));
+      clock.advance(HOUR);
+      await budget.reserve(ethers.parseEther("0.002"));
+
+      await budget.settle(reservation, ethers.parseEther("0.001"));
+
+      expect(await budget.getStatus()).to.include({
+        spent: "0.001",
+        reserved: "0.002",
+      });
+    });
+  });
+});
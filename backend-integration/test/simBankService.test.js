@@ -0,0 +1,122 @@
+const { ethers } = require("ethers");
+const { expect } = require("chai");
+const SimBankService = require("../src/simBankService");
+
+const { transferFee, grossUpAmount } = SimBankService;
+
+const netOf = (gross, basisPoints) => gross - transferFee(gross, basisPoints);
+
+describe("SimBankService", function () {
+  describe("transferFee", function () {
+    it("rounds the fee down", function () {
+      expect(transferFee(10000n, 25n)).to.equal(25n);
+      expect(transferFee(399n, 25n)).to.equal(0n);
+      expect(transferFee(401n, 25n)).to.equal(1n);
+    });
+  });
+
+  describe("grossUpAmount", function () {
+    const nets = [
+      1n,
+      2n,
+      3n,
+      9n,
+      10n,
+      399n,
+      10000n,
+      123456789n,
+      ethers.parseEther("1"),
+      ethers.parseEther("1000000") + 7n,
+    ];
+
+    for (const basisPoints of [0n, 1n, 999n, 1000n]) {
+      it(`is the smallest gross that leaves the net at ${basisPoints} bp`, function () {
+        for (const net of nets) {
+          const gross = grossUpAmount(net, basisPoints);
+
+          expect(netOf(gross, basisPoints), `net ${net}`).to.equal(net);
+          // One wei less falls short
+          expect(netOf(gross - 1n, basisPoints) < net, `net ${net}`).to.equal(
+            true
+          );
+        }
+      });
+    }
+
+    it("adds nothing while the fee rounds to 0", function () {
+      // 1 bp rounds down to 0 below 10000 wei
+      expect(grossUpAmount(1n, 1n)).to.equal(1n);
+      expect(grossUpAmount(9999n, 1n)).to.equal(9999n);
+      expect(grossUpAmount(10000n, 1n)).to.equal(10001n);
+    });
+  });
+
+  describe("quoteTransfer", function () {
+    const from = ethers.getAddress(`0x${"a".repeat(40)}`);
+    const to = ethers.getAddress(`0x${"b".repeat(40)}`);
+    const feeRecipient = ethers.getAddress(`0x${"c".repeat(40)}`);
+    let service;
+
+    beforeEach(function () {
+      service = new SimBankService({
+        contractAddress: ethers.getAddress(`0x${"d".repeat(40)}`),
+        rpcUrls: ["http://127.0.0.1:1"],
+        readCache: false,
+      });
+    });
+
+    afterEach(function () {
+      service.provider.destroy();
+    });
+
+    // Contract state as seen through _read
+    function state({ basisPoints, balance }) {
+      const values = {
+        transferFeePercentage: basisPoints,
+        feeRecipient,
+        paused: false,
+        balanceOf: balance,
+        blacklisted: false,
+      };
+      service._read = async (method) => values[method];
+    }
+
+    it("takes the fee out of the amount sent", async function () {
+      state({ basisPoints: 1000n, balance: ethers.parseEther("10") });
+
+      const quote = await service.quoteTransfer(from, to, "1");
+
+      expect(quote.grossAmount.formatted).to.equal("1.0");
+      expect(quote.fee.formatted).to.equal("0.1");
+      expect(quote.netAmount.formatted).to.equal("0.9");
+      expect(quote.canTransfer).to.equal(true);
+    });
+
+    it("grosses the amount up so the recipient gets exactly the net", async function () {
+      state({ basisPoints: 999n, balance: ethers.parseEther("10") });
+
+      const quote = await service.quoteTransfer(from, to, "1", {
+        grossUp: true,
+      });
+
+      expect(quote.mode).to.equal("grossUp");
+      expect(quote.netAmount.wei).to.equal(ethers.parseEther("1").toString());
+      expect(BigInt(quote.grossAmount.wei) - BigInt(quote.fee.wei)).to.equal(
+        ethers.parseEther("1")
+      );
+    });
+
+    it("blocks a grossed-up transfer the balance cannot cover", async function () {
+      state({ basisPoints: 1000n, balance: ethers.parseEther("1") });
+
+      const quote = await service.quoteTransfer(from, to, "1", {
+        grossUp: true,
+      });
+
+      expect(quote.canTransfer).to.equal(false);
+      expect(quote.blockers.map((blocker) => blocker.code)).to.deep.equal([
+        "INSUFFICIENT_BALANCE",
+      ]);
+    });
+  });
+});
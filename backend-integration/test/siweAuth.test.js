@@ -0,0 +1,61 @@
+const { ethers } = require("ethers");
+const { expect } = require("chai");
+const SiweAuth = require("../src/auth/siweAuth");
+const { rejection } = require("./helpers");
+
+const DOMAIN = "app.example.com";
+
+function siweMessage(wallet, nonce, domain = DOMAIN) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    wallet.address,
+    "",
+    "Sign in to SimBank",
+    "",
+    `URI: https://${domain}`,
+    "Version: 1",
+    "Chain ID: 31337",
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+  ].join("\n");
+}
+
+describe("SiweAuth", function () {
+  const wallet = ethers.Wallet.createRandom();
+  let siwe;
+
+  beforeEach(function () {
+    siwe = new SiweAuth({ getChainId: () => 31337, domain: DOMAIN });
+  });
+
+  it("refuses to start without a domain", function () {
+    expect(() => new SiweAuth({ getChainId: () => 31337 })).to.throw(
+      /SIWE_DOMAIN/
+    );
+  });
+
+  it("starts a session for a message naming its domain", async function () {
+    const message = siweMessage(wallet, siwe.createNonce().nonce);
+    const session = await siwe.verify(
+      message,
+      await wallet.signMessage(message)
+    );
+
+    expect(session.address).to.equal(wallet.address);
+    expect(siwe.isSessionToken(session.token)).to.equal(true);
+  });
+
+  it("rejects a message signed for another domain", async function () {
+    const message = siweMessage(
+      wallet,
+      siwe.createNonce().nonce,
+      "phishing.example"
+    );
+    const error = await rejection(
+      siwe.verify(message, await wallet.signMessage(message))
+    );
+
+    expect(error.status).to.equal(401);
+    expect(error.message).to.match(/phishing\.example/);
+  });
+});
@@ -0,0 +1,94 @@
+const { ethers } = require("ethers");
+const { expect } = require("chai");
+const TransactionQueue = require("../src/transactionQueue");
+const { rejection } = require("./helpers");
+
+/**
+ * Signer whose pending nonce is `chainNonce`; `send` broadcasts with the
+ * queue's overrides and rejects nonces other than the chain's next one
+ */
+function stubSigner(chainNonce) {
+  const signer = {
+    address: ethers.ZeroAddress,
+    chainNonce,
+    nonceReads: 0,
+    sent: [],
+    getNonce: async () => {
+      signer.nonceReads++;
+      return signer.chainNonce;
+    },
+  };
+  signer.send = async ({ nonce }) => {
+    // Let other submissions try to interleave
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    if (nonce !== signer.chainNonce) {
+      throw ethers.makeError("nonce has already been used", "NONCE_EXPIRED");
+    }
+    signer.chainNonce++;
+    signer.sent.push(nonce);
+    return { hash: ethers.id(`tx ${nonce}`), nonce };
+  };
+  return signer;
+}
+
+describe("TransactionQueue", function () {
+  it("gives concurrent submissions distinct, consecutive nonces", async function () {
+    const signer = stubSigner(7);
+    const queue = new TransactionQueue(signer);
+
+    const txs = await Promise.all(
+      Array.from({ length: 5 }, () => queue.submit(signer.send))
+    );
+
+    expect(txs.map((tx) => tx.nonce)).to.deep.equal([7, 8, 9, 10, 11]);
+    expect(signer.nonceReads).to.equal(1);
+    expect(queue.getStatus()).to.include({ nextNonce: 12, queued: 0 });
+  });
+
+  it("resyncs and retries once the local nonce is stale", async function () {
+    const signer = stubSigner(3);
+    const queue = new TransactionQueue(signer);
+    await queue.submit(signer.send);
+
+    // Another process sent nonces 4 and 5 with the same key
+    signer.chainNonce = 6;
+    const [tx, next] = await Promise.all([
+      queue.submit(signer.send),
+      queue.submit(signer.send),
+    ]);
+
+    expect(tx.nonce).to.equal(6);
+    expect(next.nonce).to.equal(7);
+    expect(signer.nonceReads).to.equal(2);
+  });
+
+  it("gives up after maxRetries resyncs", async function () {
+    const signer = stubSigner(0);
+    const queue = new TransactionQueue(signer, { maxRetries: 2 });
+    const send = async () => {
+      throw ethers.makeError("nonce too low", "NONCE_EXPIRED");
+    };
+
+    const error = await rejection(queue.submit(send));
+
+    expect(error.code).to.equal("NONCE_EXPIRED");
+    expect(signer.nonceReads).to.equal(3);
+  });
+
+  it("reuses the nonce of a submission that failed for another reason", async function () {
+    const signer = stubSigner(0);
+    const queue = new TransactionQueue(signer);
+    const revert = async () => {
+      throw ethers.makeError("execution reverted", "CALL_EXCEPTION");
+    };
+
+    const results = await Promise.allSettled([
+      queue.submit(revert),
+      queue.submit(signer.send),
+    ]);
+
+    expect(results[0].status).to.equal("rejected");
+    expect(results[1].value.nonce).to.equal(0);
+    expect(signer.nonceReads).to.equal(1);
+  });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { validate, rules: is } = require("../src/validation");
+
+const ADDRESS = "0x52908400098527886E0F7030069857D2E4169EE7";
+const ROLE_NAMES = ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "PAUSER_ROLE"];
+
+// Body schemas as the write routes declare them
+const schemas = {
+  mint: { body: { to: is.address(), amount: is.amount() } },
+  setTransferFee: {
+    body: { feePercentage: is.integer({ min: 0, max: 1000 }) },
+  },
+  grantRole: { body: { role: is.oneOf(ROLE_NAMES), address: is.address() } },
+};
+
+/**
+ * Run a validate() middleware on a request body
+ * @returns {object} { error, req } - error is what reached next()
+ */
+function run(schema, body) {
+  const req = { params: {}, query: {}, body };
+  let error;
+  validate(schema)(req, {}, (result) => {
+    error = result;
+  });
+  return { error, req };
+}
+
+describe("validate", function () {
+  const invalid = [
+    [
+      "an amount in exponent notation",
+      "mint",
+      { to: ADDRESS, amount: "1e30" },
+      "amount",
+      "must be a decimal string with at most 18 decimals",
+    ],
+    [
+      "a negative amount",
+      "mint",
+      { to: ADDRESS, amount: "-5" },
+      "amount",
+      "must be a decimal string with at most 18 decimals",
+    ],
+    [
+      "a non-numeric amount",
+      "mint",
+      { to: ADDRESS, amount: "abc" },
+      "amount",
+      "must be a decimal string with at most 18 decimals",
+    ],
+    [
+      "an amount with more than 18 decimals",
+      "mint",
+      { to: ADDRESS, amount: "1.0000000000000000001" },
+      "amount",
+      "must be a decimal string with at most 18 decimals",
+    ],
+    [
+      "a zero amount",
+      "mint",
+      { to: ADDRESS, amount: "0" },
+      "amount",
+      "must be greater than 0",
+    ],
+    [
+      "a fee over 1000 basis points",
+      "setTransferFee",
+      { feePercentage: 1001 },
+      "feePercentage",
+      "must be between 0 and 1000",
+    ],
+    [
+      "an unknown role",
+      "grantRole",
+      { role: "BURNER_ROLE", address: ADDRESS },
+      "role",
+      `must be one of ${ROLE_NAMES.join(", ")}`,
+    ],
+    [
+      "an address with a wrong checksum",
+      "mint",
+      { to: ADDRESS.replace("E7", "e7"), amount: "1" },
+      "to",
+      "has an invalid checksum",
+    ],
+    [
+      "a short address",
+      "mint",
+      { to: "0x1234", amount: "1" },
+      "to",
+      "must be a 0x-prefixed 20-byte hex address",
+    ],
+  ];
+
+  for (const [description, route, body, field, message] of invalid) {
+    it(`rejects ${description} with 400 VALIDATION_ERROR`, function () {
+      const { error } = run(schemas[route], body);
+
+      expect(error.status).to.equal(400);
+      expect(error.code).to.equal("VALIDATION_ERROR");
+      expect(error.message).to.equal(`Invalid request: ${field} ${message}`);
+      expect(error.details.errors).to.deep.equal([
+        { location: "body", field, message },
+      ]);
+    });
+  }
+
+  it("lists every invalid and missing field", function () {
+    const { error } = run(schemas.mint, { amount: "-5" });
+
+    expect(error.details.errors).to.deep.equal([
+      { location: "body", field: "to", message: "is required" },
+      {
+        location: "body",
+        field: "amount",
+        message: "must be a decimal string with at most 18 decimals",
+      },
+    ]);
+  });
+
+  it("checksums lower-case addresses and keeps amounts as strings", function () {
+    const { error, req } = run(schemas.mint, {
+      to: ADDRESS.toLowerCase(),
+      amount: "12.500000000000000001",
+    });
+
+    expect(error).to.equal(undefined);
+    expect(req.body).to.deep.equal({
+      to: ADDRESS,
+      amount: "12.500000000000000001",
+    });
+  });
+
+  it("accepts the largest fee", function () {
+    const { error, req } = run(schemas.setTransferFee, {
+      feePercentage: "1000",
+    });
+
+    expect(error).to.equal(undefined);
+    expect(req.body.feePercentage).to.equal(1000);
+  });
+});
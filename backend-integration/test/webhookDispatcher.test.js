@@ -0,0 +1,119 @@
+const EventEmitter = require("events");
+const http = require("http");
+const { expect } = require("chai");
+const { WebhookDispatcher, WebhookStore } = require("../src/webhooks");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Indexer whose change journal holds `count` Transfer events
+function fakeIndexer(count) {
+  const changes = Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    type: "added",
+    event: {
+      name: "Transfer",
+      args: { from: "0x01", to: "0x02", value: String(i + 1) },
+      blockNumber: 100 + i,
+      logIndex: 0,
+      blockHash: "0xab",
+      transactionHash: "0xcd",
+      timestamp: null,
+    },
+  }));
+
+  const indexer = new EventEmitter();
+  indexer.store = {
+    getChangeRange: () => ({ last: 0 }),
+    getChanges: (after) => changes.filter((change) => change.id > after),
+  };
+  return indexer;
+}
+
+/**
+ * HTTP server recording the change ids it receives; a slow one never answers
+ */
+async function receiver({ slow = false } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push(JSON.parse(body).data.id);
+      if (!slow) {
+        res.writeHead(204).end();
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+describe("WebhookDispatcher", function () {
+  let receivers;
+  let dispatcher;
+
+  beforeEach(function () {
+    receivers = [];
+  });
+
+  afterEach(async function () {
+    dispatcher?.stop();
+    await Promise.all(receivers.map((r) => r.close()));
+  });
+
+  // One webhook per receiver, subscribed before `count` changes are delivered
+  async function start(count, options, kinds = ["slow", "fast"]) {
+    dispatcher = new WebhookDispatcher(
+      fakeIndexer(count),
+      new WebhookStore(":memory:"),
+      { timeout: 1000, ...options }
+    );
+    for (const kind of kinds) {
+      const r = await receiver({ slow: kind === "slow" });
+      receivers.push(r);
+      dispatcher.createWebhook({ url: r.url });
+    }
+    dispatcher.start();
+    return receivers;
+  }
+
+  it("keeps delivering to other webhooks while one receiver hangs", async function () {
+    const [slow, fast] = await start(5);
+
+    await sleep(300);
+
+    expect(fast.received).to.deep.equal([1, 2, 3, 4, 5]);
+    expect(slow.received).to.deep.equal([1]);
+  });
+
+  it("delivers to at most `concurrency` webhooks at once", async function () {
+    const [first, second] = await start(1, { concurrency: 1 }, [
+      "slow",
+      "slow",
+    ]);
+
+    await sleep(300);
+
+    // One hanging receiver holds the only slot
+    expect(first.received.length + second.received.length).to.equal(1);
+  });
+
+  it("retries a receiver that timed out without holding up the others", async function () {
+    const [slow, fast] = await start(1, { retryDelay: 60000 });
+
+    await sleep(1300);
+    const [slowDelivery] = dispatcher.listDeliveries({ status: "pending" });
+
+    expect(fast.received).to.deep.equal([1]);
+    expect(slow.received).to.deep.equal([1]);
+    expect(slowDelivery.attempts).to.equal(1);
+    expect(slowDelivery.lastError).to.match(/abort|timeout/i);
+  });
+});